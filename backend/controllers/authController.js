@@ -0,0 +1,59 @@
+const bcrypt = require('bcryptjs');
+const User = require('../models/user');
+const { signToken, signSyncToken } = require('../middleware/auth');
+const { unauthorized, notFound, conflict, DUPLICATE_KEY } = require('../utils/errors');
+
+const emailTaken = () => conflict('An account with this email already exists');
+
+// Register a new user
+const register = async (req, res) => {
+  const { email, password, name } = req.body;
+
+  const existing = await User.findOne({ email: email.toLowerCase().trim() });
+  if (existing) {
+    throw emailTaken();
+  }
+
+  const passwordHash = await bcrypt.hash(password, 10);
+  const user = new User({ email, name, passwordHash });
+  try {
+    await user.save();
+  } catch (err) {
+    // Another registration for the same email got in after the check above
+    if (err.code === DUPLICATE_KEY) {
+      throw emailTaken();
+    }
+    throw err;
+  }
+
+  res.status(201).json({ token: signToken(user), user });
+};
+
+// Log in with email and password
+const login = async (req, res) => {
+  const { email, password } = req.body;
+
+  const user = await User.findOne({ email: email.toLowerCase().trim() });
+  const passwordMatches = user && await bcrypt.compare(password, user.passwordHash);
+  if (!passwordMatches) {
+    throw unauthorized('Invalid email or password');
+  }
+
+  res.status(200).json({ token: signToken(user), user });
+};
+
+// Get the signed-in user
+const getCurrentUser = async (req, res) => {
+  const user = await User.findById(req.userId);
+  if (!user) {
+    throw notFound('User not found');
+  }
+  res.status(200).json(user);
+};
+
+// A token the service worker can send the signed-in user's queued mood logs with
+const issueSyncToken = async (req, res) => {
+  res.status(200).json(signSyncToken(req.userId));
+};
+
+module.exports = { register, login, getCurrentUser, issueSyncToken };
@@ -0,0 +1,27 @@
+const Calibration = require('../models/calibration');
+
+// Get the signed-in user's calibration, or null if they haven't calibrated
+const getCalibration = async (req, res) => {
+  const calibration = await Calibration.findOne({ userId: req.userId });
+  res.status(200).json(calibration);
+};
+
+// Replace the signed-in user's calibration
+const saveCalibration = async (req, res) => {
+  const { featureVersion, poses, sampleCounts } = req.body;
+
+  const calibration = await Calibration.findOneAndUpdate(
+    { userId: req.userId },
+    { $set: { featureVersion, poses, sampleCounts: sampleCounts || {}, updatedAt: new Date() } },
+    { new: true, upsert: true, runValidators: true }
+  );
+  res.status(200).json(calibration);
+};
+
+// Forget the signed-in user's calibration and go back to the default thresholds
+const deleteCalibration = async (req, res) => {
+  await Calibration.deleteOne({ userId: req.userId });
+  res.status(200).json({ message: 'Calibration deleted' });
+};
+
+module.exports = { getCalibration, saveCalibration, deleteCalibration };
@@ -0,0 +1,113 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const MoodLog = require('../models/moodLog');
+const { MOODS } = require('../models/moodLog');
+const { buildMoodFilter } = require('../utils/moodQuery');
+const { badRequest } = require('../utils/errors');
+
+const FORMATS = ['csv', 'json'];
+
+// The log's fields, then one score column per known mood, e.g. score_happy
+const CSV_COLUMNS = [
+  'id', 'timestamp', 'mood', 'source', 'detector', 'notes',
+  'tags', 'sleep_hours', 'energy', 'location',
+  ...MOODS.map(mood => `score_${mood}`)
+];
+// Separates tags in the CSV tags column, as in Daylio's activities column
+const TAG_SEPARATOR = ' | ';
+
+// Quote fields that need it, and defuse values a spreadsheet would run as a formula
+const csvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (log) => {
+  const scores = log.emotionScores || {};
+  return [
+    log._id,
+    log.timestamp.toISOString(),
+    log.mood,
+    log.source || 'detected',
+    log.detector,
+    log.notes,
+    (log.tags || []).join(TAG_SEPARATOR),
+    log.sleepHours,
+    log.energy,
+    log.location,
+    ...MOODS.map(mood => scores[mood])
+  ].map(csvField).join(',') + '\r\n';
+};
+
+const toJsonEntry = (log) => JSON.stringify({
+  id: log._id,
+  timestamp: log.timestamp,
+  mood: log.mood,
+  source: log.source || 'detected',
+  detector: log.detector,
+  notes: log.notes,
+  tags: log.tags || [],
+  sleepHours: log.sleepHours ?? null,
+  energy: log.energy ?? null,
+  location: log.location || '',
+  emotionScores: log.emotionScores || {},
+  faceDetails: log.faceDetails,
+  handDetails: log.handDetails
+});
+
+// Yield the export one chunk at a time so large histories never sit in memory
+async function* exportChunks(cursor, format) {
+  if (format === 'csv') {
+    yield CSV_COLUMNS.join(',') + '\r\n';
+    for await (const log of cursor) {
+      yield toCsvRow(log);
+    }
+    return;
+  }
+
+  yield '[';
+  let first = true;
+  for await (const log of cursor) {
+    yield (first ? '\n' : ',\n') + toJsonEntry(log);
+    first = false;
+  }
+  yield '\n]\n';
+}
+
+// Download every matching log, oldest first, as CSV or JSON
+const exportMoods = async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!FORMATS.includes(format)) {
+    throw badRequest(`"format" must be one of: ${FORMATS.join(', ')}`, { format: 'is not supported' });
+  }
+
+  const { filter, error } = buildMoodFilter(req.userId, req.query);
+  if (error) {
+    throw badRequest(error);
+  }
+
+  const cursor = MoodLog.find(filter).sort({ timestamp: 1, _id: 1 }).lean().cursor();
+  const filename = `mood-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  try {
+    res.status(200).set({
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    await pipeline(Readable.from(exportChunks(cursor, format)), res);
+  } catch (err) {
+    await cursor.close().catch(() => {});
+    // Nothing to report if the client went away mid-download
+    if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      throw err;
+    }
+  }
+};
+
+module.exports = { exportMoods };
@@ -0,0 +1,82 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('node:stream');
+const { text } = require('node:stream/consumers');
+const MoodLog = require('../models/moodLog');
+const { exportMoods } = require('./exportController');
+
+const USER_ID = '65f000000000000000000001';
+
+// Serve logs from a fake query and collect the download
+const download = async (logs, query = {}) => {
+  mock.method(MoodLog, 'find', () => ({
+    sort: () => ({
+      lean: () => ({
+        cursor: () => Object.assign((async function* () { yield* logs; })(), { close: async () => {} })
+      })
+    })
+  }));
+  const res = new PassThrough();
+  res.status = () => res;
+  res.set = (headers) => {
+    res.headers = headers;
+    return res;
+  };
+
+  const body = text(res);
+  await exportMoods({ userId: USER_ID, query }, res);
+  return { headers: res.headers, body: await body };
+};
+
+const log = (fields) => ({
+  _id: 'log1',
+  timestamp: new Date('2024-03-04T09:15:00Z'),
+  mood: 'happy',
+  detector: 'face-api',
+  ...fields
+});
+
+afterEach(() => mock.restoreAll());
+
+test('writes one score column per mood', async () => {
+  const { headers, body } = await download([
+    log({ emotionScores: { happy: 0.9, sad: 0.05 }, tags: ['work', 'gym'], energy: 4 })
+  ]);
+  const [header, row] = body.split('\r\n');
+
+  assert.equal(headers['Content-Type'], 'text/csv; charset=utf-8');
+  assert.equal(
+    header,
+    'id,timestamp,mood,source,detector,notes,tags,sleep_hours,energy,location,' +
+    'score_happy,score_sad,score_angry,score_surprised,score_neutral,score_fearful,score_disgusted'
+  );
+  assert.equal(row, 'log1,2024-03-04T09:15:00.000Z,happy,detected,face-api,,work | gym,,4,,0.9,0.05,,,,,');
+});
+
+test('defuses notes a spreadsheet would run as a formula', async () => {
+  const { body } = await download([
+    log({ notes: '=cmd|\' /C calc\'!A0' }),
+    log({ notes: '@SUM(1,2)', location: '-home' }),
+    log({ notes: 'said "hi", then left' })
+  ]);
+  const rows = body.split('\r\n').slice(1, 4);
+
+  assert.match(rows[0], /,'=cmd\|' \/C calc'!A0,/);
+  assert.match(rows[1], /,"'@SUM\(1,2\)",.*,'-home,/);
+  assert.match(rows[2], /,"said ""hi"", then left",/);
+});
+
+test('writes a JSON array', async () => {
+  const { headers, body } = await download([log({ emotionScores: { happy: 0.9 } })], { format: 'json' });
+
+  assert.equal(headers['Content-Type'], 'application/json; charset=utf-8');
+  const [entry] = JSON.parse(body);
+  assert.equal(entry.source, 'detected');
+  assert.deepEqual(entry.emotionScores, { happy: 0.9 });
+  assert.deepEqual(entry.tags, []);
+});
+
+test('writes just the header when there is nothing to export', async () => {
+  const { body } = await download([]);
+  assert.equal(body.split('\r\n').filter(Boolean).length, 1);
+});
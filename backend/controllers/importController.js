@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const MoodLog = require('../models/moodLog');
+const { parseCsv } = require('../utils/csv');
+const { isValidTimezone } = require('../utils/moodStats');
+const { badRequest } = require('../utils/errors');
+const { publishMoodEvent } = require('../utils/moodEvents');
+const { resolveTags } = require('../utils/tags');
+const {
+  suggestMapping,
+  suggestMoodMap,
+  validateImportOptions,
+  buildImport
+} = require('../utils/moodImport');
+
+const MAX_IMPORT_ROWS = 20000;
+const PREVIEW_ROWS = 20;
+const MAX_REPORTED_ERRORS = 200;
+
+// Count each distinct value in a column, most common first
+const distinctValues = (records, columnIndex) => {
+  const counts = new Map();
+  records.forEach(({ fields }) => {
+    const value = String(fields[columnIndex] || '').trim();
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+};
+
+/*
+ * Import moods from another tracker's CSV export. The body carries the file
+ * text plus an optional column mapping and mood map; anything left out is
+ * guessed from the header and mood words. Dry runs (the default) only report
+ * what would happen. Rows whose timestamp matches an existing log, or an
+ * earlier row in the file, are skipped as duplicates. Tags (Daylio's
+ * activities) join the user's vocabulary when the import runs.
+ */
+const importMoods = async (req, res) => {
+  const body = req.body || {};
+  const { csv, dateFormat = 'ymd', timezone = 'UTC' } = body;
+  const dryRun = body.dryRun !== false;
+
+  if (typeof csv !== 'string' || csv.trim() === '') {
+    throw badRequest('Upload a CSV file to import', { csv: 'is empty' });
+  }
+  if (!isValidTimezone(timezone)) {
+    throw badRequest(`Unknown timezone: ${timezone}`, { timezone: 'is not a known timezone' });
+  }
+
+  // Files of only blank or comma rows parse to nothing at all
+  const [header, ...records] = parseCsv(csv);
+  if (!header) {
+    throw badRequest('The file has no header row', { csv: 'has no header row' });
+  }
+  const columns = header.fields.map(column => column.trim());
+  if (records.length === 0) {
+    throw badRequest('The file has a header but no rows');
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw badRequest(`Files can have at most ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  const mapping = body.mapping || suggestMapping(columns);
+  const moodValues = columns.includes(mapping.mood) ? distinctValues(records, columns.indexOf(mapping.mood)) : [];
+  // Without a prototype, as in suggestMoodMap
+  const moodMap = Object.assign(Object.create(null), suggestMoodMap(moodValues.map(([value]) => value)), body.moodMap);
+  const options = { mapping, moodMap, dateFormat, timezone };
+
+  const baseResponse = {
+    dryRun,
+    columns,
+    mapping,
+    dateFormat,
+    timezone,
+    moodValues: moodValues.map(([value, count]) => ({ value, count, mood: moodMap[value] || null }))
+  };
+
+  // Let the client fix the mapping instead of failing the upload outright
+  const optionsError = validateImportOptions(options, columns);
+  if (optionsError) {
+    if (!dryRun) {
+      throw badRequest(optionsError);
+    }
+    return res.status(200).json({ ...baseResponse, mappingError: optionsError });
+  }
+
+  const { entries, errors } = buildImport(columns, records, options);
+
+  const existing = await MoodLog.find({
+    userId: new mongoose.Types.ObjectId(req.userId),
+    timestamp: { $in: entries.map(entry => entry.timestamp) }
+  }, { timestamp: 1 }).lean();
+  const seen = new Set(existing.map(log => log.timestamp.getTime()));
+  entries.forEach(entry => {
+    const time = entry.timestamp.getTime();
+    entry.duplicate = seen.has(time);
+    seen.add(time);
+  });
+
+  const toImport = entries.filter(entry => !entry.duplicate);
+  if (!dryRun && toImport.length > 0) {
+    // Spell each tag as in the vocabulary, adding the ones the user doesn't have yet
+    const resolved = await resolveTags(req.userId, toImport.flatMap(entry => entry.tags));
+    const spelling = new Map(resolved.map(name => [name.toLowerCase(), name]));
+
+    await MoodLog.insertMany(toImport.map(entry => ({
+      userId: req.userId,
+      mood: entry.mood,
+      notes: entry.notes,
+      tags: entry.tags.map(name => spelling.get(name.toLowerCase())),
+      timestamp: entry.timestamp,
+      source: 'imported'
+    })));
+    publishMoodEvent(req.userId, 'refresh');
+  }
+
+  res.status(200).json({
+    ...baseResponse,
+    summary: {
+      rows: records.length,
+      valid: entries.length,
+      duplicates: entries.length - toImport.length,
+      errors: errors.length,
+      imported: dryRun ? 0 : toImport.length
+    },
+    preview: entries.slice(0, PREVIEW_ROWS),
+    errors: errors.slice(0, MAX_REPORTED_ERRORS)
+  });
+};
+
+module.exports = { importMoods };
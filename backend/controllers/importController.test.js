@@ -0,0 +1,39 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const MoodLog = require('../models/moodLog');
+const { importMoods } = require('./importController');
+
+const USER_ID = '65f000000000000000000001';
+
+test('rejects a file without a header row before touching the database', async () => {
+  const req = { userId: USER_ID, body: { csv: ',,\n \n,\n' } };
+  await assert.rejects(importMoods(req, {}), (err) => {
+    assert.equal(err.status, 400);
+    assert.deepEqual(err.fields, { csv: 'has no header row' });
+    return true;
+  });
+});
+
+test('rejects a header without rows', async () => {
+  const req = { userId: USER_ID, body: { csv: 'date,mood\n' } };
+  await assert.rejects(importMoods(req, {}), { status: 400, message: 'The file has a header but no rows' });
+});
+
+test('leaves mood values named like Object.prototype keys unmapped', async () => {
+  mock.method(MoodLog, 'find', () => ({ lean: async () => [] }));
+  const res = { status: () => res, json: (body) => { res.body = body; } };
+  const csv = 'date,mood\n2024-03-01,constructor\n2024-03-02,__proto__\n2024-03-03,rad\n';
+
+  await importMoods({ userId: USER_ID, body: { csv, moodMap: { rad: 'happy' } } }, res);
+
+  assert.deepEqual(res.body.moodValues.map(({ value, mood }) => [value, mood]), [
+    ['constructor', null],
+    ['__proto__', null],
+    ['rad', 'happy']
+  ]);
+  assert.deepEqual(res.body.errors.map(error => error.message), [
+    'No mapping for mood "constructor"',
+    'No mapping for mood "__proto__"'
+  ]);
+  mock.restoreAll();
+});
@@ -1,38 +1,129 @@
 const MoodLog = require('../models/moodLog');
+const User = require('../models/user');
+const { applyStoreLevel } = require('../utils/privacy');
+const { badRequest, notFound, DUPLICATE_KEY } = require('../utils/errors');
+const { publishMoodEvent } = require('../utils/moodEvents');
+const { resolveTags } = require('../utils/tags');
+const { buildMoodFilter, parsePage, applyCursor, encodeCursor } = require('../utils/moodQuery');
 
-// Add mood log
+const EDITABLE_FIELDS = ['mood', 'notes', 'tags', 'sleepHours', 'energy', 'location'];
+
+// Request bodies and ids are checked by the schemas in utils/moodSchemas before these run
+
+// Add mood log. With an Idempotency-Key header, repeating the request returns the
+// log the first one created instead of adding another
 const addMoodLog = async (req, res) => {
+  const {
+    mood, notes, tags, sleepHours, energy, location,
+    emotionScores, faceDetails, handDetails, detector, source, timestamp
+  } = req.body;
+  const idempotencyKey = req.get('Idempotency-Key');
+
+  if (idempotencyKey) {
+    const existing = await MoodLog.findOne({ userId: req.userId, idempotencyKey });
+    if (existing) {
+      return res.status(200).json(existing);
+    }
+  }
+
+  // Keep only the detection data the user's privacy settings allow
+  const user = await User.findById(req.userId, { privacy: 1 });
+  const detection = applyStoreLevel({ emotionScores, faceDetails, handDetails }, user ? user.privacy.storeLevel : 'mood');
+
+  const newMoodLog = new MoodLog({
+    userId: req.userId,
+    mood,
+    notes,
+    tags: await resolveTags(req.userId, tags || []),
+    sleepHours,
+    energy,
+    location,
+    ...detection,
+    detector,
+    source,
+    timestamp: timestamp || Date.now(),
+    idempotencyKey
+  });
+
   try {
-    const { mood, notes, emotionScores, faceDetails, handDetails, timestamp } = req.body;
-    
-    // Create a new mood log with all the data
-    const newMoodLog = new MoodLog({
-      mood,
-      notes,
-      emotionScores,
-      faceDetails,
-      handDetails,
-      timestamp: timestamp || Date.now()
-    });
-    
     await newMoodLog.save();
-    res.status(200).json(newMoodLog);
   } catch (err) {
-    console.error('Error saving mood log:', err);
-    res.status(500).json({ message: 'Error saving mood log', error: err.message });
+    // Two requests with the same key raced; the other one created the log
+    if (err.code === DUPLICATE_KEY && idempotencyKey) {
+      return res.status(200).json(await MoodLog.findOne({ userId: req.userId, idempotencyKey }));
+    }
+    throw err;
   }
+  publishMoodEvent(req.userId, 'created', newMoodLog);
+  res.status(200).json(newMoodLog);
 };
 
-// Get mood history
+// Get a page of mood history, optionally filtered
 const getMoodHistory = async (req, res) => {
-  try {
-    // Sort by timestamp (newest first)
-    const logs = await MoodLog.find().sort({ timestamp: -1 }).limit(20);
-    res.status(200).json(logs);
-  } catch (err) {
-    console.error('Error fetching mood history:', err);
-    res.status(500).json({ message: 'Error fetching mood history', error: err.message });
+  const { filter, error: filterError } = buildMoodFilter(req.userId, req.query);
+  const { limit, cursor, error: pageError } = parsePage(req.query);
+  if (filterError || pageError) {
+    throw badRequest(filterError || pageError);
+  }
+
+  // Fetch one extra log to know whether another page follows
+  const logs = await MoodLog.find(applyCursor(filter, cursor))
+    .sort({ timestamp: -1, _id: -1 })
+    .limit(limit + 1);
+
+  const hasMore = logs.length > limit;
+  const items = hasMore ? logs.slice(0, limit) : logs;
+  res.status(200).json({
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null
+  });
+};
+
+// Get a single mood log
+const getMoodLog = async (req, res) => {
+  const log = await MoodLog.findOne({ _id: req.params.id, userId: req.userId });
+  if (!log) {
+    throw notFound('Mood log not found');
+  }
+  res.status(200).json(log);
+};
+
+// Correct the mood or edit the notes, tags and context of a mood log
+const updateMoodLog = async (req, res) => {
+  const body = req.body || {};
+  const update = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      update[field] = body[field];
+    }
+  });
+  if (Object.keys(update).length === 0) {
+    throw badRequest('Nothing to update');
+  }
+  if (update.tags) {
+    update.tags = await resolveTags(req.userId, update.tags);
+  }
+
+  const log = await MoodLog.findOneAndUpdate(
+    { _id: req.params.id, userId: req.userId },
+    { $set: update },
+    { new: true, runValidators: true }
+  );
+  if (!log) {
+    throw notFound('Mood log not found');
+  }
+  publishMoodEvent(req.userId, 'updated', log);
+  res.status(200).json(log);
+};
+
+// Delete a mood log
+const deleteMoodLog = async (req, res) => {
+  const log = await MoodLog.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+  if (!log) {
+    throw notFound('Mood log not found');
   }
+  publishMoodEvent(req.userId, 'deleted', { id: log._id });
+  res.status(200).json({ message: 'Mood log deleted', id: log._id });
 };
 
-module.exports = { addMoodLog, getMoodHistory };
+module.exports = { addMoodLog, getMoodHistory, getMoodLog, updateMoodLog, deleteMoodLog };
@@ -0,0 +1,32 @@
+const { subscribe } = require('../utils/moodEvents');
+
+// A comment line this often keeps proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+
+const writeEvent = (res, type, data) => {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Server-Sent Events stream of changes to the signed-in user's mood logs, so every
+// open tab and device can update its history live. See utils/moodEvents for the events.
+const streamMoodEvents = (req, res) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx and similar proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  writeEvent(res, 'ready', {});
+
+  const unsubscribe = subscribe(req.userId, ({ type, data }) => writeEvent(res, type, data));
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
+
+module.exports = { streamMoodEvents };
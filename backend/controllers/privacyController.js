@@ -0,0 +1,70 @@
+const User = require('../models/user');
+const MoodLog = require('../models/moodLog');
+const Calibration = require('../models/calibration');
+const LabelledSample = require('../models/labelledSample');
+const Tag = require('../models/tag');
+const { badRequest, notFound } = require('../utils/errors');
+const { publishMoodEvent } = require('../utils/moodEvents');
+
+const PRIVACY_FIELDS = ['storeLevel', 'retentionDays'];
+
+// Get the signed-in user's privacy settings
+const getPrivacy = async (req, res) => {
+  const user = await User.findById(req.userId);
+  if (!user) {
+    throw notFound('User not found');
+  }
+  res.status(200).json(user.privacy);
+};
+
+// Change what new mood logs store and how long detection details are kept; the body is
+// checked by utils/privacySchemas
+const updatePrivacy = async (req, res) => {
+  const body = req.body || {};
+  const changes = {};
+  PRIVACY_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      changes[`privacy.${field}`] = body[field];
+    }
+  });
+  if (Object.keys(changes).length === 0) {
+    throw badRequest('Nothing to update');
+  }
+
+  const user = await User.findByIdAndUpdate(req.userId, { $set: changes }, { new: true, runValidators: true });
+  if (!user) {
+    throw notFound('User not found');
+  }
+  res.status(200).json(user.privacy);
+};
+
+// Delete every mood log, tag, calibration and labelled sample of the signed-in user,
+// and the account itself with ?account=true
+const deleteAllData = async (req, res) => {
+  const [moodLogs, tags, calibrations, samples] = await Promise.all([
+    MoodLog.deleteMany({ userId: req.userId }),
+    Tag.deleteMany({ userId: req.userId }),
+    Calibration.deleteMany({ userId: req.userId }),
+    LabelledSample.deleteMany({ userId: req.userId })
+  ]);
+
+  publishMoodEvent(req.userId, 'refresh');
+
+  const deleteAccount = req.query.account === 'true';
+  if (deleteAccount) {
+    await User.findByIdAndDelete(req.userId);
+  }
+
+  res.status(200).json({
+    message: deleteAccount ? 'Account and all data deleted' : 'All data deleted',
+    deleted: {
+      moodLogs: moodLogs.deletedCount,
+      tags: tags.deletedCount,
+      calibrations: calibrations.deletedCount,
+      labelledSamples: samples.deletedCount,
+      account: deleteAccount
+    }
+  });
+};
+
+module.exports = { getPrivacy, updatePrivacy, deleteAllData };
@@ -0,0 +1,38 @@
+const User = require('../models/user');
+const { badRequest, notFound } = require('../utils/errors');
+
+const REMINDER_FIELDS = ['enabled', 'times', 'days'];
+
+// Sorted and without repeats, so every device sees the same schedule
+const normalizeList = (values) => [...new Set(values)].sort((a, b) => (a > b) - (a < b));
+
+// Get the signed-in user's reminder schedule
+const getReminders = async (req, res) => {
+  const user = await User.findById(req.userId);
+  if (!user) {
+    throw notFound('User not found');
+  }
+  res.status(200).json(user.reminders);
+};
+
+// Change the schedule; the body is checked by utils/reminderSchemas
+const updateReminders = async (req, res) => {
+  const body = req.body || {};
+  const changes = {};
+  REMINDER_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      changes[`reminders.${field}`] = Array.isArray(body[field]) ? normalizeList(body[field]) : body[field];
+    }
+  });
+  if (Object.keys(changes).length === 0) {
+    throw badRequest('Nothing to update');
+  }
+
+  const user = await User.findByIdAndUpdate(req.userId, { $set: changes }, { new: true, runValidators: true });
+  if (!user) {
+    throw notFound('User not found');
+  }
+  res.status(200).json(user.reminders);
+};
+
+module.exports = { getReminders, updateReminders };
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const MoodLog = require('../models/moodLog');
+const User = require('../models/user');
+const { moodCountsBy, pairsToObject, timezoneError } = require('../utils/moodStats');
+const { renderMonthlyReport } = require('../utils/monthlyReport');
+const { badRequest, notFound } = require('../utils/errors');
+
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+// Entries with notes, in order, for reports that opt in to including them
+const notesPipeline = (timezone) => [
+  { $match: { notes: { $gt: '' } } },
+  { $sort: { timestamp: 1 } },
+  {
+    $project: {
+      _id: 0,
+      mood: 1,
+      notes: 1,
+      label: { $dateToString: { date: '$timestamp', format: '%Y-%m-%d %H:%M', timezone } }
+    }
+  }
+];
+
+// Printable HTML summary of one calendar month, e.g. ?month=2025-03&tz=Europe/London&notes=true
+const getMonthlyReport = async (req, res) => {
+  const timezone = req.query.tz || 'UTC';
+  const match = MONTH_PATTERN.exec(req.query.month || '');
+
+  if (!match) {
+    throw badRequest('"month" must be in YYYY-MM format');
+  }
+
+  const month = match[0];
+  const year = Number(match[1]);
+  const monthIndex = Number(match[2]) - 1;
+  const includeNotes = req.query.notes === 'true';
+
+  // Pad the range by a day each side so the index narrows the scan for any
+  // timezone, then keep only logs that fall in the month locally
+  const filter = {
+    userId: new mongoose.Types.ObjectId(req.userId),
+    timestamp: {
+      $gte: new Date(Date.UTC(year, monthIndex, 0)),
+      $lt: new Date(Date.UTC(year, monthIndex + 1, 2))
+    }
+  };
+
+  const [user, [result]] = await Promise.all([
+    User.findById(req.userId).select('name email'),
+    MoodLog.aggregate([
+      { $match: filter },
+      {
+        $addFields: {
+          localMonth: { $dateToString: { date: '$timestamp', format: '%Y-%m', timezone } },
+          scores: { $objectToArray: { $ifNull: ['$emotionScores', {}] } }
+        }
+      },
+      { $match: { localMonth: month } },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          moodCounts: [{ $group: { _id: '$mood', count: { $sum: 1 } } }],
+          sourceCounts: [
+            { $group: { _id: { $ifNull: ['$source', 'detected'] }, count: { $sum: 1 } } }
+          ],
+          emotionAverages: [
+            { $unwind: '$scores' },
+            { $group: { _id: '$scores.k', average: { $avg: '$scores.v' } } }
+          ],
+          byDay: moodCountsBy({ $dayOfMonth: { date: '$timestamp', timezone } }),
+          byHour: moodCountsBy({ $hour: { date: '$timestamp', timezone } }),
+          ...(includeNotes && { notes: notesPipeline(timezone) })
+        }
+      }
+    ]).catch(err => {
+      throw timezoneError(err, timezone);
+    })
+  ]);
+
+  if (!user) {
+    throw notFound('User not found');
+  }
+
+  const html = renderMonthlyReport({
+    month,
+    timezone,
+    daysInMonth: new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate(),
+    user: { name: user.name, email: user.email },
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    moodCounts: pairsToObject(result.moodCounts.map(({ _id, count }) => ({ k: _id, v: count }))),
+    sourceCounts: pairsToObject(result.sourceCounts.map(({ _id, count }) => ({ k: _id, v: count }))),
+    emotionAverages: pairsToObject(result.emotionAverages.map(({ _id, average }) => ({ k: _id, v: average }))),
+    // Days are 1-31 and hours 0-23, both in the requested timezone
+    days: result.byDay.map(slot => ({ day: slot._id, count: slot.count, moodCounts: pairsToObject(slot.moods) })),
+    hours: result.byHour.map(slot => ({ hour: slot._id, count: slot.count, moodCounts: pairsToObject(slot.moods) })),
+    notes: includeNotes ? result.notes : null,
+    generatedAt: new Date()
+  });
+
+  res.status(200).type('html').send(html);
+};
+
+module.exports = { getMonthlyReport };
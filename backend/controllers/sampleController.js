@@ -0,0 +1,21 @@
+const LabelledSample = require('../models/labelledSample');
+
+// Store a confirmed or corrected detection
+const addSample = async (req, res) => {
+  const { detector, predictedMood, label, landmarks } = req.body;
+  const sample = new LabelledSample({ userId: req.userId, detector, predictedMood, label, landmarks });
+  await sample.save();
+  res.status(201).json({ id: sample._id, label: sample.label, predictedMood: sample.predictedMood });
+};
+
+// All of the signed-in user's samples, oldest first, for offline evaluation
+const getSamples = async (req, res) => {
+  const filter = { userId: req.userId };
+  if (req.query.detector) {
+    filter.detector = req.query.detector;
+  }
+  const samples = await LabelledSample.find(filter, { userId: 0, __v: 0 }).sort({ createdAt: 1 });
+  res.status(200).json(samples);
+};
+
+module.exports = { addSample, getSamples };
@@ -0,0 +1,21 @@
+const MoodLog = require('../models/moodLog');
+const { buildMoodFilter } = require('../utils/moodQuery');
+const { badRequest } = require('../utils/errors');
+const { timezoneError, statsPipeline, formatStats } = require('../utils/moodStats');
+
+// Get aggregated mood statistics; the route schema has checked interval, tz and the filters
+const getMoodStats = async (req, res) => {
+  const options = { interval: req.query.interval || 'day', timezone: req.query.tz || 'UTC' };
+
+  const { filter, error } = buildMoodFilter(req.userId, req.query);
+  if (error) {
+    throw badRequest(error);
+  }
+
+  const [result] = await MoodLog.aggregate(statsPipeline(filter, options)).catch(err => {
+    throw timezoneError(err, options.timezone);
+  });
+  res.status(200).json(formatStats(result, options));
+};
+
+module.exports = { getMoodStats };
@@ -0,0 +1,69 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const MoodLog = require('../models/moodLog');
+const { UNKNOWN_TIMEZONE } = require('../utils/errors');
+const { getMoodStats } = require('./statsController');
+
+const USER_ID = '65f000000000000000000001';
+
+// Collects what the controller sends
+const fakeResponse = () => {
+  const res = {
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+    }
+  };
+  return res;
+};
+
+afterEach(() => mock.restoreAll());
+
+test('defaults to daily buckets in UTC', async () => {
+  const aggregate = mock.method(MoodLog, 'aggregate', async () => [{
+    total: [],
+    moodCounts: [],
+    sourceCounts: [],
+    emotionAverages: [],
+    bucketMoods: [],
+    bucketAverages: [],
+    context: [],
+    tagMoods: [],
+    tagContext: [],
+    byHour: [],
+    byWeekday: []
+  }]);
+  const res = fakeResponse();
+
+  await getMoodStats({ userId: USER_ID, query: {} }, res);
+
+  const { $dateTrunc } = aggregate.mock.calls[0].arguments[0][1].$addFields.bucket;
+  assert.equal($dateTrunc.unit, 'day');
+  assert.equal($dateTrunc.timezone, 'UTC');
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.total, 0);
+  assert.equal(res.body.timezone, 'UTC');
+});
+
+test('answers 400 when MongoDB does not know a timezone Intl accepted', async () => {
+  mock.method(MoodLog, 'aggregate', async () => {
+    throw Object.assign(new Error("unrecognized time zone identifier: 'EST5EDT'"), { code: UNKNOWN_TIMEZONE });
+  });
+
+  await assert.rejects(getMoodStats({ userId: USER_ID, query: { tz: 'EST5EDT' } }, fakeResponse()), (err) => {
+    assert.equal(err.status, 400);
+    assert.deepEqual(err.fields, { tz: 'is not a known timezone' });
+    return true;
+  });
+});
+
+test('passes other database errors on', async () => {
+  mock.method(MoodLog, 'aggregate', async () => {
+    throw new Error('connection lost');
+  });
+
+  await assert.rejects(getMoodStats({ userId: USER_ID, query: {} }, fakeResponse()), { message: 'connection lost' });
+});
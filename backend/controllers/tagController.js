@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Tag = require('../models/tag');
+const MoodLog = require('../models/moodLog');
+const { MAX_TAGS, NAME_COLLATION } = require('../models/tag');
+const { badRequest, notFound, conflict, DUPLICATE_KEY } = require('../utils/errors');
+const { publishMoodEvent } = require('../utils/moodEvents');
+
+const toTagJson = (tag, count) => ({ _id: tag._id, name: tag.name, count });
+
+const duplicateName = (name) => conflict(`You already have a tag called "${name}"`);
+
+// The signed-in user's tags in alphabetical order, with how many mood logs use each
+const getTags = async (req, res) => {
+  const [tags, usage] = await Promise.all([
+    Tag.find({ userId: req.userId }).collation(NAME_COLLATION).sort({ name: 1 }),
+    MoodLog.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(req.userId) } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const counts = new Map(usage.map(({ _id, count }) => [_id, count]));
+  res.status(200).json(tags.map(tag => toTagJson(tag, counts.get(tag.name) || 0)));
+};
+
+// Add a tag to the vocabulary; names are unique regardless of case
+const createTag = async (req, res) => {
+  const count = await Tag.countDocuments({ userId: req.userId });
+  if (count >= MAX_TAGS) {
+    throw badRequest(`You can have at most ${MAX_TAGS} tags`);
+  }
+
+  const tag = new Tag({ userId: req.userId, name: req.body.name });
+  try {
+    await tag.save();
+  } catch (err) {
+    if (err.code === DUPLICATE_KEY) {
+      throw duplicateName(tag.name);
+    }
+    throw err;
+  }
+  res.status(201).json(toTagJson(tag, 0));
+};
+
+// Rename a tag, along with every mood log that carries it
+const renameTag = async (req, res) => {
+  const tag = await Tag.findOne({ _id: req.params.id, userId: req.userId });
+  if (!tag) {
+    throw notFound('Tag not found');
+  }
+
+  const previousName = tag.name;
+  tag.name = req.body.name;
+  try {
+    await tag.save();
+  } catch (err) {
+    if (err.code === DUPLICATE_KEY) {
+      throw duplicateName(tag.name);
+    }
+    throw err;
+  }
+
+  // Logs match the tag case-insensitively, like the vocabulary does
+  if (tag.name !== previousName) {
+    const result = await MoodLog.updateMany(
+      { userId: req.userId, tags: previousName },
+      { $set: { 'tags.$[tag]': tag.name } },
+      { arrayFilters: [{ tag: previousName }], collation: NAME_COLLATION }
+    );
+    if (result.modifiedCount > 0) {
+      publishMoodEvent(req.userId, 'refresh');
+    }
+  }
+
+  const count = await MoodLog.countDocuments({ userId: req.userId, tags: tag.name }, { collation: NAME_COLLATION });
+  res.status(200).json(toTagJson(tag, count));
+};
+
+// Remove a tag from the vocabulary and from every mood log that carries it
+const deleteTag = async (req, res) => {
+  const tag = await Tag.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+  if (!tag) {
+    throw notFound('Tag not found');
+  }
+
+  const result = await MoodLog.updateMany(
+    { userId: req.userId, tags: tag.name },
+    { $pull: { tags: tag.name } },
+    { collation: NAME_COLLATION }
+  );
+  if (result.modifiedCount > 0) {
+    publishMoodEvent(req.userId, 'refresh');
+  }
+  res.status(200).json({ message: 'Tag deleted', id: tag._id, removedFrom: result.modifiedCount });
+};
+
+module.exports = { getTags, createTag, renameTag, deleteTag };
@@ -0,0 +1,57 @@
+const MoodLog = require('../models/moodLog');
+const User = require('../models/user');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Logs past the cutoff that still carry details, kept only if their owner has this retention period.
+// MongoDB joins and writes them back itself, so no user or log list is loaded here
+const expiredDetailsPipeline = (days, cutoff) => [
+  {
+    $match: {
+      timestamp: { $lt: cutoff },
+      $or: [{ faceDetails: { $ne: null } }, { handDetails: { $ne: null } }]
+    }
+  },
+  {
+    $lookup: {
+      from: User.collection.name,
+      localField: 'userId',
+      foreignField: '_id',
+      pipeline: [{ $match: { 'privacy.retentionDays': days } }, { $project: { _id: 1 } }],
+      as: 'owner'
+    }
+  },
+  { $match: { owner: { $ne: [] } } },
+  { $project: { _id: 1 } },
+  {
+    $merge: {
+      into: MoodLog.collection.name,
+      on: '_id',
+      whenMatched: [{ $set: { faceDetails: null, handDetails: null } }],
+      whenNotMatched: 'discard'
+    }
+  }
+];
+
+// Clear face/hand details from logs older than each user's retention period,
+// with one update per distinct period rather than per user
+const purgeExpiredDetails = async (now = Date.now()) => {
+  // Users who turned retention off have no period and keep their details
+  const periods = (await User.distinct('privacy.retentionDays')).filter(days => days > 0);
+
+  for (const days of periods) {
+    await MoodLog.aggregate(expiredDetailsPipeline(days, new Date(now - days * DAY_MS)));
+  }
+};
+
+// Run the purge now and then every intervalMs
+const startRetentionJob = (intervalMs) => {
+  const run = () => {
+    purgeExpiredDetails().catch(err => console.error('Retention job failed:', err));
+  };
+
+  run();
+  return setInterval(run, intervalMs);
+};
+
+module.exports = { purgeExpiredDetails, startRetentionJob };
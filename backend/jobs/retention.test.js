@@ -0,0 +1,50 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const MoodLog = require('../models/moodLog');
+const User = require('../models/user');
+const { purgeExpiredDetails } = require('./retention');
+
+const NOW = Date.parse('2024-03-31T12:00:00Z');
+
+// The retention period and cutoff of each update the purge ran
+const runPurge = async (periods) => {
+  mock.method(User, 'distinct', async () => periods);
+  const aggregate = mock.method(MoodLog, 'aggregate', async () => []);
+
+  await purgeExpiredDetails(NOW);
+
+  return aggregate.mock.calls.map(({ arguments: [pipeline] }) => ({
+    days: pipeline[1].$lookup.pipeline[0].$match['privacy.retentionDays'],
+    cutoff: pipeline[0].$match.timestamp.$lt
+  }));
+};
+
+afterEach(() => mock.restoreAll());
+
+test('runs one update per retention period, cut off that many days ago', async () => {
+  assert.deepEqual(await runPurge([30, 7]), [
+    { days: 30, cutoff: new Date('2024-03-01T12:00:00Z') },
+    { days: 7, cutoff: new Date('2024-03-24T12:00:00Z') }
+  ]);
+});
+
+test('leaves alone users with no retention period', async () => {
+  assert.deepEqual(await runPurge([null, 1]), [{ days: 1, cutoff: new Date('2024-03-30T12:00:00Z') }]);
+  assert.deepEqual(await runPurge([null]), []);
+});
+
+test('only clears details, and only on logs that still have them', async () => {
+  mock.method(User, 'distinct', async () => [30]);
+  const aggregate = mock.method(MoodLog, 'aggregate', async () => []);
+
+  await purgeExpiredDetails(NOW);
+
+  const [pipeline] = aggregate.mock.calls[0].arguments;
+  assert.deepEqual(pipeline[0].$match.$or, [{ faceDetails: { $ne: null } }, { handDetails: { $ne: null } }]);
+  assert.deepEqual(pipeline.at(-1).$merge, {
+    into: MoodLog.collection.name,
+    on: '_id',
+    whenMatched: [{ $set: { faceDetails: null, handDetails: null } }],
+    whenNotMatched: 'discard'
+  });
+});
@@ -0,0 +1,62 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/user');
+const { unauthorized } = require('../utils/errors');
+
+// Scope of the tokens the service worker sends queued mood logs with
+const SYNC_SCOPE = 'outbox-sync';
+
+// Read at call time so values from .env are picked up after dotenv.config().
+// server.js refuses to start without it, so there is no default to forge tokens with.
+const getSecret = () => process.env.JWT_SECRET;
+
+// Issue a signed token for a user
+const signToken = (user) => {
+  return jwt.sign({ sub: user._id.toString() }, getSecret(), {
+    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+  });
+};
+
+// Issue a short-lived token that can only create mood logs, for the service worker to
+// send the outbox with while no tab is open. Returns { token, expiresAt }.
+const signSyncToken = (userId) => {
+  const token = jwt.sign({ sub: String(userId), scope: SYNC_SCOPE }, getSecret(), {
+    expiresIn: process.env.SYNC_TOKEN_EXPIRES_IN || '1d'
+  });
+  return { token, expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString() };
+};
+
+// Require a valid "Authorization: Bearer <token>" header for an account that still
+// exists, and expose the user id as req.userId. Scoped tokens only pass where allowed.
+const authenticate = (allowedScopes) => async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(unauthorized('Authentication required'));
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, getSecret());
+  } catch (err) {
+    return next(unauthorized('Invalid or expired token'));
+  }
+  if (payload.scope && !allowedScopes.includes(payload.scope)) {
+    return next(unauthorized('This token can only send queued mood logs'));
+  }
+
+  // Tokens outlive a deleted account, and must not keep writing data for it
+  if (!await User.exists({ _id: payload.sub })) {
+    return next(unauthorized('This account no longer exists'));
+  }
+  req.userId = payload.sub;
+  next();
+};
+
+// A signed-in session
+const requireAuth = authenticate([]);
+
+// A signed-in session, or the service worker's sync token
+const requireAuthOrSyncToken = authenticate([SYNC_SCOPE]);
+
+module.exports = { signToken, signSyncToken, requireAuth, requireAuthOrSyncToken };
@@ -0,0 +1,51 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/user');
+const { signToken, signSyncToken, requireAuth, requireAuthOrSyncToken } = require('./auth');
+
+const USER_ID = '65f000000000000000000001';
+
+// Accounts in the fake user collection
+const accounts = new Set();
+
+// Run the middleware on a fake request; resolves with the request and the error it passed on, if any
+const authenticate = (authorization, middleware = requireAuth) => new Promise(resolve => {
+  const req = { headers: { authorization } };
+  middleware(req, {}, (err) => resolve({ req, err }));
+});
+
+beforeEach(() => {
+  process.env.JWT_SECRET = 'test-secret';
+  accounts.clear();
+  accounts.add(USER_ID);
+  mock.method(User, 'exists', async ({ _id }) => (accounts.has(String(_id)) ? { _id } : null));
+});
+
+test('accepts a valid token and exposes the user id', async () => {
+  const { req, err } = await authenticate(`Bearer ${signToken({ _id: USER_ID })}`);
+  assert.equal(err, undefined);
+  assert.equal(req.userId, USER_ID);
+});
+
+test('rejects a missing or forged token', async () => {
+  assert.equal((await authenticate(undefined)).err.status, 401);
+  assert.equal((await authenticate('Bearer not-a-token')).err.message, 'Invalid or expired token');
+});
+
+test('rejects the token of an account deleted after it was issued', async () => {
+  const authorization = `Bearer ${signToken({ _id: USER_ID })}`;
+  accounts.delete(USER_ID);
+  const { req, err } = await authenticate(authorization);
+  assert.equal(err.status, 401);
+  assert.equal(err.message, 'This account no longer exists');
+  assert.equal(req.userId, undefined);
+});
+
+test('sync tokens only pass where sending queued logs is allowed', async () => {
+  const { token, expiresAt } = signSyncToken(USER_ID);
+  assert.ok(new Date(expiresAt) > new Date());
+  assert.equal((await authenticate(`Bearer ${token}`, requireAuthOrSyncToken)).req.userId, USER_ID);
+  const { err } = await authenticate(`Bearer ${token}`);
+  assert.equal(err.status, 401);
+  assert.equal(err.message, 'This token can only send queued mood logs');
+});
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { ApiError, badRequest, notFound } = require('../utils/errors');
+
+// Map anything a route can throw onto an ApiError; unexpected errors become a
+// generic 500 so internal details never reach the client
+const toApiError = (err) => {
+  if (err instanceof ApiError) {
+    return err;
+  }
+  // Raised by body-parser before a route runs
+  if (err.type === 'entity.too.large') {
+    return new ApiError(413, 'PAYLOAD_TOO_LARGE', `Request body must be smaller than ${err.limit} bytes`);
+  }
+  if (err.type === 'entity.parse.failed') {
+    return new ApiError(400, 'INVALID_JSON', 'Request body is not valid JSON');
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    const fields = {};
+    Object.values(err.errors).forEach(fieldError => {
+      fields[fieldError.path] = fieldError.message;
+    });
+    return badRequest('Some fields are invalid', fields);
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    return badRequest(`Invalid ${err.path}`, { [err.path]: `must be a valid ${err.kind}` });
+  }
+  return new ApiError(500, 'INTERNAL_ERROR', 'Something went wrong on our side. Please try again.');
+};
+
+// Catch-all for /api paths no router handled
+const notFoundHandler = (req, res, next) => {
+  next(notFound(`No route for ${req.method} ${req.path}`));
+};
+
+// Express 5 forwards errors thrown by async route handlers here
+const errorHandler = (err, req, res, next) => {
+  // A response that already started streaming can only be cut short
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const apiError = toApiError(err);
+  if (apiError.status >= 500) {
+    console.error(`${req.method} ${req.originalUrl} failed:`, err);
+  }
+  res.status(apiError.status).json({
+    error: { code: apiError.code, message: apiError.message, fields: apiError.fields }
+  });
+};
+
+module.exports = { errorHandler, notFoundHandler };
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const { badRequest } = require('../utils/errors');
+const { isValidTimezone } = require('../utils/moodStats');
+
+// Client clocks drift, so timestamps a little ahead of ours still count as "now"
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Items in an array, or entries in an object
+const sizeOf = (value) => (Array.isArray(value) ? value.length : Object.keys(value).length);
+
+// Shape checks for each rule type, with how to describe it in an error
+const TYPES = {
+  string: { check: (value) => typeof value === 'string', name: 'a string' },
+  number: { check: (value) => typeof value === 'number' && Number.isFinite(value), name: 'a number' },
+  integer: { check: Number.isInteger, name: 'a whole number' },
+  // Query string numbers arrive as text
+  numeric: { check: (value) => typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)), name: 'a number' },
+  boolean: { check: (value) => typeof value === 'boolean', name: 'true or false' },
+  object: { check: isPlainObject, name: 'an object' },
+  array: { check: Array.isArray, name: 'a list' },
+  date: {
+    check: (value) => (typeof value === 'string' || typeof value === 'number') && !Number.isNaN(new Date(value).getTime()),
+    name: 'a date'
+  },
+  objectId: { check: (value) => typeof value === 'string' && mongoose.isValidObjectId(value), name: 'a valid id' },
+  timezone: { check: (value) => typeof value === 'string' && isValidTimezone(value), name: 'a known timezone' }
+};
+
+/*
+ * Check one value against a rule, recording problems in fields by path. A rule is
+ * { type, required, nullable, enum, listOf, pattern, minLength, maxLength, min, max,
+ *   notInFuture, keys, requiredKeys, values, items, minItems, maxItems, itemCounts }
+ * where listOf checks each item of a comma-separated list, keys limits an object's keys,
+ * values is the rule for each of its values and items the rule for each entry of an
+ * array. minItems and maxItems count array items or object entries; itemCounts lists
+ * the only array lengths allowed.
+ */
+const checkValue = (path, value, rule, fields) => {
+  if (value === undefined) {
+    if (rule.required) fields[path] = 'is required';
+    return;
+  }
+  if (value === null) {
+    if (!rule.nullable) fields[path] = 'must not be null';
+    return;
+  }
+
+  const type = TYPES[rule.type];
+  if (!type.check(value)) {
+    fields[path] = `must be ${type.name}`;
+    return;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    fields[path] = `must be one of: ${rule.enum.join(', ')}`;
+  } else if (rule.listOf && value.split(',').some(item => !rule.listOf.includes(item))) {
+    fields[path] = `must be a comma-separated list of: ${rule.listOf.join(', ')}`;
+  } else if (rule.pattern && !rule.pattern.test(value)) {
+    fields[path] = rule.patternMessage || 'is not in the expected format';
+  } else if (rule.minItems !== undefined && sizeOf(value) < rule.minItems) {
+    fields[path] = rule.minItems === 1 ? 'must not be empty' : `must have at least ${rule.minItems} items`;
+  } else if (rule.maxItems !== undefined && sizeOf(value) > rule.maxItems) {
+    fields[path] = `must have at most ${rule.maxItems} items`;
+  } else if (rule.itemCounts && !rule.itemCounts.includes(value.length)) {
+    fields[path] = `must have ${rule.itemCounts.join(' or ')} items`;
+  } else if (rule.minLength !== undefined && value.length < rule.minLength) {
+    fields[path] = `must be at least ${rule.minLength} characters`;
+  } else if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    fields[path] = `must be at most ${rule.maxLength} characters`;
+  } else if (rule.min !== undefined && Number(value) < rule.min) {
+    fields[path] = `must be at least ${rule.min}`;
+  } else if (rule.max !== undefined && Number(value) > rule.max) {
+    fields[path] = `must be at most ${rule.max}`;
+  } else if (rule.notInFuture && new Date(value).getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+    fields[path] = 'must not be in the future';
+  } else if (rule.type === 'object') {
+    (rule.requiredKeys || [])
+      .filter(key => value[key] === undefined)
+      .forEach(key => {
+        fields[`${path}.${key}`] = 'is required';
+      });
+    Object.entries(value).forEach(([key, item]) => {
+      if (rule.keys && !rule.keys.includes(key)) {
+        fields[`${path}.${key}`] = `is not one of: ${rule.keys.join(', ')}`;
+      } else if (rule.values) {
+        checkValue(`${path}.${key}`, item, rule.values, fields);
+      }
+    });
+  } else if (rule.type === 'array' && rule.items) {
+    value.forEach((item, index) => checkValue(`${path}.${index}`, item, rule.items, fields));
+  }
+};
+
+// Fields of one part of the request; the body is strict about fields it doesn't know
+const checkPart = (part, input, schema, fields) => {
+  if (part === 'body' && input !== undefined && !isPlainObject(input)) {
+    fields.body = 'must be a JSON object';
+    return;
+  }
+  const values = input || {};
+
+  Object.entries(schema).forEach(([name, rule]) => {
+    // An empty query parameter (?from=) means the filter isn't set
+    const value = part === 'query' && values[name] === '' ? undefined : values[name];
+    checkValue(name, value, rule, fields);
+  });
+
+  if (part === 'body') {
+    Object.keys(values)
+      .filter(name => !schema[name])
+      .forEach(name => {
+        fields[name] = 'is not allowed';
+      });
+  }
+};
+
+// Middleware that rejects requests whose params, query, headers or body don't match the schemas
+const validate = (schemas) => (req, res, next) => {
+  const fields = {};
+  ['params', 'query', 'headers', 'body'].forEach(part => {
+    if (schemas[part]) checkPart(part, req[part], schemas[part], fields);
+  });
+
+  const problems = Object.entries(fields);
+  if (problems.length === 0) {
+    return next();
+  }
+  const message = problems.length === 1
+    ? `${problems[0][0]} ${problems[0][1]}`
+    : `${problems.length} fields are invalid`;
+  next(badRequest(message, fields));
+};
+
+module.exports = { validate };
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate } = require('./validate');
+const schemas = require('../utils/moodSchemas');
+const authSchemas = require('../utils/authSchemas');
+const calibrationSchemas = require('../utils/calibrationSchemas');
+const sampleSchemas = require('../utils/sampleSchemas');
+
+// Run the middleware on a fake request; resolves with the error it passed on, if any
+const check = (schema, req) => new Promise(resolve => {
+  validate(schema)({ params: {}, query: {}, headers: {}, ...req }, {}, resolve);
+});
+
+const ID = '65f000000000000000000001';
+
+test('accepts a complete mood log', async () => {
+  const err = await check(schemas.createMoodLog, {
+    headers: { 'idempotency-key': 'a1b2c3d4-e5f6' },
+    body: {
+      mood: 'happy',
+      notes: 'Good day',
+      tags: ['work', 'gym'],
+      sleepHours: 7.5,
+      energy: 4,
+      location: 'Home',
+      emotionScores: { happy: 0.8, sad: 0.2 },
+      source: 'manual',
+      timestamp: new Date().toISOString()
+    }
+  });
+  assert.equal(err, undefined);
+});
+
+test('rejects fields the schema does not know', async () => {
+  const err = await check(schemas.createMoodLog, { body: { mood: 'happy', userId: ID } });
+  assert.equal(err.status, 400);
+  assert.equal(err.code, 'VALIDATION_FAILED');
+  assert.deepEqual(err.fields, { userId: 'is not allowed' });
+  assert.equal(err.message, 'userId is not allowed');
+});
+
+test('reports every problem by field', async () => {
+  const err = await check(schemas.createMoodLog, {
+    body: { mood: 'elated', energy: 6, tags: ['ok', 'a,b'], emotionScores: { happy: 2, bored: 0.1 } }
+  });
+  assert.equal(err.message, '5 fields are invalid');
+  assert.deepEqual(err.fields, {
+    mood: 'must be one of: happy, sad, angry, surprised, neutral, fearful, disgusted',
+    energy: 'must be at most 5',
+    'tags.1': 'must not be blank or contain commas',
+    'emotionScores.happy': 'must be at most 1',
+    'emotionScores.bored': 'is not one of: happy, sad, angry, surprised, neutral, fearful, disgusted'
+  });
+});
+
+test('checks required fields, types and nulls', async () => {
+  assert.deepEqual((await check(schemas.createMoodLog, { body: {} })).fields, { mood: 'is required' });
+  assert.deepEqual((await check(schemas.createMoodLog, { body: { mood: 'sad', notes: 5 } })).fields, { notes: 'must be a string' });
+  assert.deepEqual((await check(schemas.createMoodLog, { body: { mood: 'sad', notes: null } })).fields, { notes: 'must not be null' });
+  assert.equal(await check(schemas.createMoodLog, { body: { mood: 'sad', energy: null, emotionScores: null } }), undefined);
+  assert.deepEqual((await check(schemas.createMoodLog, { body: ['happy'] })).fields, { body: 'must be a JSON object' });
+});
+
+test('rejects timestamps in the future beyond clock skew', async () => {
+  const soon = new Date(Date.now() + 60 * 1000).toISOString();
+  const later = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  assert.equal(await check(schemas.createMoodLog, { body: { mood: 'happy', timestamp: soon } }), undefined);
+  const err = await check(schemas.createMoodLog, { body: { mood: 'happy', timestamp: later } });
+  assert.deepEqual(err.fields, { timestamp: 'must not be in the future' });
+});
+
+test('checks the idempotency key header', async () => {
+  const err = await check(schemas.createMoodLog, { headers: { 'idempotency-key': 'short' }, body: { mood: 'happy' } });
+  assert.deepEqual(err.fields, { 'idempotency-key': 'must be 8 to 100 letters, digits, - or _' });
+});
+
+test('checks route params', async () => {
+  assert.equal(await check(schemas.moodLogId, { params: { id: ID } }), undefined);
+  const err = await check(schemas.moodLogId, { params: { id: 'nope' } });
+  assert.deepEqual(err.fields, { id: 'must be a valid id' });
+});
+
+test('query strings allow unknown parameters and treat empty ones as unset', async () => {
+  assert.equal(await check(schemas.moodHistory, { query: { from: '', mood: 'happy,sad', limit: '10', page: '2' } }), undefined);
+});
+
+test('checks query string values', async () => {
+  const err = await check(schemas.moodHistory, {
+    query: { from: 'yesterday', mood: 'happy,bored', limit: 'ten', minConfidence: '1.5' }
+  });
+  assert.deepEqual(err.fields, {
+    from: 'must be a date',
+    mood: 'must be a comma-separated list of: happy, sad, angry, surprised, neutral, fearful, disgusted',
+    limit: 'must be a number',
+    minConfidence: 'must be at most 1'
+  });
+});
+
+test('checks the stats interval, timezone and date range', async () => {
+  assert.equal(await check(schemas.moodStats, { query: { interval: 'week', tz: 'Europe/London', from: '2024-03-01' } }), undefined);
+  const err = await check(schemas.moodStats, { query: { interval: 'year', tz: 'Mars/Olympus', to: 'soon' } });
+  assert.deepEqual(err.fields, {
+    interval: 'must be one of: day, week, month',
+    tz: 'must be a known timezone',
+    to: 'must be a date'
+  });
+});
+
+test('checks the monthly report month format', async () => {
+  assert.equal(await check(schemas.monthlyReport, { query: { month: '2024-03' } }), undefined);
+  const err = await check(schemas.monthlyReport, { query: { month: '2024-13' } });
+  assert.deepEqual(err.fields, { month: 'must be in YYYY-MM format' });
+});
+
+test('checks the email and password of a new account', async () => {
+  const body = { name: 'Sam', email: ' sam@example.com ', password: 'correct horse' };
+  assert.equal(await check(authSchemas.register, { body }), undefined);
+  const err = await check(authSchemas.register, { body: { email: 'sam@example', password: 'short' } });
+  assert.deepEqual(err.fields, { email: 'must be an email address', password: 'must be at least 8 characters' });
+  assert.deepEqual((await check(authSchemas.login, { body: { email: 'sam@example.com', password: ' ' } })).fields,
+    { password: 'is required' });
+  assert.deepEqual((await check(authSchemas.register, { body: { email: 'sam@example.com', password: ' '.repeat(8) } })).fields,
+    { password: 'must not be blank' });
+});
+
+test('checks calibration poses and their features', async () => {
+  const body = { featureVersion: 2, poses: { neutral: { mouthWidth: 0.4 }, happy: { mouthWidth: 0.5 } }, sampleCounts: { neutral: 30 } };
+  assert.equal(await check(calibrationSchemas.saveCalibration, { body }), undefined);
+  const err = await check(calibrationSchemas.saveCalibration, {
+    body: { featureVersion: 0, poses: { happy: {}, bored: { mouthWidth: 0.5 } }, extra: true }
+  });
+  assert.deepEqual(err.fields, {
+    featureVersion: 'must be at least 1',
+    'poses.neutral': 'is required',
+    'poses.happy': 'must not be empty',
+    'poses.bored': 'is not one of: neutral, happy, sad, surprised',
+    extra: 'is not allowed'
+  });
+});
+
+test('checks that a labelled sample carries a whole face mesh', async () => {
+  const landmarks = Array.from({ length: 468 }, () => [0.1, -0.2, 0]);
+  const body = { detector: 'landmarks', predictedMood: null, label: 'happy', landmarks };
+  assert.equal(await check(sampleSchemas.addSample, { body }), undefined);
+  assert.deepEqual((await check(sampleSchemas.addSample, { body: { ...body, landmarks: landmarks.slice(1) } })).fields,
+    { landmarks: 'must have 468 or 478 items' });
+  const badPoint = landmarks.map((point, index) => (index === 3 ? [0.1] : point));
+  assert.deepEqual((await check(sampleSchemas.addSample, { body: { ...body, label: 'bored', landmarks: badPoint } })).fields, {
+    label: 'must be one of: happy, sad, angry, surprised, neutral, fearful, disgusted',
+    'landmarks.3': 'must have at least 2 items'
+  });
+});
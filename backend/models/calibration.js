@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Faces the calibration wizard asks for; neutral is the baseline the others are compared against
+const POSES = ['neutral', 'happy', 'sad', 'surprised'];
+
+// Per-user baselines for the landmark emotion scorer: the mean normalized face features for each pose
+const calibrationSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  // Bumped by the client when the feature set changes, so stale baselines can be ignored
+  featureVersion: { type: Number, required: true },
+  poses: { type: mongoose.Schema.Types.Mixed, required: true },
+  sampleCounts: { type: Map, of: Number, default: {} },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Calibration', calibrationSchema);
+module.exports.POSES = POSES;
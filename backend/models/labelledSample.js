@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Face mesh sizes accepted: 468 points, or 478 with the iris points
+const LANDMARK_COUNTS = [468, 478];
+
+// A detected mood the user confirmed or corrected, with the face landmarks it was detected from.
+// Landmarks are normalized on the client (centred between the eyes, in units of inter-ocular
+// distance), so they carry the face's shape but not its position, size or any image.
+const labelledSampleSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  detector: { type: String, required: true },
+  predictedMood: { type: String, default: null },
+  label: { type: String, required: true },
+  landmarks: { type: [[Number]], required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('LabelledSample', labelledSampleSchema);
+module.exports.LANDMARK_COUNTS = LANDMARK_COUNTS;
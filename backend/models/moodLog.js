@@ -1,9 +1,30 @@
 const mongoose = require('mongoose');
 
+// Moods the detector and the UI know about
+const MOODS = ['happy', 'sad', 'angry', 'surprised', 'neutral', 'fearful', 'disgusted'];
+
+// Whether scores came from a detector, were entered by hand or were imported from another tracker
+const SOURCES = ['detected', 'manual', 'imported'];
+
+const MAX_NOTES_LENGTH = 2000;
+const MAX_TAGS_PER_LOG = 20;
+const MAX_LOCATION_LENGTH = 80;
+
 const moodLogSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
   mood: { type: String, required: true },
   date: { type: Date, default: Date.now },
   notes: { type: String, default: "" },
+  // Names from the user's tag vocabulary (models/tag), e.g. work, exercise
+  tags: { type: [String], default: [] },
+  // Optional context: hours slept the night before, energy from 1 (drained) to 5, and a place label
+  sleepHours: { type: Number, min: 0, max: 24, default: null },
+  energy: { type: Number, min: 1, max: 5, default: null },
+  location: { type: String, maxlength: MAX_LOCATION_LENGTH, default: "" },
   emotionScores: { 
     type: Map, 
     of: Number,
@@ -17,7 +38,27 @@ const moodLogSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: null
   },
-  timestamp: { type: Date, default: Date.now }
+  // Which detector produced the scores (landmarks, expressionModel, manual, ...)
+  detector: { type: String, default: null },
+  source: { type: String, enum: SOURCES, default: 'detected' },
+  timestamp: { type: Date, default: Date.now },
+  // Client-generated key for a create request, so a resent request returns the same log
+  idempotencyKey: { type: String }
 });
 
+// History is always read per user, newest first; the (timestamp, _id) pair backs cursor pagination
+moodLogSchema.index({ userId: 1, timestamp: -1, _id: -1 });
+moodLogSchema.index({ userId: 1, mood: 1, timestamp: -1 });
+moodLogSchema.index({ userId: 1, tags: 1, timestamp: -1 });
+moodLogSchema.index({ notes: 'text' });
+moodLogSchema.index(
+  { userId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
 module.exports = mongoose.model('MoodLog', moodLogSchema);
+module.exports.MOODS = MOODS;
+module.exports.SOURCES = SOURCES;
+module.exports.MAX_NOTES_LENGTH = MAX_NOTES_LENGTH;
+module.exports.MAX_TAGS_PER_LOG = MAX_TAGS_PER_LOG;
+module.exports.MAX_LOCATION_LENGTH = MAX_LOCATION_LENGTH;
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const MAX_TAG_LENGTH = 40;
+const MAX_TAGS = 200;
+// Commas separate tags in the ?tags= filter, so names can't contain them
+const TAG_NAME_PATTERN = /^[^,]*[^,\s][^,]*$/;
+
+// Compare names case-insensitively, so "Work" and "work" are the same tag
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// One entry in a user's vocabulary of tags and activities (work, exercise, sleep, ...).
+// Mood logs keep the names, so renaming or deleting a tag updates them too.
+const tagSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true, maxlength: MAX_TAG_LENGTH, match: TAG_NAME_PATTERN },
+  createdAt: { type: Date, default: Date.now }
+});
+
+tagSchema.index({ userId: 1, name: 1 }, { unique: true, collation: NAME_COLLATION });
+
+module.exports = mongoose.model('Tag', tagSchema);
+module.exports.MAX_TAG_LENGTH = MAX_TAG_LENGTH;
+module.exports.MAX_TAGS = MAX_TAGS;
+module.exports.TAG_NAME_PATTERN = TAG_NAME_PATTERN;
+module.exports.NAME_COLLATION = NAME_COLLATION;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Privacy levels, from least to most stored
+const STORE_LEVELS = ['mood', 'scores', 'biometrics'];
+
+const MAX_RETENTION_DAYS = 3650;
+
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: { type: String, default: "" },
+  passwordHash: { type: String, required: true },
+  privacy: {
+    // What a mood log keeps: just the mood, the mood plus emotion scores, or also face/hand details
+    storeLevel: { type: String, enum: STORE_LEVELS, default: 'scores' },
+    // Face/hand details older than this are purged; null keeps them
+    retentionDays: { type: Number, min: 1, max: MAX_RETENTION_DAYS, default: 30 }
+  },
+  // Check-in reminders, shown as notifications on the user's devices in their local time
+  reminders: {
+    enabled: { type: Boolean, default: false },
+    // Times of day as "HH:MM"
+    times: { type: [String], default: ['20:00'] },
+    // Days of the week they apply on, 0 = Sunday
+    days: { type: [Number], default: [0, 1, 2, 3, 4, 5, 6] }
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Never send the password hash back to the client
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('User', userSchema);
+module.exports.STORE_LEVELS = STORE_LEVELS;
+module.exports.MAX_RETENTION_DAYS = MAX_RETENTION_DAYS;
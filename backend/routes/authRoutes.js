@@ -0,0 +1,14 @@
+const express = require('express');
+const authController = require('../controllers/authController');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../utils/authSchemas');
+
+const router = express.Router();
+
+router.post('/register', validate(schemas.register), authController.register);
+router.post('/login', validate(schemas.login), authController.login);
+router.get('/me', requireAuth, authController.getCurrentUser);
+router.post('/sync-token', requireAuth, authController.issueSyncToken);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const calibrationController = require('../controllers/calibrationController');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../utils/calibrationSchemas');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.get('/', calibrationController.getCalibration);
+router.put('/', validate(schemas.saveCalibration), calibrationController.saveCalibration);
+router.delete('/', calibrationController.deleteCalibration);
+
+module.exports = router;
@@ -1,9 +1,32 @@
 const express = require('express');
 const moodController = require('../controllers/moodController');
+const statsController = require('../controllers/statsController');
+const exportController = require('../controllers/exportController');
+const reportController = require('../controllers/reportController');
+const importController = require('../controllers/importController');
+const moodEventsController = require('../controllers/moodEventsController');
+const { requireAuth, requireAuthOrSyncToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../utils/moodSchemas');
 
 const router = express.Router();
 
-router.post('/log', moodController.addMoodLog);
-router.get('/history', moodController.getMoodHistory);
+// The service worker sends queued logs while no tab is open, with a sync token
+router.post('/log', requireAuthOrSyncToken, validate(schemas.createMoodLog), moodController.addMoodLog);
+
+// Every other mood route belongs to a signed-in user
+router.use(requireAuth);
+
+router.get('/history', validate(schemas.moodHistory), moodController.getMoodHistory);
+router.get('/stats', validate(schemas.moodStats), statsController.getMoodStats);
+router.get('/export', validate(schemas.moodExport), exportController.exportMoods);
+router.get('/report', validate(schemas.monthlyReport), reportController.getMonthlyReport);
+router.post('/import', validate(schemas.moodImport), importController.importMoods);
+router.get('/events', moodEventsController.streamMoodEvents);
+
+// Keep the /:id routes last so they don't shadow the named routes above
+router.get('/:id', validate(schemas.moodLogId), moodController.getMoodLog);
+router.patch('/:id', validate(schemas.updateMoodLog), moodController.updateMoodLog);
+router.delete('/:id', validate(schemas.moodLogId), moodController.deleteMoodLog);
 
 module.exports = router;
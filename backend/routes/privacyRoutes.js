@@ -0,0 +1,15 @@
+const express = require('express');
+const privacyController = require('../controllers/privacyController');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../utils/privacySchemas');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.get('/', privacyController.getPrivacy);
+router.put('/', validate(schemas.updatePrivacy), privacyController.updatePrivacy);
+router.delete('/data', privacyController.deleteAllData);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const reminderController = require('../controllers/reminderController');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../utils/reminderSchemas');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.get('/', reminderController.getReminders);
+router.put('/', validate(schemas.updateReminders), reminderController.updateReminders);
+
+module.exports = router;
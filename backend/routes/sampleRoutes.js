@@ -0,0 +1,14 @@
+const express = require('express');
+const sampleController = require('../controllers/sampleController');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../utils/sampleSchemas');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.post('/', validate(schemas.addSample), sampleController.addSample);
+router.get('/', validate(schemas.getSamples), sampleController.getSamples);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const tagController = require('../controllers/tagController');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../utils/tagSchemas');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.get('/', tagController.getTags);
+router.post('/', validate(schemas.createTag), tagController.createTag);
+router.patch('/:id', validate(schemas.renameTag), tagController.renameTag);
+router.delete('/:id', validate(schemas.tagId), tagController.deleteTag);
+
+module.exports = router;
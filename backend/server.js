@@ -4,23 +4,56 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const bodyParser = require('body-parser');
 const moodRoutes = require('./routes/moodRoutes');
+const authRoutes = require('./routes/authRoutes');
+const calibrationRoutes = require('./routes/calibrationRoutes');
+const sampleRoutes = require('./routes/sampleRoutes');
+const privacyRoutes = require('./routes/privacyRoutes');
+const reminderRoutes = require('./routes/reminderRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const { startRetentionJob } = require('./jobs/retention');
+const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 
 dotenv.config();
 
+// Settings the server can't run safely without
+const REQUIRED_ENV = ['MONGO_URI', 'JWT_SECRET'];
+const missingEnv = REQUIRED_ENV.filter(name => !process.env[name]);
+if (missingEnv.length > 0) {
+  console.error(`Missing required environment variables: ${missingEnv.join(', ')}. Set them in backend/.env.`);
+  process.exit(1);
+}
+
 const app = express();
 app.use(cors());
-app.use(bodyParser.json());
+// Imports carry a whole CSV export, so they get more room than other requests
+app.use('/api/moods/import', bodyParser.json({ limit: process.env.IMPORT_BODY_LIMIT || '5mb' }));
+app.use(bodyParser.json({ limit: process.env.JSON_BODY_LIMIT || '64kb' }));
 
 const PORT = process.env.PORT || 5000;
+// How often expired detection details are purged (default hourly)
+const RETENTION_INTERVAL_MS = Number(process.env.RETENTION_INTERVAL_MS) || 60 * 60 * 1000;
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGO_URI)
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    startRetentionJob(RETENTION_INTERVAL_MS);
+  })
   .catch((err) => console.log('MongoDB connection error:', err));
 
 
 // Routes
+app.use('/api/auth', authRoutes);
 app.use('/api/moods', moodRoutes);
+app.use('/api/calibration', calibrationRoutes);
+app.use('/api/samples', sampleRoutes);
+app.use('/api/privacy', privacyRoutes);
+app.use('/api/reminders', reminderRoutes);
+app.use('/api/tags', tagRoutes);
+
+// Anything left over gets the { error: { code, message, fields } } shape
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
 
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
@@ -0,0 +1,30 @@
+// Request schemas for the auth routes, checked by the validate middleware
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// The user model trims emails, so surrounding spaces are fine
+const email = {
+  type: 'string',
+  required: true,
+  maxLength: 254,
+  pattern: /^\s*[^\s@]+@[^\s@]+\.[^\s@]+\s*$/,
+  patternMessage: 'must be an email address'
+};
+
+// Blank like at login, so an all-spaces password can't register and then never log in
+const register = {
+  body: {
+    email,
+    password: { type: 'string', required: true, pattern: /\S/, patternMessage: 'must not be blank', minLength: MIN_PASSWORD_LENGTH },
+    name: { type: 'string', maxLength: 100 }
+  }
+};
+
+const login = {
+  body: {
+    email,
+    password: { type: 'string', required: true, pattern: /\S/, patternMessage: 'is required' }
+  }
+};
+
+module.exports = { register, login };
@@ -0,0 +1,19 @@
+const { POSES } = require('../models/calibration');
+
+// Request schemas for the calibration routes, checked by the validate middleware
+
+const MAX_FEATURES = 32;
+
+// Mean normalized face features for one pose, by feature name
+const features = { type: 'object', minItems: 1, maxItems: MAX_FEATURES, values: { type: 'number' } };
+
+const saveCalibration = {
+  body: {
+    featureVersion: { type: 'integer', required: true, min: 1 },
+    // neutral is the baseline the other poses are compared against
+    poses: { type: 'object', required: true, keys: POSES, requiredKeys: ['neutral'], values: features },
+    sampleCounts: { type: 'object', keys: POSES, values: { type: 'integer', min: 0 } }
+  }
+};
+
+module.exports = { saveCalibration };
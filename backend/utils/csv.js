@@ -0,0 +1,53 @@
+// Minimal RFC 4180 CSV parsing: quoted fields, escaped quotes, embedded newlines and CRLF
+
+/*
+ * Split CSV text into rows of string fields, dropping blank lines. Each row is
+ * { line, fields } where line is the 1-based line of the file the row starts on,
+ * so problems can be reported where the user will find them.
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  // Spreadsheet exports often start with a byte order mark
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ line: rowLine, fields: row });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push({ line: rowLine, fields: row });
+
+  return rows.filter(({ fields }) => fields.some(value => value.trim() !== ''));
+};
+
+module.exports = { parseCsv };
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv } = require('./csv');
+
+const fields = (rows) => rows.map(row => row.fields);
+
+test('splits rows and fields', () => {
+  assert.deepEqual(parseCsv('date,mood\n2024-03-01,happy'), [
+    { line: 1, fields: ['date', 'mood'] },
+    { line: 2, fields: ['2024-03-01', 'happy'] }
+  ]);
+});
+
+test('handles quotes, escaped quotes and commas inside fields', () => {
+  assert.deepEqual(fields(parseCsv('note\n"Said ""hi"", then left"')), [['note'], ['Said "hi", then left']]);
+});
+
+test('accepts CRLF and CR line endings and a byte order mark', () => {
+  assert.deepEqual(fields(parseCsv('﻿a,b\r\n1,2\r3,4\r\n')), [['a', 'b'], ['1', '2'], ['3', '4']]);
+});
+
+test('keeps empty fields', () => {
+  assert.deepEqual(fields(parseCsv('a,b,c\n1,,')), [['a', 'b', 'c'], ['1', '', '']]);
+});
+
+test('drops blank lines but numbers rows by their line in the file', () => {
+  const rows = parseCsv('date,note\n\n2024-03-01,"two\nlines"\n \n2024-03-02,x\n');
+  assert.deepEqual(rows, [
+    { line: 1, fields: ['date', 'note'] },
+    { line: 3, fields: ['2024-03-01', 'two\nlines'] },
+    { line: 6, fields: ['2024-03-02', 'x'] }
+  ]);
+});
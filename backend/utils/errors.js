@@ -0,0 +1,28 @@
+// Errors that map to an HTTP status and a stable code. The error handler turns
+// them into { error: { code, message, fields } } responses.
+class ApiError extends Error {
+  constructor(status, code, message, fields = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+  }
+}
+
+// fields maps a request field (e.g. "emotionScores.happy") to what's wrong with it
+const badRequest = (message, fields) => new ApiError(400, 'VALIDATION_FAILED', message, fields);
+
+const unauthorized = (message) => new ApiError(401, 'UNAUTHORIZED', message);
+
+const notFound = (message) => new ApiError(404, 'NOT_FOUND', message);
+
+const conflict = (message) => new ApiError(409, 'CONFLICT', message);
+
+// MongoDB's error code for a unique index violation
+const DUPLICATE_KEY = 11000;
+
+// MongoDB's error code for a timezone its date operators don't recognize
+const UNKNOWN_TIMEZONE = 40485;
+
+module.exports = { ApiError, badRequest, unauthorized, notFound, conflict, DUPLICATE_KEY, UNKNOWN_TIMEZONE };
@@ -0,0 +1,215 @@
+const { MOODS } = require('../models/moodLog');
+
+// Same palette as the dashboard charts
+const MOOD_COLORS = {
+  happy: '#66BB6A',
+  sad: '#29B6F6',
+  angry: '#EF5350',
+  surprised: '#FFCA28',
+  neutral: '#9E9E9E',
+  fearful: '#5C6BC0',
+  disgusted: '#8D6E63'
+};
+
+const CHART_WIDTH = 640;
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}[char]));
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+// One labelled bar per row, scaled against the largest value
+const horizontalBars = (rows, title) => {
+  const rowHeight = 26;
+  const labelWidth = 110;
+  const valueWidth = 70;
+  const barSpace = CHART_WIDTH - labelWidth - valueWidth;
+  const max = Math.max(...rows.map(row => row.value), 0) || 1;
+  const height = rows.length * rowHeight;
+
+  const bars = rows.map((row, index) => {
+    const y = index * rowHeight;
+    const width = (row.value / max) * barSpace;
+    return `
+      <text x="0" y="${y + 17}" class="label">${escapeHtml(capitalize(row.label))}</text>
+      <rect x="${labelWidth}" y="${y + 5}" width="${width.toFixed(1)}" height="${rowHeight - 10}" rx="3" fill="${MOOD_COLORS[row.label] || '#9C27B0'}" />
+      <text x="${labelWidth + width + 6}" y="${y + 17}" class="value">${escapeHtml(row.text)}</text>`;
+  }).join('');
+
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="${escapeHtml(title)}">${bars}</svg>`;
+};
+
+// Columns of mood counts stacked in MOODS order, one per slot (day of month, hour, ...)
+const stackedColumns = (slots, title) => {
+  const height = 170;
+  const axisHeight = 20;
+  const plotHeight = height - axisHeight;
+  const gap = 2;
+  const columnWidth = CHART_WIDTH / slots.length;
+  const max = Math.max(...slots.map(slot => slot.count), 0) || 1;
+  // Label every slot when there's room, otherwise every few
+  const labelEvery = slots.length > 24 ? 3 : slots.length > 12 ? 2 : 1;
+
+  const columns = slots.map((slot, index) => {
+    const x = index * columnWidth;
+    let top = plotHeight;
+    const segments = MOODS.filter(mood => slot.moodCounts[mood]).map(mood => {
+      const segmentHeight = (slot.moodCounts[mood] / max) * plotHeight;
+      top -= segmentHeight;
+      return `<rect x="${(x + gap / 2).toFixed(1)}" y="${top.toFixed(1)}" width="${(columnWidth - gap).toFixed(1)}" height="${segmentHeight.toFixed(1)}" fill="${MOOD_COLORS[mood]}"><title>${escapeHtml(`${slot.label}: ${slot.moodCounts[mood]} ${mood}`)}</title></rect>`;
+    }).join('');
+    const label = index % labelEvery === 0
+      ? `<text x="${(x + columnWidth / 2).toFixed(1)}" y="${height - 5}" class="axis">${escapeHtml(slot.label)}</text>`
+      : '';
+    return segments + label;
+  }).join('');
+
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="${escapeHtml(title)}">
+      <line x1="0" y1="${plotHeight}" x2="${CHART_WIDTH}" y2="${plotHeight}" class="baseline" />
+      <text x="0" y="10" class="axis-max">${max}</text>
+      ${columns}
+    </svg>`;
+};
+
+const legend = (moods) => `<div class="legend">${moods.map(mood => (
+  `<span><i style="background:${MOOD_COLORS[mood]}"></i>${escapeHtml(capitalize(mood))}</span>`
+)).join('')}</div>`;
+
+/*
+ * A self-contained HTML page summarising one month of mood logs, laid out for
+ * printing or "Save as PDF" from the browser so it can be shared with a therapist.
+ * Expects the month's aggregates as built by the report controller.
+ */
+const renderMonthlyReport = (report) => {
+  const { month, timezone, daysInMonth, user, total, moodCounts, sourceCounts, emotionAverages, days, hours, notes, generatedAt } = report;
+  const [year, monthNumber] = month.split('-').map(Number);
+  const monthName = new Date(Date.UTC(year, monthNumber - 1, 1))
+    .toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+  const loggedMoods = MOODS.filter(mood => moodCounts[mood]);
+  const topMood = loggedMoods.reduce((best, mood) => (!best || moodCounts[mood] > moodCounts[best] ? mood : best), null);
+
+  const daySlots = Array.from({ length: daysInMonth }, (_, index) => {
+    const slot = days.find(entry => entry.day === index + 1);
+    return { label: String(index + 1), count: slot ? slot.count : 0, moodCounts: slot ? slot.moodCounts : {} };
+  });
+  const hourSlots = Array.from({ length: 24 }, (_, hour) => {
+    const slot = hours.find(entry => entry.hour === hour);
+    return { label: String(hour), count: slot ? slot.count : 0, moodCounts: slot ? slot.moodCounts : {} };
+  });
+
+  const moodRows = loggedMoods.map(mood => ({
+    label: mood,
+    value: moodCounts[mood],
+    text: `${moodCounts[mood]} (${percent(moodCounts[mood] / total)})`
+  }));
+  const emotionRows = MOODS.filter(mood => emotionAverages[mood] !== undefined).map(mood => ({
+    label: mood,
+    value: emotionAverages[mood],
+    text: percent(emotionAverages[mood])
+  }));
+
+  const sections = total === 0 ? `
+    <section><p class="empty">No moods were logged in ${escapeHtml(monthName)}.</p></section>` : `
+    <section class="summary">
+      <div><strong>${total}</strong><span>entries</span></div>
+      <div><strong>${days.length} / ${daysInMonth}</strong><span>days with an entry</span></div>
+      <div><strong>${escapeHtml(capitalize(topMood))}</strong><span>most common mood</span></div>
+      <div><strong>${sourceCounts.detected || 0} / ${(sourceCounts.manual || 0) + (sourceCounts.imported || 0)}</strong><span>detected / entered by hand or imported</span></div>
+    </section>
+
+    <section>
+      <h2>Mood breakdown</h2>
+      ${horizontalBars(moodRows, 'Number of entries per mood')}
+    </section>
+
+    <section>
+      <h2>Moods by day</h2>
+      ${stackedColumns(daySlots, 'Moods logged on each day of the month')}
+      ${legend(loggedMoods)}
+    </section>
+
+    <section>
+      <h2>Moods by time of day</h2>
+      ${stackedColumns(hourSlots, 'Moods logged in each hour of the day')}
+      ${legend(loggedMoods)}
+    </section>
+
+    ${emotionRows.length > 0 ? `
+    <section>
+      <h2>Average emotion scores</h2>
+      <p class="hint">How strongly each emotion showed up on average, across entries that recorded scores.</p>
+      ${horizontalBars(emotionRows, 'Average score per emotion')}
+    </section>` : ''}
+
+    ${notes && notes.length > 0 ? `
+    <section class="notes">
+      <h2>Notes</h2>
+      <table>
+        <thead><tr><th>When</th><th>Mood</th><th>Note</th></tr></thead>
+        <tbody>${notes.map(note => `
+          <tr><td>${escapeHtml(note.label)}</td><td>${escapeHtml(capitalize(note.mood))}</td><td>${escapeHtml(note.notes)}</td></tr>`).join('')}
+        </tbody>
+      </table>
+    </section>` : ''}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Mood report – ${escapeHtml(monthName)}</title>
+  <style>
+    @page { size: A4; margin: 16mm; }
+    * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #212121; max-width: 760px; margin: 24px auto; padding: 0 16px; }
+    header { border-bottom: 3px solid #4A148C; padding-bottom: 12px; margin-bottom: 20px; }
+    h1 { color: #4A148C; margin: 0 0 4px; }
+    h2 { color: #4A148C; font-size: 18px; margin: 0 0 10px; }
+    .meta, .hint, footer { color: #616161; font-size: 13px; }
+    section { margin-bottom: 28px; break-inside: avoid; }
+    .summary { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; }
+    .summary div { border: 1px solid #D1C4E9; border-radius: 8px; padding: 12px; text-align: center; }
+    .summary strong { display: block; font-size: 22px; color: #4A148C; }
+    .summary span { font-size: 12px; color: #616161; }
+    svg { width: 100%; height: auto; display: block; }
+    svg text { font-size: 12px; fill: #424242; }
+    svg .axis { font-size: 10px; text-anchor: middle; }
+    svg .axis-max { font-size: 10px; fill: #9E9E9E; }
+    svg .baseline { stroke: #BDBDBD; }
+    .legend { display: flex; flex-wrap: wrap; gap: 12px; font-size: 12px; margin-top: 6px; }
+    .legend i { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 4px; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #E0E0E0; vertical-align: top; }
+    tr { break-inside: avoid; }
+    .empty { font-size: 16px; text-align: center; padding: 40px 0; color: #616161; }
+    .print-button { float: right; background: #4A148C; color: #FFFFFF; border: 0; border-radius: 6px; padding: 8px 14px; cursor: pointer; }
+    @media print { .print-button { display: none; } body { margin: 0; max-width: none; } }
+  </style>
+</head>
+<body>
+  <header>
+    <button class="print-button" onclick="window.print()">Print / Save as PDF</button>
+    <h1>Mood report – ${escapeHtml(monthName)}</h1>
+    <div class="meta">
+      ${escapeHtml(user.name || user.email)}${user.name ? ` &lt;${escapeHtml(user.email)}&gt;` : ''}
+      · Times in ${escapeHtml(timezone)}
+      · Generated ${escapeHtml(generatedAt.toISOString().slice(0, 10))}
+    </div>
+  </header>
+  ${sections}
+  <footer>
+    Moods are self-reported or estimated from facial expressions by the app. This report is not a clinical assessment.
+  </footer>
+</body>
+</html>
+`;
+};
+
+module.exports = { renderMonthlyReport };
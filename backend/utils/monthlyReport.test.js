@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderMonthlyReport } = require('./monthlyReport');
+
+// A March with two logs; override any part of it per test
+const report = (overrides = {}) => ({
+  month: '2024-03',
+  timezone: 'Europe/London',
+  daysInMonth: 31,
+  user: { name: 'Sam', email: 'sam@example.com' },
+  total: 2,
+  moodCounts: { happy: 1, sad: 1 },
+  sourceCounts: { detected: 1, manual: 1 },
+  emotionAverages: { happy: 0.6, sad: 0.4 },
+  days: [{ day: 4, count: 2, moodCounts: { happy: 1, sad: 1 } }],
+  hours: [{ hour: 9, count: 2, moodCounts: { happy: 1, sad: 1 } }],
+  notes: [],
+  generatedAt: new Date('2024-04-01T08:00:00Z'),
+  ...overrides
+});
+
+test('summarises the month', () => {
+  const html = renderMonthlyReport(report());
+
+  assert.match(html, /<h1>Mood report – March 2024<\/h1>/);
+  assert.match(html, /Sam &lt;sam@example\.com&gt;/);
+  assert.match(html, /Times in Europe\/London/);
+  assert.match(html, /<strong>1 \/ 31<\/strong><span>days with an entry<\/span>/);
+});
+
+test('escapes notes and user names', () => {
+  const html = renderMonthlyReport(report({
+    user: { name: '<script>alert(1)</script>', email: 'sam@example.com' },
+    notes: [{ label: '2024-03-04 09:15', mood: 'happy', notes: '<script>alert("hi")</script> & <b>bold</b>' }]
+  }));
+
+  assert.doesNotMatch(html, /<script>|<b>/);
+  assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+  assert.match(html, /&lt;script&gt;alert\(&quot;hi&quot;\)&lt;\/script&gt; &amp; &lt;b&gt;bold&lt;\/b&gt;/);
+});
+
+test('says so when nothing was logged that month', () => {
+  const html = renderMonthlyReport(report({
+    total: 0,
+    moodCounts: {},
+    sourceCounts: {},
+    emotionAverages: {},
+    days: [],
+    hours: []
+  }));
+
+  assert.match(html, /No moods were logged in March 2024\./);
+  assert.doesNotMatch(html, /most common mood/);
+});
@@ -0,0 +1,44 @@
+// In-process fan-out of mood log changes to each user's open event streams.
+// Streams only see changes made through this server process.
+
+// userId -> Set of listeners
+const listeners = new Map();
+
+// Call listener({ type, data }) for every change to the user's mood logs; returns an unsubscribe function
+const subscribe = (userId, listener) => {
+  const key = String(userId);
+  if (!listeners.has(key)) {
+    listeners.set(key, new Set());
+  }
+  listeners.get(key).add(listener);
+
+  return () => {
+    const userListeners = listeners.get(key);
+    if (!userListeners) return;
+    userListeners.delete(listener);
+    if (userListeners.size === 0) {
+      listeners.delete(key);
+    }
+  };
+};
+
+/*
+ * Tell the user's open streams about a change. type is one of:
+ *   created  data is the new log
+ *   updated  data is the changed log
+ *   deleted  data is { id }
+ *   refresh  many logs changed at once (an import, deleting all data); reload the history
+ */
+const publishMoodEvent = (userId, type, data = {}) => {
+  const userListeners = listeners.get(String(userId));
+  if (!userListeners) return;
+  userListeners.forEach(listener => {
+    try {
+      listener({ type, data });
+    } catch (err) {
+      console.error('Mood event listener failed:', err);
+    }
+  });
+};
+
+module.exports = { subscribe, publishMoodEvent };
@@ -0,0 +1,284 @@
+const { MOODS, MAX_NOTES_LENGTH, MAX_TAGS_PER_LOG } = require('../models/moodLog');
+const { MAX_TAG_LENGTH } = require('../models/tag');
+
+// How dates are written in the file: 2024-03-01, 03/01/2024 or 01/03/2024
+const DATE_FORMATS = ['ymd', 'mdy', 'dmy'];
+
+// Column names to try, most specific first. Daylio exports have
+// full_date,date,weekday,time,mood,activities,note_title,note
+const COLUMN_HINTS = {
+  date: ['full_date', 'date', 'datetime', 'timestamp', 'day'],
+  time: ['time'],
+  mood: ['mood', 'feeling', 'emotion'],
+  notes: ['note_title', 'note', 'notes', 'comment', 'comments', 'journal'],
+  tags: ['activities', 'tags', 'activity']
+};
+
+// Daylio separates activities with " | "; other trackers use commas or semicolons
+const TAG_SEPARATOR = /[|,;]/;
+
+// Common mood words from other trackers, including Daylio's default rad/good/meh/bad/awful scale
+const MOOD_WORDS = {
+  rad: 'happy',
+  great: 'happy',
+  awesome: 'happy',
+  good: 'happy',
+  joyful: 'happy',
+  excited: 'happy',
+  meh: 'neutral',
+  ok: 'neutral',
+  okay: 'neutral',
+  fine: 'neutral',
+  calm: 'neutral',
+  bad: 'sad',
+  awful: 'sad',
+  terrible: 'sad',
+  down: 'sad',
+  depressed: 'sad',
+  mad: 'angry',
+  annoyed: 'angry',
+  irritated: 'angry',
+  frustrated: 'angry',
+  shocked: 'surprised',
+  anxious: 'fearful',
+  scared: 'fearful',
+  afraid: 'fearful',
+  worried: 'fearful',
+  nervous: 'fearful',
+  stressed: 'fearful'
+};
+
+const DATE_PATTERNS = {
+  ymd: /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/,
+  mdy: /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/,
+  dmy: /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/
+};
+const TIME_PATTERN = /(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap])?\.?m?\.?/i;
+// ISO timestamps that carry their own offset, e.g. 2024-03-01T08:30:00Z
+const ZONED_PATTERN = /^\d{4}-\d{2}-\d{2}T[\d:.]+(Z|[+-]\d{2}:?\d{2})$/i;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Guess which column holds each field from the header names
+const suggestMapping = (columns) => {
+  const names = columns.map(normalize);
+  const find = (hints) => hints.map(hint => names.indexOf(hint)).find(index => index !== -1);
+  const column = (hints) => {
+    const index = find(hints);
+    return index === undefined ? null : columns[index];
+  };
+
+  return {
+    date: column(COLUMN_HINTS.date),
+    time: column(COLUMN_HINTS.time),
+    mood: column(COLUMN_HINTS.mood),
+    notes: COLUMN_HINTS.notes.filter(hint => names.includes(hint)).map(hint => columns[names.indexOf(hint)]),
+    tags: column(COLUMN_HINTS.tags)
+  };
+};
+
+// Our mood for each distinct value in the file, where we can tell. Values are
+// whatever the file holds, so neither lookup may reach Object.prototype
+const suggestMoodMap = (values) => {
+  return values.reduce((map, value) => {
+    const word = normalize(value);
+    map[value] = MOODS.includes(word) ? word : Object.hasOwn(MOOD_WORDS, word) ? MOOD_WORDS[word] : null;
+    return map;
+  }, Object.create(null));
+};
+
+// Check the mapping a client sent against the file's columns; returns an error message or null
+const validateImportOptions = ({ mapping, moodMap, dateFormat }, columns) => {
+  if (!mapping || typeof mapping !== 'object') {
+    return '"mapping" must be an object';
+  }
+  if (!columns.includes(mapping.date)) {
+    return 'Choose the column that holds the date';
+  }
+  if (!columns.includes(mapping.mood)) {
+    return 'Choose the column that holds the mood';
+  }
+  if (mapping.time && !columns.includes(mapping.time)) {
+    return `Unknown time column: ${mapping.time}`;
+  }
+  if (mapping.tags && !columns.includes(mapping.tags)) {
+    return `Unknown tags column: ${mapping.tags}`;
+  }
+  if (mapping.notes && (!Array.isArray(mapping.notes) || mapping.notes.some(column => !columns.includes(column)))) {
+    return '"mapping.notes" must list columns from the file';
+  }
+  if (!DATE_FORMATS.includes(dateFormat)) {
+    return `"dateFormat" must be one of: ${DATE_FORMATS.join(', ')}`;
+  }
+  if (!moodMap || typeof moodMap !== 'object') {
+    return '"moodMap" must be an object';
+  }
+  const unknown = Object.values(moodMap).filter(mood => mood && !MOODS.includes(mood));
+  if (unknown.length > 0) {
+    return `Unknown mood: ${unknown.join(', ')}`;
+  }
+  return null;
+};
+
+const formatters = new Map();
+
+// Minutes the timezone is ahead of UTC at the given instant
+const offsetMinutes = (timezone, date) => {
+  const fixed = /^([+-])(\d{2}):?(\d{2})?$/.exec(timezone);
+  if (fixed) {
+    return (fixed[1] === '-' ? -1 : 1) * (Number(fixed[2]) * 60 + Number(fixed[3] || 0));
+  }
+
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  const parts = formatters.get(timezone).formatToParts(date);
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+// The calendar date it is in the timezone at the given instant
+const localDate = (date, timezone) => {
+  const local = new Date(date.getTime() + offsetMinutes(timezone, date) * 60000);
+  return { year: local.getUTCFullYear(), month: local.getUTCMonth() + 1, day: local.getUTCDate() };
+};
+
+// The instant a wall-clock time in the timezone refers to
+const localTimeToUtc = ({ year, month, day, hour, minute, second }, timezone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  const guess = wallClock - offsetMinutes(timezone, new Date(wallClock)) * 60000;
+  // A second pass corrects guesses that land on the other side of a DST change
+  return new Date(wallClock - offsetMinutes(timezone, new Date(guess)) * 60000);
+};
+
+// Parse a date (and a time, from its own column or after the date) into a Date; returns null if invalid
+const parseTimestamp = (dateText, timeText, dateFormat, timezone, now = new Date()) => {
+  const text = String(dateText || '').trim();
+  if (ZONED_PATTERN.test(text)) {
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const match = DATE_PATTERNS[dateFormat].exec(text);
+  if (!match) return null;
+  const [a, b, c] = match.slice(1).map(Number);
+  const parts = {
+    ymd: { year: a, month: b, day: c },
+    mdy: { year: c, month: a, day: b },
+    dmy: { year: c, month: b, day: a }
+  }[dateFormat];
+
+  const daysInMonth = new Date(Date.UTC(parts.year, parts.month, 0)).getUTCDate();
+  if (parts.month < 1 || parts.month > 12 || parts.day < 1 || parts.day > daysInMonth) {
+    return null;
+  }
+
+  // Without a time, use midday so the entry stays on the same day in nearby timezones,
+  // or the current time for a row dated today when midday hasn't come yet
+  const timeSource = String(timeText || '').trim() || text.slice(match[0].length).trim();
+  if (!timeSource) {
+    const midday = localTimeToUtc({ ...parts, hour: 12, minute: 0, second: 0 }, timezone);
+    const today = localDate(now, timezone);
+    const isToday = today.year === parts.year && today.month === parts.month && today.day === parts.day;
+    return isToday && midday > now ? now : midday;
+  }
+
+  const time = TIME_PATTERN.exec(timeSource);
+  if (!time) return null;
+  let [hour, minute, second] = [Number(time[1]), Number(time[2]), Number(time[3] || 0)];
+  const meridiem = (time[4] || '').toLowerCase();
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem === 'p' ? 12 : 0);
+  }
+  if (hour > 23 || minute > 59 || second > 59) return null;
+
+  return localTimeToUtc({ ...parts, hour, minute, second }, timezone);
+};
+
+// Tag names from a tags or activities cell, trimmed and without repeats
+const splitTags = (text) => {
+  const seen = new Set();
+  return String(text || '').split(TAG_SEPARATOR)
+    .map(name => name.trim())
+    .filter(name => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/*
+ * Turn CSV records ({ line, fields } from parseCsv) into mood log fields using a
+ * column mapping and mood map. Each entry and error carries the line of the file
+ * its row starts on as row. Returns valid entries and one error per rejected row.
+ */
+const buildImport = (columns, records, { mapping, moodMap, dateFormat, timezone, now = new Date() }) => {
+  const index = (column) => columns.indexOf(column);
+  const dateIndex = index(mapping.date);
+  const timeIndex = mapping.time ? index(mapping.time) : -1;
+  const moodIndex = index(mapping.mood);
+  const noteIndexes = (mapping.notes || []).map(index);
+  const tagsIndex = mapping.tags ? index(mapping.tags) : -1;
+
+  const entries = [];
+  const errors = [];
+
+  records.forEach(({ line: row, fields: record }) => {
+    const dateText = record[dateIndex];
+    const timestamp = parseTimestamp(dateText, timeIndex === -1 ? '' : record[timeIndex], dateFormat, timezone, now);
+    if (!timestamp) {
+      errors.push({ row, message: `Can't read the date "${dateText || ''}"` });
+      return;
+    }
+    if (timestamp > now) {
+      errors.push({ row, message: `The date "${dateText}" is in the future` });
+      return;
+    }
+
+    const value = String(record[moodIndex] || '').trim();
+    if (!value) {
+      errors.push({ row, message: 'No mood' });
+      return;
+    }
+    const mood = Object.hasOwn(moodMap, value) ? moodMap[value] : null;
+    if (!mood) {
+      errors.push({ row, message: `No mapping for mood "${value}"` });
+      return;
+    }
+
+    const notes = noteIndexes.map(i => String(record[i] || '').trim()).filter(Boolean).join('\n');
+    if (notes.length > MAX_NOTES_LENGTH) {
+      errors.push({ row, message: `Notes are longer than ${MAX_NOTES_LENGTH} characters` });
+      return;
+    }
+
+    const tags = tagsIndex === -1 ? [] : splitTags(record[tagsIndex]);
+    if (tags.length > MAX_TAGS_PER_LOG) {
+      errors.push({ row, message: `More than ${MAX_TAGS_PER_LOG} tags` });
+      return;
+    }
+    const longTag = tags.find(name => name.length > MAX_TAG_LENGTH);
+    if (longTag) {
+      errors.push({ row, message: `The tag "${longTag}" is longer than ${MAX_TAG_LENGTH} characters` });
+      return;
+    }
+
+    entries.push({ row, timestamp, mood, notes, tags });
+  });
+
+  return { entries, errors };
+};
+
+module.exports = { DATE_FORMATS, suggestMapping, suggestMoodMap, validateImportOptions, parseTimestamp, buildImport };
@@ -0,0 +1,181 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv } = require('./csv');
+const {
+  suggestMapping,
+  suggestMoodMap,
+  validateImportOptions,
+  parseTimestamp,
+  buildImport
+} = require('./moodImport');
+
+const DAYLIO_COLUMNS = ['full_date', 'date', 'weekday', 'time', 'mood', 'activities', 'note_title', 'note'];
+const NOW = new Date('2024-03-10T12:00:00Z');
+
+const importCsv = (csv, options = {}) => {
+  const [header, ...records] = parseCsv(csv);
+  const columns = header.fields;
+  const mapping = suggestMapping(columns);
+  const moodMap = suggestMoodMap(['rad', 'good', 'meh', 'awful']);
+  return buildImport(columns, records, { mapping, moodMap, dateFormat: 'ymd', timezone: 'UTC', now: NOW, ...options });
+};
+
+describe('suggestMapping', () => {
+  test('recognises a Daylio export', () => {
+    assert.deepEqual(suggestMapping(DAYLIO_COLUMNS), {
+      date: 'full_date',
+      time: 'time',
+      mood: 'mood',
+      notes: ['note_title', 'note'],
+      tags: 'activities'
+    });
+  });
+
+  test('matches header names regardless of case and spacing', () => {
+    assert.deepEqual(suggestMapping([' Timestamp ', 'Feeling', 'Tags']), {
+      date: ' Timestamp ',
+      time: null,
+      mood: 'Feeling',
+      notes: [],
+      tags: 'Tags'
+    });
+  });
+});
+
+describe('suggestMoodMap', () => {
+  test('maps our moods and common mood words, and leaves the rest unmapped', () => {
+    assert.deepEqual({ ...suggestMoodMap(['Happy', 'rad', 'meh', 'stressed', 'purple']) }, {
+      Happy: 'happy',
+      rad: 'happy',
+      meh: 'neutral',
+      stressed: 'fearful',
+      purple: null
+    });
+  });
+
+  test('does not take Object.prototype keys for mood words', () => {
+    const moodMap = suggestMoodMap(['constructor', '__proto__', 'toString']);
+    assert.equal(Object.getPrototypeOf(moodMap), null);
+    assert.deepEqual(Object.entries(moodMap), [['constructor', null], ['__proto__', null], ['toString', null]]);
+  });
+});
+
+describe('validateImportOptions', () => {
+  const options = { mapping: suggestMapping(DAYLIO_COLUMNS), moodMap: { rad: 'happy' }, dateFormat: 'ymd' };
+
+  test('accepts a mapping onto the file columns', () => {
+    assert.equal(validateImportOptions(options, DAYLIO_COLUMNS), null);
+  });
+
+  test('explains what is wrong with the mapping', () => {
+    assert.equal(validateImportOptions({ ...options, mapping: { ...options.mapping, date: null } }, DAYLIO_COLUMNS),
+      'Choose the column that holds the date');
+    assert.equal(validateImportOptions({ ...options, mapping: { ...options.mapping, tags: 'labels' } }, DAYLIO_COLUMNS),
+      'Unknown tags column: labels');
+    assert.equal(validateImportOptions({ ...options, dateFormat: 'iso' }, DAYLIO_COLUMNS),
+      '"dateFormat" must be one of: ymd, mdy, dmy');
+    assert.equal(validateImportOptions({ ...options, moodMap: { rad: 'ecstatic' } }, DAYLIO_COLUMNS),
+      'Unknown mood: ecstatic');
+  });
+});
+
+describe('parseTimestamp', () => {
+  test('reads each date format', () => {
+    const expected = new Date('2024-03-01T08:30:00Z');
+    assert.deepEqual(parseTimestamp('2024-03-01', '08:30', 'ymd', 'UTC', NOW), expected);
+    assert.deepEqual(parseTimestamp('03/01/2024', '8:30 am', 'mdy', 'UTC', NOW), expected);
+    assert.deepEqual(parseTimestamp('01.03.2024 08:30', '', 'dmy', 'UTC', NOW), expected);
+  });
+
+  test('converts 12-hour times', () => {
+    assert.deepEqual(parseTimestamp('2024-03-01', '12:15 am', 'ymd', 'UTC', NOW), new Date('2024-03-01T00:15:00Z'));
+    assert.deepEqual(parseTimestamp('2024-03-01', '1:05 PM', 'ymd', 'UTC', NOW), new Date('2024-03-01T13:05:00Z'));
+  });
+
+  test('reads wall-clock times in the given timezone', () => {
+    assert.deepEqual(parseTimestamp('2024-07-01', '09:00', 'ymd', 'Europe/Berlin', NOW), new Date('2024-07-01T07:00:00Z'));
+    assert.deepEqual(parseTimestamp('2024-03-01', '09:00', 'ymd', '-05:00', NOW), new Date('2024-03-01T14:00:00Z'));
+  });
+
+  test('keeps the offset of zoned timestamps', () => {
+    assert.deepEqual(parseTimestamp('2024-03-01T08:30:00+02:00', '', 'dmy', 'UTC', NOW), new Date('2024-03-01T06:30:00Z'));
+  });
+
+  test('uses midday for dates without a time, or now for a morning row dated today', () => {
+    assert.deepEqual(parseTimestamp('2024-03-01', '', 'ymd', 'UTC', NOW), new Date('2024-03-01T12:00:00Z'));
+    const morning = new Date('2024-03-10T09:00:00Z');
+    assert.deepEqual(parseTimestamp('2024-03-10', '', 'ymd', 'UTC', morning), morning);
+  });
+
+  test('returns null for dates and times that do not exist', () => {
+    assert.equal(parseTimestamp('2024-02-30', '', 'ymd', 'UTC', NOW), null);
+    assert.equal(parseTimestamp('2024-13-01', '', 'ymd', 'UTC', NOW), null);
+    assert.equal(parseTimestamp('2024-03-01', '25:00', 'ymd', 'UTC', NOW), null);
+    assert.equal(parseTimestamp('2024-03-01', '13:00 pm', 'ymd', 'UTC', NOW), null);
+    assert.equal(parseTimestamp('March 1', '', 'ymd', 'UTC', NOW), null);
+  });
+});
+
+describe('buildImport', () => {
+  const header = DAYLIO_COLUMNS.join(',');
+
+  test('turns Daylio rows into entries with activities as tags', () => {
+    const { entries, errors } = importCsv(`${header}\n2024-03-01,March 1,Friday,8:30 am,rad,work | Gym | gym,Title,"Body"\n`);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(entries, [{
+      row: 2,
+      timestamp: new Date('2024-03-01T08:30:00Z'),
+      mood: 'happy',
+      notes: 'Title\nBody',
+      tags: ['work', 'Gym']
+    }]);
+  });
+
+  test('reports problems by the line they are on in the file', () => {
+    const csv = [
+      header,
+      '',
+      '2024-03-01,,,09:00,good,,,"first',
+      'second"',
+      '',
+      'someday,,,09:00,good,,,',
+      '2024-03-02,,,09:00,purple,,,',
+      '2024-03-02,,,10:00,,,,',
+      '2024-03-11,,,09:00,good,,,'
+    ].join('\n');
+    const { entries, errors } = importCsv(csv);
+    assert.deepEqual(entries.map(entry => entry.row), [3]);
+    assert.deepEqual(errors, [
+      { row: 6, message: 'Can\'t read the date "someday"' },
+      { row: 7, message: 'No mapping for mood "purple"' },
+      { row: 8, message: 'No mood' },
+      { row: 9, message: 'The date "2024-03-11" is in the future' }
+    ]);
+  });
+
+  test('does not find a mapping on Object.prototype', () => {
+    const { entries, errors } = importCsv(`${header}\n2024-03-01,,,09:00,constructor,,,\n2024-03-02,,,09:00,__proto__,,,\n`, {
+      moodMap: { rad: 'happy' }
+    });
+    assert.deepEqual(entries, []);
+    assert.deepEqual(errors, [
+      { row: 2, message: 'No mapping for mood "constructor"' },
+      { row: 3, message: 'No mapping for mood "__proto__"' }
+    ]);
+  });
+
+  test('rejects rows with too many or too long tags', () => {
+    const many = Array.from({ length: 21 }, (_, i) => `tag${i}`).join(' | ');
+    const long = 'x'.repeat(41);
+    const { errors } = importCsv(`${header}\n2024-03-01,,,09:00,good,${many},,\n2024-03-02,,,09:00,good,${long},,\n`);
+    assert.deepEqual(errors, [
+      { row: 2, message: 'More than 20 tags' },
+      { row: 3, message: `The tag "${long}" is longer than 40 characters` }
+    ]);
+  });
+
+  test('leaves tags out without a tags column', () => {
+    const { entries } = importCsv('date,mood\n2024-03-01,meh\n');
+    assert.deepEqual(entries[0].tags, []);
+  });
+});
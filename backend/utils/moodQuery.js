@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const { MOODS, SOURCES } = require('../models/moodLog');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Opaque cursor pointing just past the given log in (timestamp, _id) order
+const encodeCursor = (log) => {
+  return Buffer.from(`${log.timestamp.toISOString()}|${log._id}`).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  const [timestamp, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) {
+    return null;
+  }
+  return { timestamp: date, id: new mongoose.Types.ObjectId(id) };
+};
+
+// Like the validate middleware, an empty query parameter (?limit=) means it isn't set
+const isSet = (value) => value !== undefined && value !== '';
+
+// Matches a tag name whatever its capitals, as the tag vocabulary compares names
+const tagNamePattern = (name) => new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Build a MongoDB filter for one user's logs from the history query string.
+// Returns { filter } or { error } with a message suitable for a 400 response.
+const buildMoodFilter = (userId, query = {}) => {
+  const filter = { userId: new mongoose.Types.ObjectId(userId) };
+
+  if (query.from || query.to) {
+    filter.timestamp = {};
+    if (query.from) {
+      const from = parseDate(query.from);
+      if (!from) return { error: 'Invalid "from" date' };
+      filter.timestamp.$gte = from;
+    }
+    if (query.to) {
+      const to = parseDate(query.to);
+      if (!to) return { error: 'Invalid "to" date' };
+      filter.timestamp.$lte = to;
+    }
+  }
+
+  if (query.mood) {
+    const moods = String(query.mood).split(',');
+    const unknown = moods.filter(mood => !MOODS.includes(mood));
+    if (unknown.length > 0) {
+      return { error: `Unknown mood: ${unknown.join(', ')}` };
+    }
+    filter.mood = { $in: moods };
+  }
+
+  if (query.source) {
+    if (!SOURCES.includes(query.source)) {
+      return { error: `"source" must be one of: ${SOURCES.join(', ')}` };
+    }
+    filter.source = query.source;
+  }
+
+  // Logs carrying every listed tag, e.g. ?tags=work,exercise
+  if (query.tags) {
+    const tags = String(query.tags).split(',').map(tag => tag.trim()).filter(Boolean);
+    if (tags.length > 0) {
+      filter.tags = { $all: tags.map(tagNamePattern) };
+    }
+  }
+
+  if (query.q) {
+    filter.$text = { $search: String(query.q) };
+  }
+
+  // Minimum confidence for one emotion, e.g. ?emotion=happy&minConfidence=0.6
+  if (query.emotion || isSet(query.minConfidence)) {
+    const emotion = String(query.emotion || '');
+    const minConfidence = Number(query.minConfidence);
+    if (!/^[a-z]+$/.test(emotion)) {
+      return { error: '"emotion" must name an emotion score, e.g. happy' };
+    }
+    if (!isSet(query.minConfidence) || Number.isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+      return { error: '"minConfidence" must be a number between 0 and 1' };
+    }
+    filter[`emotionScores.${emotion}`] = { $gte: minConfidence };
+  }
+
+  return { filter };
+};
+
+// Parse ?limit and ?cursor for keyset pagination over (timestamp desc, _id desc)
+const parsePage = (query = {}) => {
+  let limit = DEFAULT_PAGE_SIZE;
+  if (isSet(query.limit)) {
+    limit = parseInt(query.limit, 10);
+    if (Number.isNaN(limit) || limit < 1) {
+      return { error: '"limit" must be a positive integer' };
+    }
+    limit = Math.min(limit, MAX_PAGE_SIZE);
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(String(query.cursor));
+    if (!cursor) return { error: 'Invalid cursor' };
+  }
+
+  return { limit, cursor };
+};
+
+// Restrict a filter to logs that come after the cursor
+const applyCursor = (filter, cursor) => {
+  if (!cursor) return filter;
+  return {
+    $and: [
+      filter,
+      {
+        $or: [
+          { timestamp: { $lt: cursor.timestamp } },
+          { timestamp: cursor.timestamp, _id: { $lt: cursor.id } }
+        ]
+      }
+    ]
+  };
+};
+
+module.exports = { buildMoodFilter, parsePage, applyCursor, encodeCursor };
@@ -0,0 +1,102 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { buildMoodFilter, parsePage, applyCursor, encodeCursor } = require('./moodQuery');
+
+const USER_ID = '65f000000000000000000001';
+const LOG_ID = '65f0000000000000000000aa';
+
+describe('buildMoodFilter', () => {
+  test('always limits logs to the user', () => {
+    const { filter } = buildMoodFilter(USER_ID);
+    assert.deepEqual(Object.keys(filter), ['userId']);
+    assert.ok(filter.userId.equals(new mongoose.Types.ObjectId(USER_ID)));
+  });
+
+  test('turns query parameters into conditions', () => {
+    const { filter } = buildMoodFilter(USER_ID, {
+      from: '2024-03-01',
+      to: '2024-03-31T23:59:59Z',
+      mood: 'happy,sad',
+      source: 'manual',
+      tags: ' work, ,gym ',
+      q: 'coffee',
+      emotion: 'happy',
+      minConfidence: '0.6'
+    });
+    assert.deepEqual(filter.timestamp, { $gte: new Date('2024-03-01'), $lte: new Date('2024-03-31T23:59:59Z') });
+    assert.deepEqual(filter.mood, { $in: ['happy', 'sad'] });
+    assert.equal(filter.source, 'manual');
+    assert.deepEqual(filter.tags, { $all: [/^work$/i, /^gym$/i] });
+    assert.deepEqual(filter.$text, { $search: 'coffee' });
+    assert.deepEqual(filter['emotionScores.happy'], { $gte: 0.6 });
+  });
+
+  test('matches tags whatever their capitals, and only whole names', () => {
+    const [pattern] = buildMoodFilter(USER_ID, { tags: 'Self-care (a.m.)' }).filter.tags.$all;
+    assert.ok(pattern.test('self-care (A.M.)'));
+    assert.ok(!pattern.test('Self-care (a.m.) routine'));
+    assert.ok(!pattern.test('Self-care (aXmX)'));
+  });
+
+  test('ignores a tags parameter without names', () => {
+    assert.equal(buildMoodFilter(USER_ID, { tags: ' , ' }).filter.tags, undefined);
+  });
+
+  test('treats empty parameters as unset', () => {
+    const { filter } = buildMoodFilter(USER_ID, { emotion: '', minConfidence: '' });
+    assert.deepEqual(Object.keys(filter), ['userId']);
+  });
+
+  test('reports parameters it cannot use', () => {
+    assert.deepEqual(buildMoodFilter(USER_ID, { from: 'soon' }), { error: 'Invalid "from" date' });
+    assert.deepEqual(buildMoodFilter(USER_ID, { mood: 'happy,bored' }), { error: 'Unknown mood: bored' });
+    assert.match(buildMoodFilter(USER_ID, { source: 'robot' }).error, /"source" must be one of/);
+    assert.match(buildMoodFilter(USER_ID, { minConfidence: '0.5' }).error, /"emotion" must name/);
+    assert.match(buildMoodFilter(USER_ID, { emotion: 'happy', minConfidence: '2' }).error, /"minConfidence"/);
+  });
+});
+
+describe('parsePage', () => {
+  test('defaults to 20 logs and caps the limit at 100', () => {
+    assert.deepEqual(parsePage(), { limit: 20, cursor: null });
+    assert.equal(parsePage({ limit: '500' }).limit, 100);
+    assert.deepEqual(parsePage({ limit: '0' }), { error: '"limit" must be a positive integer' });
+  });
+
+  test('uses the default limit for an empty one', () => {
+    assert.deepEqual(parsePage({ limit: '' }), { limit: 20, cursor: null });
+  });
+
+  test('decodes the cursor of a log', () => {
+    const timestamp = new Date('2024-03-01T08:30:00Z');
+    const { cursor } = parsePage({ cursor: encodeCursor({ timestamp, _id: LOG_ID }) });
+    assert.deepEqual(cursor.timestamp, timestamp);
+    assert.equal(String(cursor.id), LOG_ID);
+  });
+
+  test('rejects cursors it did not make', () => {
+    assert.deepEqual(parsePage({ cursor: 'bm9wZQ' }), { error: 'Invalid cursor' });
+    const badId = Buffer.from('2024-03-01T08:30:00.000Z|nope').toString('base64url');
+    assert.deepEqual(parsePage({ cursor: badId }), { error: 'Invalid cursor' });
+  });
+});
+
+describe('applyCursor', () => {
+  test('leaves the filter alone without a cursor', () => {
+    const filter = { mood: 'happy' };
+    assert.equal(applyCursor(filter, null), filter);
+  });
+
+  test('keeps logs older than the cursor, breaking timestamp ties by id', () => {
+    const timestamp = new Date('2024-03-01T08:30:00Z');
+    const id = new mongoose.Types.ObjectId(LOG_ID);
+    const filter = { mood: 'happy' };
+    assert.deepEqual(applyCursor(filter, { timestamp, id }), {
+      $and: [
+        filter,
+        { $or: [{ timestamp: { $lt: timestamp } }, { timestamp, _id: { $lt: id } }] }
+      ]
+    });
+  });
+});
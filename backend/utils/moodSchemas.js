@@ -0,0 +1,117 @@
+const { MOODS, SOURCES, MAX_NOTES_LENGTH, MAX_TAGS_PER_LOG, MAX_LOCATION_LENGTH } = require('../models/moodLog');
+const { MAX_TAG_LENGTH, TAG_NAME_PATTERN } = require('../models/tag');
+const { DATE_FORMATS } = require('./moodImport');
+
+// Request schemas for the mood routes, checked by the validate middleware
+
+const emotionScores = { type: 'object', nullable: true, keys: MOODS, values: { type: 'number', min: 0, max: 1 } };
+const timezone = { type: 'timezone', maxLength: 64 };
+
+// Tags and the optional context a log can carry, on create and update alike
+const contextFields = {
+  tags: {
+    type: 'array',
+    maxItems: MAX_TAGS_PER_LOG,
+    items: { type: 'string', maxLength: MAX_TAG_LENGTH, pattern: TAG_NAME_PATTERN, patternMessage: 'must not be blank or contain commas' }
+  },
+  sleepHours: { type: 'number', nullable: true, min: 0, max: 24 },
+  energy: { type: 'integer', nullable: true, min: 1, max: 5 },
+  location: { type: 'string', maxLength: MAX_LOCATION_LENGTH }
+};
+
+// Filters understood by buildMoodFilter
+const filterQuery = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  mood: { type: 'string', listOf: MOODS },
+  source: { type: 'string', enum: SOURCES },
+  q: { type: 'string', maxLength: 200 },
+  // Comma-separated tag names; logs must have all of them
+  tags: { type: 'string', maxLength: 500 },
+  emotion: { type: 'string', enum: MOODS },
+  minConfidence: { type: 'numeric', min: 0, max: 1 }
+};
+
+const moodLogId = {
+  params: { id: { type: 'objectId', required: true } }
+};
+
+const createMoodLog = {
+  // Lets offline clients resend a queued log without creating it twice
+  headers: {
+    'idempotency-key': { type: 'string', pattern: /^[\w-]{8,100}$/, patternMessage: 'must be 8 to 100 letters, digits, - or _' }
+  },
+  body: {
+    mood: { type: 'string', required: true, enum: MOODS },
+    notes: { type: 'string', maxLength: MAX_NOTES_LENGTH },
+    ...contextFields,
+    emotionScores,
+    faceDetails: { type: 'object', nullable: true },
+    handDetails: { type: 'object', nullable: true },
+    detector: { type: 'string', maxLength: 40, nullable: true },
+    source: { type: 'string', enum: SOURCES },
+    timestamp: { type: 'date', notInFuture: true }
+  }
+};
+
+const updateMoodLog = {
+  params: moodLogId.params,
+  body: {
+    mood: { type: 'string', enum: MOODS },
+    notes: { type: 'string', maxLength: MAX_NOTES_LENGTH },
+    ...contextFields
+  }
+};
+
+const moodHistory = {
+  query: {
+    ...filterQuery,
+    limit: { type: 'numeric', min: 1 },
+    cursor: { type: 'string', maxLength: 200 }
+  }
+};
+
+const moodStats = {
+  query: {
+    ...filterQuery,
+    interval: { type: 'string', enum: ['day', 'week', 'month'] },
+    tz: timezone
+  }
+};
+
+const moodExport = {
+  query: {
+    ...filterQuery,
+    format: { type: 'string', enum: ['csv', 'json'] }
+  }
+};
+
+const monthlyReport = {
+  query: {
+    month: { type: 'string', required: true, pattern: /^\d{4}-(0[1-9]|1[0-2])$/, patternMessage: 'must be in YYYY-MM format' },
+    tz: timezone,
+    notes: { type: 'string', enum: ['true', 'false'] }
+  }
+};
+
+const moodImport = {
+  body: {
+    csv: { type: 'string', required: true },
+    mapping: { type: 'object' },
+    moodMap: { type: 'object', values: { type: 'string', enum: MOODS, nullable: true } },
+    dateFormat: { type: 'string', enum: DATE_FORMATS },
+    timezone,
+    dryRun: { type: 'boolean' }
+  }
+};
+
+module.exports = {
+  moodLogId,
+  createMoodLog,
+  updateMoodLog,
+  moodHistory,
+  moodStats,
+  moodExport,
+  monthlyReport,
+  moodImport
+};
@@ -0,0 +1,168 @@
+const { badRequest, UNKNOWN_TIMEZONE } = require('./errors');
+
+// Aggregation helpers shared by the stats and report endpoints
+
+// Labels for each bucket; weeks are named after their Monday
+const LABEL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%Y-%m-%d',
+  month: '%Y-%m'
+};
+
+// Accept IANA zone names ("Europe/London") or UTC offsets ("+05:30")
+const isValidTimezone = (tz) => {
+  if (/^[+-]\d{2}(:?\d{2})?$/.test(tz)) {
+    return true;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Pipeline that counts moods per value of a date part, e.g. hour of day
+const moodCountsBy = (slot) => [
+  { $group: { _id: { slot, mood: '$mood' }, count: { $sum: 1 } } },
+  {
+    $group: {
+      _id: '$_id.slot',
+      count: { $sum: '$count' },
+      moods: { $push: { k: '$_id.mood', v: '$count' } }
+    }
+  },
+  { $sort: { _id: 1 } }
+];
+
+// Turn [{ k, v }] pairs from the pipeline into a plain object
+const pairsToObject = (pairs) => {
+  return pairs.reduce((result, { k, v }) => {
+    result[k] = v;
+    return result;
+  }, {});
+};
+
+// Intl and MongoDB don't know quite the same zone names, so a name that passed
+// isValidTimezone can still be rejected by the pipeline; that is the client's mistake
+const timezoneError = (err, timezone) => {
+  if (err.code === UNKNOWN_TIMEZONE) {
+    return badRequest(`Unknown timezone: ${timezone}`, { tz: 'is not a known timezone' });
+  }
+  return err;
+};
+
+// Aggregation for GET /moods/stats over the logs matching filter, bucketed by
+// day, week or month and grouped by hour and weekday in the given timezone
+const statsPipeline = (filter, { interval, timezone }) => {
+  const bucketStart = {
+    $dateTrunc: { date: '$timestamp', unit: interval, timezone, startOfWeek: 'monday' }
+  };
+  const scorePairs = { $objectToArray: { $ifNull: ['$emotionScores', {}] } };
+
+  return [
+    { $match: filter },
+    { $addFields: { bucket: bucketStart, scores: scorePairs } },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        moodCounts: [
+          { $group: { _id: '$mood', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        // Logs saved before the source field existed were all detected
+        sourceCounts: [
+          { $group: { _id: { $ifNull: ['$source', 'detected'] }, count: { $sum: 1 } } }
+        ],
+        emotionAverages: [
+          { $unwind: '$scores' },
+          { $group: { _id: '$scores.k', average: { $avg: '$scores.v' } } }
+        ],
+        bucketMoods: [
+          { $group: { _id: { bucket: '$bucket', mood: '$mood' }, count: { $sum: 1 } } },
+          {
+            $group: {
+              _id: '$_id.bucket',
+              count: { $sum: '$count' },
+              moods: { $push: { k: '$_id.mood', v: '$count' } }
+            }
+          },
+          {
+            $addFields: {
+              label: { $dateToString: { date: '$_id', format: LABEL_FORMATS[interval], timezone } }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ],
+        bucketAverages: [
+          { $unwind: '$scores' },
+          { $group: { _id: { bucket: '$bucket', emotion: '$scores.k' }, average: { $avg: '$scores.v' } } },
+          { $group: { _id: '$_id.bucket', averages: { $push: { k: '$_id.emotion', v: '$average' } } } }
+        ],
+        // $avg skips logs without the field, so these average only the logs that have it
+        context: [
+          { $group: { _id: null, averageEnergy: { $avg: '$energy' }, averageSleepHours: { $avg: '$sleepHours' } } }
+        ],
+        tagMoods: [{ $unwind: '$tags' }, ...moodCountsBy('$tags')],
+        tagContext: [
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', averageEnergy: { $avg: '$energy' }, averageSleepHours: { $avg: '$sleepHours' } } }
+        ],
+        byHour: moodCountsBy({ $hour: { date: '$timestamp', timezone } }),
+        byWeekday: moodCountsBy({ $isoDayOfWeek: { date: '$timestamp', timezone } })
+      }
+    }
+  ];
+};
+
+// Shape the $facet result of statsPipeline into the stats response
+const formatStats = (result, { interval, timezone }) => {
+  const averagesByBucket = new Map(
+    result.bucketAverages.map(bucket => [bucket._id.getTime(), pairsToObject(bucket.averages)])
+  );
+
+  const contextByTag = new Map(result.tagContext.map(({ _id, ...averages }) => [_id, averages]));
+  const context = result.context[0] || {};
+
+  const buckets = result.bucketMoods.map(bucket => ({
+    start: bucket._id,
+    label: bucket.label,
+    count: bucket.count,
+    moodCounts: pairsToObject(bucket.moods),
+    emotionAverages: averagesByBucket.get(bucket._id.getTime()) || {}
+  }));
+
+  return {
+    interval,
+    timezone,
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    moodCounts: pairsToObject(result.moodCounts.map(({ _id, count }) => ({ k: _id, v: count }))),
+    sourceCounts: pairsToObject(result.sourceCounts.map(({ _id, count }) => ({ k: _id, v: count }))),
+    emotionAverages: pairsToObject(result.emotionAverages.map(({ _id, average }) => ({ k: _id, v: average }))),
+    buckets,
+    averageEnergy: context.averageEnergy ?? null,
+    averageSleepHours: context.averageSleepHours ?? null,
+    // Most used first; a log with several tags counts towards each of them
+    byTag: result.tagMoods
+      .map(slot => ({
+        tag: slot._id,
+        count: slot.count,
+        moodCounts: pairsToObject(slot.moods),
+        ...contextByTag.get(slot._id)
+      }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag)),
+    // Hours are 0-23 and weekdays 1 (Monday) to 7 (Sunday), both in the requested timezone
+    timeOfDay: result.byHour.map(slot => ({
+      hour: slot._id,
+      count: slot.count,
+      moodCounts: pairsToObject(slot.moods)
+    })),
+    dayOfWeek: result.byWeekday.map(slot => ({
+      day: slot._id,
+      count: slot.count,
+      moodCounts: pairsToObject(slot.moods)
+    }))
+  };
+};
+
+module.exports = { isValidTimezone, moodCountsBy, pairsToObject, timezoneError, statsPipeline, formatStats };
@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { UNKNOWN_TIMEZONE } = require('./errors');
+const { timezoneError, statsPipeline, formatStats } = require('./moodStats');
+
+const FILTER = { userId: 'user' };
+
+// An empty $facet result, as MongoDB returns for a user without logs
+const emptyResult = () => ({
+  total: [],
+  moodCounts: [],
+  sourceCounts: [],
+  emotionAverages: [],
+  bucketMoods: [],
+  bucketAverages: [],
+  context: [],
+  tagMoods: [],
+  tagContext: [],
+  byHour: [],
+  byWeekday: []
+});
+
+test('buckets by the interval in the requested timezone, weeks starting on Monday', () => {
+  const [match, { $addFields }, { $facet }] = statsPipeline(FILTER, { interval: 'week', timezone: 'Asia/Tokyo' });
+
+  assert.deepEqual(match, { $match: FILTER });
+  assert.deepEqual($addFields.bucket, {
+    $dateTrunc: { date: '$timestamp', unit: 'week', timezone: 'Asia/Tokyo', startOfWeek: 'monday' }
+  });
+  assert.deepEqual($facet.byHour[0].$group._id.slot, { $hour: { date: '$timestamp', timezone: 'Asia/Tokyo' } });
+  assert.deepEqual($facet.byWeekday[0].$group._id.slot, { $isoDayOfWeek: { date: '$timestamp', timezone: 'Asia/Tokyo' } });
+});
+
+test('labels buckets by day for days and weeks and by month for months', () => {
+  const labelOf = (interval) => {
+    const { $facet } = statsPipeline(FILTER, { interval, timezone: 'UTC' })[2];
+    return $facet.bucketMoods.find(stage => stage.$addFields).$addFields.label.$dateToString;
+  };
+
+  assert.deepEqual(labelOf('day'), { date: '$_id', format: '%Y-%m-%d', timezone: 'UTC' });
+  assert.deepEqual(labelOf('week'), { date: '$_id', format: '%Y-%m-%d', timezone: 'UTC' });
+  assert.deepEqual(labelOf('month'), { date: '$_id', format: '%Y-%m', timezone: 'UTC' });
+});
+
+test('formats an empty result', () => {
+  assert.deepEqual(formatStats(emptyResult(), { interval: 'day', timezone: 'UTC' }), {
+    interval: 'day',
+    timezone: 'UTC',
+    total: 0,
+    moodCounts: {},
+    sourceCounts: {},
+    emotionAverages: {},
+    buckets: [],
+    averageEnergy: null,
+    averageSleepHours: null,
+    byTag: [],
+    timeOfDay: [],
+    dayOfWeek: []
+  });
+});
+
+test('joins each bucket with its emotion averages and sorts tags by use', () => {
+  const march = new Date('2024-03-01T00:00:00Z');
+  const april = new Date('2024-04-01T00:00:00Z');
+  const result = {
+    ...emptyResult(),
+    total: [{ count: 3 }],
+    moodCounts: [{ _id: 'happy', count: 2 }, { _id: 'sad', count: 1 }],
+    bucketMoods: [
+      { _id: march, label: '2024-03', count: 2, moods: [{ k: 'happy', v: 2 }] },
+      { _id: april, label: '2024-04', count: 1, moods: [{ k: 'sad', v: 1 }] }
+    ],
+    bucketAverages: [{ _id: new Date(april), averages: [{ k: 'sad', v: 0.8 }] }],
+    context: [{ _id: null, averageEnergy: 3, averageSleepHours: null }],
+    tagMoods: [
+      { _id: 'work', count: 1, moods: [{ k: 'sad', v: 1 }] },
+      { _id: 'gym', count: 2, moods: [{ k: 'happy', v: 2 }] }
+    ],
+    tagContext: [{ _id: 'gym', averageEnergy: 4, averageSleepHours: 7 }]
+  };
+
+  const stats = formatStats(result, { interval: 'month', timezone: 'Europe/London' });
+
+  assert.equal(stats.total, 3);
+  assert.deepEqual(stats.moodCounts, { happy: 2, sad: 1 });
+  assert.deepEqual(stats.buckets, [
+    { start: march, label: '2024-03', count: 2, moodCounts: { happy: 2 }, emotionAverages: {} },
+    { start: april, label: '2024-04', count: 1, moodCounts: { sad: 1 }, emotionAverages: { sad: 0.8 } }
+  ]);
+  assert.equal(stats.averageEnergy, 3);
+  assert.equal(stats.averageSleepHours, null);
+  assert.deepEqual(stats.byTag, [
+    { tag: 'gym', count: 2, moodCounts: { happy: 2 }, averageEnergy: 4, averageSleepHours: 7 },
+    { tag: 'work', count: 1, moodCounts: { sad: 1 } }
+  ]);
+});
+
+test('turns MongoDB rejecting the timezone into a bad request', () => {
+  const err = timezoneError(Object.assign(new Error('unrecognized time zone identifier'), { code: UNKNOWN_TIMEZONE }), 'EST5EDT');
+  assert.equal(err.status, 400);
+  assert.equal(err.message, 'Unknown timezone: EST5EDT');
+  assert.deepEqual(err.fields, { tz: 'is not a known timezone' });
+
+  const other = new Error('connection lost');
+  assert.equal(timezoneError(other, 'UTC'), other);
+});
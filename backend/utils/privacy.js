@@ -0,0 +1,69 @@
+const { MOODS } = require('../models/moodLog');
+
+const MAX_HANDS = 4;
+const MAX_LABEL_LENGTH = 32;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const numberOrNull = (value) => (isNumber(value) ? value : null);
+
+// Only known moods, each a score between 0 and 1
+const sanitizeScores = (scores) => {
+  if (!scores || typeof scores !== 'object') return {};
+  const clean = {};
+  MOODS.forEach(mood => {
+    if (isNumber(scores[mood])) {
+      clean[mood] = Math.min(1, Math.max(0, scores[mood]));
+    }
+  });
+  return clean;
+};
+
+const sanitizeBox = (box) => {
+  if (!box || typeof box !== 'object') return null;
+  const { xMin, yMin, width, height } = box;
+  return [xMin, yMin, width, height].every(isNumber) ? { xMin, yMin, width, height } : null;
+};
+
+// Summary fields the tracker sends for the face; anything else is dropped
+const sanitizeFaceDetails = (details) => {
+  if (!details || typeof details !== 'object') return null;
+  return {
+    facesDetected: numberOrNull(details.facesDetected),
+    keypoints: numberOrNull(details.keypoints),
+    confidence: numberOrNull(details.confidence),
+    boundingBox: sanitizeBox(details.boundingBox),
+    fallbackMode: Boolean(details.fallbackMode)
+  };
+};
+
+const shortList = (list, keep) => (Array.isArray(list) ? list.slice(0, MAX_HANDS).map(keep) : []);
+const shortLabel = (value) => (typeof value === 'string' ? value.slice(0, MAX_LABEL_LENGTH) : null);
+
+// Summary fields the tracker sends for hands; anything else is dropped
+const sanitizeHandDetails = (details) => {
+  if (!details || typeof details !== 'object') return null;
+  return {
+    handsDetected: numberOrNull(details.handsDetected),
+    handedness: shortList(details.handedness, shortLabel),
+    gestures: shortList(details.gestures, shortLabel),
+    keypoints: shortList(details.keypoints, numberOrNull),
+    confidence: shortList(details.confidence, numberOrNull),
+    fallbackMode: Boolean(details.fallbackMode)
+  };
+};
+
+/*
+ * Reduce detection data to what the user's privacy level allows:
+ *   mood       - no scores or details
+ *   scores     - emotion scores only
+ *   biometrics - scores plus face and hand summaries
+ */
+const applyStoreLevel = ({ emotionScores, faceDetails, handDetails }, storeLevel) => {
+  return {
+    emotionScores: storeLevel === 'mood' ? {} : sanitizeScores(emotionScores),
+    faceDetails: storeLevel === 'biometrics' ? sanitizeFaceDetails(faceDetails) : null,
+    handDetails: storeLevel === 'biometrics' ? sanitizeHandDetails(handDetails) : null
+  };
+};
+
+module.exports = { applyStoreLevel };
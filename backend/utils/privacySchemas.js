@@ -0,0 +1,13 @@
+const { STORE_LEVELS, MAX_RETENTION_DAYS } = require('../models/user');
+
+// Request schemas for the privacy routes, checked by the validate middleware
+
+const updatePrivacy = {
+  body: {
+    storeLevel: { type: 'string', enum: STORE_LEVELS },
+    // null keeps face/hand details for as long as the log exists
+    retentionDays: { type: 'integer', nullable: true, min: 1, max: MAX_RETENTION_DAYS }
+  }
+};
+
+module.exports = { updatePrivacy };
@@ -0,0 +1,17 @@
+// Request schemas for the reminder routes, checked by the validate middleware
+
+const MAX_REMINDER_TIMES = 6;
+
+const updateReminders = {
+  body: {
+    enabled: { type: 'boolean' },
+    times: {
+      type: 'array',
+      maxItems: MAX_REMINDER_TIMES,
+      items: { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/, patternMessage: 'must be a time like 08:30' }
+    },
+    days: { type: 'array', maxItems: 7, items: { type: 'integer', min: 0, max: 6 } }
+  }
+};
+
+module.exports = { MAX_REMINDER_TIMES, updateReminders };
@@ -0,0 +1,24 @@
+const { LANDMARK_COUNTS } = require('../models/labelledSample');
+const { MOODS } = require('../models/moodLog');
+
+// Request schemas for the labelled sample routes, checked by the validate middleware
+
+// An [x, y] or [x, y, z] face mesh point
+const point = { type: 'array', minItems: 2, maxItems: 3, items: { type: 'number' } };
+
+const detector = { type: 'string', maxLength: 40 };
+
+const addSample = {
+  body: {
+    detector: { ...detector, required: true, pattern: /\S/, patternMessage: 'is required' },
+    predictedMood: { type: 'string', enum: MOODS, nullable: true },
+    label: { type: 'string', required: true, enum: MOODS },
+    landmarks: { type: 'array', required: true, itemCounts: LANDMARK_COUNTS, items: point }
+  }
+};
+
+const getSamples = {
+  query: { detector }
+};
+
+module.exports = { addSample, getSamples };
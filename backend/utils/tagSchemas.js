@@ -0,0 +1,26 @@
+const { MAX_TAG_LENGTH, TAG_NAME_PATTERN } = require('../models/tag');
+
+// Request schemas for the tag routes, checked by the validate middleware
+
+const name = {
+  type: 'string',
+  required: true,
+  maxLength: MAX_TAG_LENGTH,
+  pattern: TAG_NAME_PATTERN,
+  patternMessage: 'must not be blank or contain commas'
+};
+
+const tagId = {
+  params: { id: { type: 'objectId', required: true } }
+};
+
+const createTag = {
+  body: { name }
+};
+
+const renameTag = {
+  params: tagId.params,
+  body: { name }
+};
+
+module.exports = { tagId, createTag, renameTag };
@@ -0,0 +1,47 @@
+const Tag = require('../models/tag');
+const { MAX_TAGS, NAME_COLLATION } = require('../models/tag');
+const { badRequest, DUPLICATE_KEY } = require('./errors');
+
+const tagKey = (name) => name.toLowerCase();
+
+/*
+ * The names to store on a mood log for the tags a client sent: trimmed, without
+ * repeats and spelled as in the user's vocabulary. Tags the user doesn't have yet are
+ * added to it, so a log queued offline with a new tag still saves.
+ */
+const resolveTags = async (userId, names) => {
+  const wanted = [];
+  const seen = new Set();
+  names.map(name => name.trim()).forEach(name => {
+    if (name && !seen.has(tagKey(name))) {
+      seen.add(tagKey(name));
+      wanted.push(name);
+    }
+  });
+  if (wanted.length === 0) {
+    return [];
+  }
+
+  const existing = await Tag.find({ userId, name: { $in: wanted } }).collation(NAME_COLLATION);
+  const spelling = new Map(existing.map(tag => [tagKey(tag.name), tag.name]));
+  const missing = wanted.filter(name => !spelling.has(tagKey(name)));
+
+  if (missing.length > 0) {
+    const count = await Tag.countDocuments({ userId });
+    if (count + missing.length > MAX_TAGS) {
+      throw badRequest(`You can have at most ${MAX_TAGS} tags`, { tags: 'would add more tags than allowed' });
+    }
+    try {
+      await Tag.insertMany(missing.map(name => ({ userId, name })), { ordered: false });
+    } catch (err) {
+      // Another request added some of them first, perhaps with other capitals
+      if (err.code !== DUPLICATE_KEY) throw err;
+    }
+    const added = await Tag.find({ userId, name: { $in: missing } }).collation(NAME_COLLATION);
+    added.forEach(tag => spelling.set(tagKey(tag.name), tag.name));
+  }
+
+  return wanted.map(name => spelling.get(tagKey(name)));
+};
+
+module.exports = { resolveTags };
@@ -0,0 +1,37 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Tag = require('../models/tag');
+const { DUPLICATE_KEY } = require('./errors');
+const { resolveTags } = require('./tags');
+
+const USER_ID = '65f000000000000000000001';
+
+// The user's vocabulary in the fake tag collection, matched case-insensitively like NAME_COLLATION
+let vocabulary = [];
+const findByName = ({ name }) => {
+  const wanted = name.$in.map(value => value.toLowerCase());
+  return vocabulary.filter(tagName => wanted.includes(tagName.toLowerCase())).map(tagName => ({ name: tagName }));
+};
+
+beforeEach(() => {
+  vocabulary = ['Work'];
+  mock.method(Tag, 'find', (query) => ({ collation: async () => findByName(query) }));
+  mock.method(Tag, 'countDocuments', async () => vocabulary.length);
+  mock.method(Tag, 'insertMany', async (docs) => {
+    vocabulary.push(...docs.map(doc => doc.name));
+  });
+});
+
+test('spells tags as in the vocabulary, without repeats', async () => {
+  assert.deepEqual(await resolveTags(USER_ID, [' work ', 'WORK', '', 'Gym']), ['Work', 'Gym']);
+  assert.deepEqual(vocabulary, ['Work', 'Gym']);
+});
+
+test('uses the spelling of a tag another request added first', async () => {
+  Tag.insertMany.mock.mockImplementation(async () => {
+    // The other request's "gym" won the race for the unique index
+    vocabulary.push('gym');
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: DUPLICATE_KEY });
+  });
+  assert.deepEqual(await resolveTags(USER_ID, ['Work', 'GYM']), ['Work', 'gym']);
+});
@@ -0,0 +1,6 @@
+// Runtime settings, read before the app starts and by the service worker. Edit this file
+// on the server to point a build at another backend without rebuilding; leave apiBaseUrl
+// out to use REACT_APP_API_URL from the build, or set it to '' when the API shares this origin.
+self.MOOD_TRACKER_CONFIG = {
+  // apiBaseUrl: 'https://api.example.com'
+};
@@ -0,0 +1,82 @@
+/*
+ * Downloads the MediaPipe TF.js graph models used for face and hand detection
+ * into public/models/mediapipe so the app can run without reaching a CDN.
+ *
+ * Usage: npm run models:download
+ *
+ * With --if-missing (run before `npm start` and `npm build`) models already on disk
+ * are skipped, and a failed download only warns: the app still runs, with manual
+ * entry, and tells the user the models are missing.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const OUTPUT_DIR = path.join(__dirname, '..', 'public', 'models', 'mediapipe');
+const IF_MISSING = process.argv.includes('--if-missing');
+
+const MODELS = {
+  face_detection_short: 'https://tfhub.dev/mediapipe/tfjs-model/face_detection/short/1',
+  face_mesh: 'https://tfhub.dev/mediapipe/tfjs-model/face_landmarks_detection/face_mesh/1',
+  handpose_detector_full: 'https://tfhub.dev/mediapipe/tfjs-model/handpose_3d/detector/full/1',
+  handpose_landmark_full: 'https://tfhub.dev/mediapipe/tfjs-model/handpose_3d/landmark/full/1'
+};
+
+const download = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download ${url}: ${response.status} ${response.statusText}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
+
+// A model counts as present when its model.json and every weight shard it lists are there
+const isDownloaded = (modelDir) => {
+  const modelJsonPath = path.join(modelDir, 'model.json');
+  if (!fs.existsSync(modelJsonPath)) return false;
+  try {
+    const { weightsManifest } = JSON.parse(fs.readFileSync(modelJsonPath, 'utf8'));
+    return weightsManifest.flatMap(group => group.paths).every(shard => fs.existsSync(path.join(modelDir, shard)));
+  } catch (err) {
+    return false;
+  }
+};
+
+const downloadModel = async (name, hubUrl) => {
+  const modelDir = path.join(OUTPUT_DIR, name);
+  if (IF_MISSING && isDownloaded(modelDir)) return false;
+  fs.mkdirSync(modelDir, { recursive: true });
+
+  // TF Hub serves the raw model.json and its weight shards with ?tfjs-format=file
+  const modelJson = await download(`${hubUrl}/model.json?tfjs-format=file`);
+  fs.writeFileSync(path.join(modelDir, 'model.json'), modelJson);
+
+  const { weightsManifest } = JSON.parse(modelJson.toString('utf8'));
+  const shards = weightsManifest.flatMap(group => group.paths);
+  for (const shard of shards) {
+    const data = await download(`${hubUrl}/${shard}?tfjs-format=file`);
+    fs.writeFileSync(path.join(modelDir, shard), data);
+  }
+
+  console.log(`✔ ${name} (${shards.length} weight file${shards.length === 1 ? '' : 's'})`);
+  return true;
+};
+
+const main = async () => {
+  let downloaded = 0;
+  for (const [name, url] of Object.entries(MODELS)) {
+    if (await downloadModel(name, url)) downloaded += 1;
+  }
+  if (downloaded > 0 || !IF_MISSING) {
+    console.log(`Models saved to ${OUTPUT_DIR}`);
+  }
+};
+
+main().catch(err => {
+  console.error(err.message);
+  if (IF_MISSING) {
+    console.warn('⚠ Face and hand detection models are missing, so the app will only offer manual entry. ' +
+      'Run `npm run models:download` once you are online.');
+    return;
+  }
+  process.exit(1);
+});
@@ -0,0 +1,166 @@
+/*
+ * Replays labelled samples (see the accuracy opt-in in the tracker) through the
+ * landmark emotion scorer and reports a confusion matrix with per-class
+ * precision and recall. Samples come from a JSON file exported from
+ * GET /api/samples, or straight from the API.
+ *
+ * The scorer applies the user's calibration when it has one: it's fetched along with
+ * the samples, or read from a file exported from GET /api/calibration.
+ *
+ * Usage: npm run evaluate:detector -- samples.json [--calibration calibration.json]
+ *        npm run evaluate:detector -- --api http://localhost:5000 --token <jwt>
+ */
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const babel = require('@babel/core');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+
+// The scorer is an ES module written for the app, so compile files under src/ to CommonJS as they load
+const loadJs = Module._extensions['.js'];
+Module._extensions['.js'] = (module, filename) => {
+  if (!filename.startsWith(SRC_DIR)) {
+    return loadJs(module, filename);
+  }
+  const { code } = babel.transformFileSync(filename, {
+    babelrc: false,
+    configFile: false,
+    plugins: ['@babel/plugin-transform-modules-commonjs']
+  });
+  module._compile(code, filename);
+};
+
+const { calculateEmotionsFromLandmarks } = require('../src/detection/landmarkHeuristic');
+const { isUsableCalibration } = require('../src/detection/calibration');
+const { MOODS } = require('../src/emotions');
+
+const parseArgs = (argv) => {
+  const args = { file: null, api: null, token: null, calibration: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--calibration') {
+      args.calibration = argv[++i];
+    } else if (argv[i] === '--api') {
+      args.api = argv[++i];
+    } else if (argv[i] === '--token') {
+      args.token = argv[++i];
+    } else {
+      args.file = argv[i];
+    }
+  }
+  return args;
+};
+
+const fetchJson = async ({ api, token }, route, what) => {
+  const response = await fetch(`${api.replace(/\/$/, '')}${route}`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${what}: ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+};
+
+const loadSamples = async (args) => {
+  if (args.file) {
+    return JSON.parse(fs.readFileSync(args.file, 'utf8'));
+  }
+  if (!args.api || !args.token) {
+    throw new Error('Pass a samples JSON file, or --api <url> and --token <jwt>');
+  }
+  return fetchJson(args, '/api/samples?detector=landmarks', 'samples');
+};
+
+// The calibration to score with, or null to score uncalibrated
+const loadCalibration = async (args) => {
+  if (args.calibration) {
+    return JSON.parse(fs.readFileSync(args.calibration, 'utf8'));
+  }
+  if (args.api && args.token) {
+    return fetchJson(args, '/api/calibration', 'calibration');
+  }
+  return null;
+};
+
+const dominant = (scores) => Object.keys(scores).reduce((a, b) => (scores[a] > scores[b] ? a : b));
+
+// Confusion matrix over [label, prediction] pairs, plus per-class precision and recall
+const evaluate = (pairs) => {
+  const classes = MOODS.filter(mood => pairs.some(([label, predicted]) => label === mood || predicted === mood));
+  const matrix = {};
+  classes.forEach(label => {
+    matrix[label] = {};
+    classes.forEach(predicted => {
+      matrix[label][predicted] = 0;
+    });
+  });
+  pairs.forEach(([label, predicted]) => {
+    matrix[label][predicted] += 1;
+  });
+
+  const perClass = classes.map(mood => {
+    const truePositives = matrix[mood][mood];
+    const predictedCount = classes.reduce((sum, label) => sum + matrix[label][mood], 0);
+    const actualCount = classes.reduce((sum, predicted) => sum + matrix[mood][predicted], 0);
+    return {
+      mood,
+      support: actualCount,
+      precision: predictedCount ? truePositives / predictedCount : null,
+      recall: actualCount ? truePositives / actualCount : null
+    };
+  });
+  const correct = classes.reduce((sum, mood) => sum + matrix[mood][mood], 0);
+
+  return { classes, matrix, perClass, accuracy: pairs.length ? correct / pairs.length : null };
+};
+
+const percent = (value) => (value == null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`);
+
+const printReport = (title, { classes, matrix, perClass, accuracy }, count) => {
+  const width = Math.max(10, ...classes.map(mood => mood.length + 1));
+  console.log(`\n${title} (${count} samples, accuracy ${percent(accuracy).trim()})`);
+  console.log('Rows are the user\'s label, columns the prediction.\n');
+  console.log(''.padEnd(width) + classes.map(mood => mood.padStart(width)).join(''));
+  classes.forEach(label => {
+    console.log(label.padEnd(width) + classes.map(predicted => String(matrix[label][predicted]).padStart(width)).join(''));
+  });
+
+  console.log(`\n${'mood'.padEnd(width)}${'precision'.padStart(11)}${'recall'.padStart(9)}${'support'.padStart(9)}`);
+  perClass.forEach(({ mood, precision, recall, support }) => {
+    console.log(`${mood.padEnd(width)}${percent(precision).padStart(11)}${percent(recall).padStart(9)}${String(support).padStart(9)}`);
+  });
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const samples = (await loadSamples(args))
+    .filter(sample => sample.detector === 'landmarks' && Array.isArray(sample.landmarks));
+  if (samples.length === 0) {
+    console.log('No labelled landmark samples to evaluate.');
+    return;
+  }
+
+  const loaded = await loadCalibration(args);
+  const calibration = isUsableCalibration(loaded) ? loaded : null;
+  if (loaded && !calibration) {
+    console.log('The calibration is from an older version or has no neutral pose, so it is ignored.');
+  }
+
+  const replayed = samples.map(sample => [
+    sample.label,
+    dominant(calculateEmotionsFromLandmarks(sample.landmarks, calibration))
+  ]);
+  const title = `Replayed through the current scorer, ${calibration ? 'with your calibration' : 'uncalibrated'}`;
+  printReport(title, evaluate(replayed), replayed.length);
+
+  // What the app showed at the time, after smoothing and with any calibration or gesture weighting
+  const live = samples.filter(sample => sample.predictedMood).map(sample => [sample.label, sample.predictedMood]);
+  if (live.length > 0) {
+    printReport('Recorded in the app', evaluate(live), live.length);
+  }
+};
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -1,11 +1,102 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import MoodTracker from './components/MoodTracker';
+import AuthScreen from './components/AuthScreen';
+import MoodDashboard from './components/MoodDashboard';
+import PrivacySettings from './components/PrivacySettings';
+import ReminderSettings from './components/ReminderSettings';
+import { getSession, saveSession, clearSession } from './auth';
+import { clearCachedHistory } from './offline/historyCache';
+import { clearOutbox, clearSyncToken } from './offline/outbox';
+import { clearReminderSchedule } from './reminders/checkIn';
+import useCheckInReminders from './reminders/useCheckInReminders';
 import './styles.css';
 
 function App() {
+  const [session, setSession] = useState(getSession);
+  const [view, setView] = useState('tracker');
+  // Reminder notifications open the app with ?quicklog=1, or post a message to an open tab
+  const [isQuickLogOpen, setIsQuickLogOpen] = useState(() => new URLSearchParams(window.location.search).has('quicklog'));
+  const [reminders, setReminders] = useCheckInReminders({ userId: session?.user?._id, token: session?.token });
+
+  useEffect(() => {
+    const handleMessage = (event) => {
+      if (event.origin === window.location.origin && event.data && event.data.type === 'quick-log') {
+        setView('tracker');
+        setIsQuickLogOpen(true);
+      }
+    };
+    window.addEventListener('message', handleMessage);
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', handleMessage);
+    }
+    return () => {
+      window.removeEventListener('message', handleMessage);
+      if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.removeEventListener('message', handleMessage);
+      }
+    };
+  }, []);
+
+  const closeQuickLog = () => {
+    setIsQuickLogOpen(false);
+    window.history.replaceState(null, '', window.location.pathname);
+  };
+
+  const handleLogin = (newSession) => {
+    saveSession(newSession);
+    setSession(newSession);
+  };
+
+  // End the session, e.g. when the server rejects an expired token. Queued moods stay
+  // on the device and are sent once the user signs in again.
+  const handleLogout = () => {
+    clearSession();
+    clearCachedHistory().catch(err => console.error('Error clearing cached history:', err));
+    clearReminderSchedule().catch(err => console.error('Error clearing reminders:', err));
+    setSession(null);
+    setView('tracker');
+  };
+
+  // The user chose to log out, so nothing of theirs stays on the device. MoodTracker
+  // tries to send queued moods first and asks before any are dropped.
+  const handleSignOut = () => {
+    const userId = session.user?._id;
+    if (userId) {
+      Promise.all([clearOutbox(userId), clearSyncToken(userId)])
+        .catch(err => console.error('Error clearing queued moods:', err));
+    }
+    handleLogout();
+  };
+
   return (
     <div className="App">
-      <MoodTracker />
+      {!session ? (
+        <AuthScreen onLogin={handleLogin} />
+      ) : view === 'dashboard' ? (
+        <MoodDashboard token={session.token} onBack={() => setView('tracker')} onLogout={handleLogout} />
+      ) : view === 'reminders' ? (
+        <ReminderSettings
+          token={session.token}
+          reminders={reminders}
+          onChange={setReminders}
+          onBack={() => setView('tracker')}
+          onLogout={handleLogout}
+        />
+      ) : view === 'privacy' ? (
+        <PrivacySettings token={session.token} userId={session.user?._id} onBack={() => setView('tracker')} onLogout={handleLogout} />
+      ) : (
+        <MoodTracker
+          user={session.user}
+          token={session.token}
+          onLogout={handleLogout}
+          onSignOut={handleSignOut}
+          onShowDashboard={() => setView('dashboard')}
+          onShowPrivacy={() => setView('privacy')}
+          onShowReminders={() => setView('reminders')}
+          isQuickLogOpen={isQuickLogOpen}
+          onCloseQuickLog={closeQuickLog}
+        />
+      )}
     </div>
   );
 }
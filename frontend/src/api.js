@@ -1,11 +1,365 @@
-import axios from 'axios';
+/* global globalThis */
+import { toApiError } from './apiErrors';
 
-const API_URL = 'http://localhost:5000/api/moods';
+/*
+ * The one client for the backend API, shared by the app and the service worker. The
+ * base URL comes from public/config.js at runtime, then REACT_APP_API_URL at build
+ * time, so the same build can be deployed against any backend. An empty base URL
+ * means the API is served from this origin.
+ */
+export const apiBaseUrl = () => {
+  // globalThis rather than window, so this also works inside the service worker
+  const runtimeConfig = globalThis.MOOD_TRACKER_CONFIG || {};
+  return String(
+    runtimeConfig.apiBaseUrl ?? process.env.REACT_APP_API_URL ?? 'http://localhost:5000'
+  ).replace(/\/+$/, '');
+};
+
+// Statuses worth another try: the server or a proxy in front of it is briefly unavailable
+const RETRY_STATUSES = [408, 429, 502, 503, 504];
+// Only these are safe to repeat by default; POST and PATCH opt in with `retries` or an idempotency key
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+const DEFAULT_RETRIES = 2;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+
+/**
+ * @typedef {Object} MoodLog
+ * @property {string} _id
+ * @property {string} mood
+ * @property {string} notes
+ * @property {string[]} tags Names from the user's tag vocabulary
+ * @property {?number} sleepHours
+ * @property {?number} energy 1 (drained) to 5
+ * @property {string} location
+ * @property {Object<string, number>} [emotionScores]
+ * @property {?Object} [faceDetails]
+ * @property {?Object} [handDetails]
+ * @property {?string} detector
+ * @property {'detected'|'manual'|'imported'} source
+ * @property {string} timestamp ISO date
+ */
+
+/**
+ * @typedef {Object} MoodPage
+ * @property {MoodLog[]} items
+ * @property {?string} nextCursor Pass back as `cursor` for the next page
+ */
+
+/**
+ * @typedef {Object} Session
+ * @property {string} token
+ * @property {{ _id: string, name: string, email: string }} user
+ */
+
+/**
+ * @typedef {Object} PrivacySettings
+ * @property {'mood'|'scores'|'biometrics'} storeLevel
+ * @property {?number} retentionDays Days face/hand details are kept; null keeps them
+ */
+
+/**
+ * @typedef {Object} Tag
+ * @property {string} _id
+ * @property {string} name
+ * @property {number} count How many mood logs carry it
+ */
+
+/**
+ * @typedef {Object} Reminders
+ * @property {boolean} enabled
+ * @property {string[]} times Local times of day as "HH:MM"
+ * @property {number[]} days Days of the week, 0 = Sunday
+ */
+
+/**
+ * @typedef {Object} MoodEvent
+ * @property {'ready'|'created'|'updated'|'deleted'|'refresh'} type
+ * @property {Object} data The MoodLog for created and updated, { id } for deleted
+ */
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff with jitter, or the server's Retry-After when it sends one
+const retryDelay = (attempt, response) => {
+  const retryAfter = response ? Number(response.headers.get('Retry-After')) : 0;
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, MAX_DELAY_MS);
+  }
+  const delay = Math.min(BASE_DELAY_MS * 2 ** attempt, MAX_DELAY_MS);
+  return delay / 2 + Math.random() * (delay / 2);
+};
 
-export const saveMoodLog = (moodData) => {
-  return axios.post(`${API_URL}/log`, moodData);
+// Same shape as API errors, so callers handle "no connection" like any other failure
+const networkError = (cause) => {
+  const error = new Error("Can't reach the server. Check your connection and try again.");
+  error.status = 0;
+  error.code = 'NETWORK_ERROR';
+  error.fields = {};
+  error.cause = cause;
+  return error;
 };
 
-export const getMoodHistory = () => {
-  return axios.get(`${API_URL}/history`);
+// Full URL for an API path such as '/moods/history', leaving out empty query values
+export const apiUrl = (path, query) => {
+  const params = new URLSearchParams();
+  Object.entries(query || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') params.set(key, value);
+  });
+  const search = params.toString();
+  return `${apiBaseUrl()}/api${path}${search ? `?${search}` : ''}`;
 };
+
+/*
+ * Send a request and resolve with the successful Response. Rejects with an Error
+ * carrying { status, code, fields } from the API, or code NETWORK_ERROR when the
+ * server can't be reached. Network failures and RETRY_STATUSES are retried.
+ */
+export const send = async (path, options = {}) => {
+  const { method = 'GET', token, query, body, idempotencyKey, retries, signal, errorMessage = 'Request failed' } = options;
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+  const isRepeatable = IDEMPOTENT_METHODS.includes(method) || Boolean(idempotencyKey);
+  const maxRetries = retries ?? (isRepeatable ? DEFAULT_RETRIES : 0);
+  const url = apiUrl(path, query);
+
+  for (let attempt = 0; ; attempt += 1) {
+    let response = null;
+    try {
+      response = await fetch(url, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal
+      });
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      if (attempt >= maxRetries) throw networkError(err);
+    }
+
+    if (response && response.ok) {
+      return response;
+    }
+    if (response && (!RETRY_STATUSES.includes(response.status) || attempt >= maxRetries)) {
+      throw await toApiError(response, errorMessage);
+    }
+    await wait(retryDelay(attempt, response));
+  }
+};
+
+// Like send, resolving with the parsed JSON body
+export const request = (path, options) => send(path, options).then(response => response.json());
+
+/** @returns {Promise<Session>} */
+export const login = (email, password) => request('/auth/login', {
+  method: 'POST',
+  body: { email, password },
+  errorMessage: 'Authentication failed'
+});
+
+/** @returns {Promise<Session>} */
+export const register = (name, email, password) => request('/auth/register', {
+  method: 'POST',
+  body: { name, email, password },
+  errorMessage: 'Authentication failed'
+});
+
+/** @returns {Promise<{ token: string, expiresAt: string }>} a short-lived token that can only create mood logs */
+export const getSyncToken = (token) => request('/auth/sync-token', {
+  method: 'POST',
+  token,
+  errorMessage: 'Failed to get a sync token'
+});
+
+/** @returns {Promise<MoodPage>} filters as accepted by GET /api/moods/history, plus cursor */
+export const getMoodHistory = (token, filters, options) => request('/moods/history', {
+  token,
+  query: filters,
+  errorMessage: 'Failed to load mood history',
+  ...options
+});
+
+/** @returns {Promise<MoodLog>} the same log again when idempotencyKey was already used */
+export const saveMoodLog = (token, moodData, { idempotencyKey } = {}) => request('/moods/log', {
+  method: 'POST',
+  token,
+  body: moodData,
+  idempotencyKey,
+  errorMessage: 'Failed to save mood'
+});
+
+/** @returns {Promise<MoodLog>} changes holds any of mood, notes, tags, sleepHours, energy and location */
+export const updateMoodLog = (token, id, changes) => request(`/moods/${id}`, {
+  method: 'PATCH',
+  token,
+  body: changes,
+  errorMessage: 'Failed to update entry'
+});
+
+/** @returns {Promise<{ message: string, id: string }>} */
+export const deleteMoodLog = (token, id) => request(`/moods/${id}`, {
+  method: 'DELETE',
+  token,
+  errorMessage: 'Failed to delete mood entry'
+});
+
+// One "event: ...\ndata: ..." block of a Server-Sent Events stream, or null for a heartbeat
+const parseEvent = (block) => {
+  let type = 'message';
+  const data = [];
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) type = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+  });
+  return data.length > 0 ? { type, data: JSON.parse(data.join('\n')) } : null;
+};
+
+/*
+ * Follow GET /api/moods/events, calling onEvent with each MoodEvent. Read with fetch
+ * rather than EventSource so the token can go in the Authorization header. Resolves
+ * when the server ends the stream, rejects like send() or when the connection drops,
+ * and stops when signal is aborted.
+ */
+export const streamMoodEvents = async (token, { signal, onEvent }) => {
+  const response = await send('/moods/events', {
+    token,
+    signal,
+    retries: 0,
+    errorMessage: 'Live updates are unavailable'
+  });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+    blocks.map(parseEvent).filter(Boolean).forEach(onEvent);
+  }
+};
+
+/** @returns {Promise<Object>} the payload of GET /api/moods/stats */
+export const getMoodStats = (token, params) => request('/moods/stats', {
+  token,
+  query: params,
+  errorMessage: 'Failed to load statistics'
+});
+
+/** @returns {Promise<Blob>} the whole history as a CSV or JSON file */
+export const exportMoods = (token, format) => send('/moods/export', {
+  token,
+  query: { format },
+  errorMessage: 'Download failed'
+}).then(response => response.blob());
+
+/** @returns {Promise<Blob>} the printable HTML report for one month */
+export const getMonthlyReport = (token, params) => send('/moods/report', {
+  token,
+  query: params,
+  errorMessage: 'Download failed'
+}).then(response => response.blob());
+
+/** @returns {Promise<Object>} the dry run or import summary of POST /api/moods/import */
+export const importMoods = (token, options) => request('/moods/import', {
+  method: 'POST',
+  token,
+  body: options,
+  errorMessage: 'Import failed'
+});
+
+/** @returns {Promise<Tag[]>} in alphabetical order */
+export const getTags = (token) => request('/tags', {
+  token,
+  errorMessage: 'Failed to load tags'
+});
+
+/** @returns {Promise<Tag>} */
+export const createTag = (token, name) => request('/tags', {
+  method: 'POST',
+  token,
+  body: { name },
+  errorMessage: 'Failed to add tag'
+});
+
+/** @returns {Promise<Tag>} mood logs with the old name are renamed too */
+export const renameTag = (token, id, name) => request(`/tags/${id}`, {
+  method: 'PATCH',
+  token,
+  body: { name },
+  errorMessage: 'Failed to rename tag'
+});
+
+/** @returns {Promise<{ message: string, id: string, removedFrom: number }>} */
+export const deleteTag = (token, id) => request(`/tags/${id}`, {
+  method: 'DELETE',
+  token,
+  errorMessage: 'Failed to delete tag'
+});
+
+/** @returns {Promise<?Object>} the saved calibration, or null before the user has calibrated */
+export const getCalibration = (token) => request('/calibration', {
+  token,
+  errorMessage: 'Failed to load calibration'
+});
+
+/** @returns {Promise<Object>} */
+export const saveCalibration = (token, calibration) => request('/calibration', {
+  method: 'PUT',
+  token,
+  body: calibration,
+  errorMessage: 'Failed to save calibration'
+});
+
+export const resetCalibration = (token) => request('/calibration', {
+  method: 'DELETE',
+  token,
+  errorMessage: 'Failed to reset calibration'
+});
+
+/** @returns {Promise<{ id: string, label: string, predictedMood: string }>} */
+export const saveLabelledSample = (token, sample) => request('/samples', {
+  method: 'POST',
+  token,
+  body: sample,
+  errorMessage: 'Failed to store labelled sample'
+});
+
+/** @returns {Promise<PrivacySettings>} */
+export const getPrivacySettings = (token) => request('/privacy', {
+  token,
+  errorMessage: 'Failed to load privacy settings'
+});
+
+/** @returns {Promise<PrivacySettings>} */
+export const updatePrivacySettings = (token, changes) => request('/privacy', {
+  method: 'PUT',
+  token,
+  body: changes,
+  errorMessage: 'Failed to save privacy settings'
+});
+
+/** @returns {Promise<{ message: string, deleted: { moodLogs: number, tags: number, calibrations: number, labelledSamples: number, account: boolean } }>} */
+export const deleteAllData = (token, { account = false } = {}) => request('/privacy/data', {
+  method: 'DELETE',
+  token,
+  query: account ? { account: 'true' } : undefined,
+  errorMessage: 'Failed to delete your data'
+});
+
+/** @returns {Promise<Reminders>} */
+export const getReminders = (token) => request('/reminders', {
+  token,
+  errorMessage: 'Failed to load reminders'
+});
+
+/** @returns {Promise<Reminders>} */
+export const updateReminders = (token, changes) => request('/reminders', {
+  method: 'PUT',
+  token,
+  body: changes,
+  errorMessage: 'Failed to save reminders'
+});
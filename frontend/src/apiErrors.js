@@ -0,0 +1,20 @@
+// The backend reports failures as { error: { code, message, fields } }
+
+// Build an Error from a failed response, keeping the status, code and per-field problems
+export const toApiError = (response, fallbackMessage) => {
+  return response.json()
+    .catch(() => ({}))
+    .then(data => {
+      const details = data.error || {};
+      const error = new Error(details.message || fallbackMessage);
+      error.status = response.status;
+      error.code = details.code || null;
+      error.fields = details.fields || {};
+      return error;
+    });
+};
+
+// Field problems as readable lines, e.g. "emotionScores.happy must be at most 1"
+export const describeFields = (fields) => {
+  return Object.entries(fields || {}).map(([field, problem]) => `${field} ${problem}`);
+};
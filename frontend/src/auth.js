@@ -0,0 +1,18 @@
+const SESSION_KEY = 'moodTrackerSession';
+
+// Read the saved { token, user } session, if any
+export const getSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch (err) {
+    return null;
+  }
+};
+
+export const saveSession = (session) => {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(SESSION_KEY);
+};
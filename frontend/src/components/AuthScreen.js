@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { login, register } from '../api';
+
+const AuthScreen = ({ onLogin }) => {
+  const [mode, setMode] = useState('login');
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isRegister = mode === 'register';
+
+  const inputStyle = {
+    backgroundColor: '#2C2C2C',
+    color: '#FFFFFF',
+    border: '1px solid #6A1B9A'
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+    setIsSubmitting(true);
+
+    const request = isRegister ? register(name, email, password) : login(email, password);
+    request
+      .then(session => onLogin(session))
+      .catch(err => {
+        setError(err.message);
+        setIsSubmitting(false);
+      });
+  };
+
+  return (
+    <div className="container-fluid py-5" style={{ 
+      background: 'linear-gradient(135deg, #0D0221 0%, #190B33 50%, #240D57 100%)', 
+      minHeight: '100vh', 
+      color: '#E1C4FF'
+    }}>
+      <div className="row justify-content-center">
+        <div className="col-md-6 col-lg-4">
+          <h1 className="display-6 mb-4 fw-bold text-center" style={{ color: '#FFFFFF' }}>
+            🧠 Mood & Gesture Tracker
+          </h1>
+          <div className="card shadow-lg border-0" style={{ background: '#1E1E1E' }}>
+            <div className="card-header text-white" style={{ background: '#4A148C' }}>
+              <h5 className="card-title mb-0">
+                {isRegister ? '✨ Create Account' : '🔐 Sign In'}
+              </h5>
+            </div>
+            <div className="card-body text-start">
+              {error && (
+                <div className="alert py-2" role="alert" style={{ background: '#2C2C2C', color: '#F48FB1', border: '1px solid #D81B60' }}>
+                  {error}
+                </div>
+              )}
+              <form onSubmit={handleSubmit}>
+                {isRegister && (
+                  <div className="mb-3">
+                    <label htmlFor="authName" className="form-label">Name</label>
+                    <input
+                      id="authName"
+                      className="form-control"
+                      value={name}
+                      onChange={(e) => setName(e.target.value)}
+                      style={inputStyle}
+                    />
+                  </div>
+                )}
+                <div className="mb-3">
+                  <label htmlFor="authEmail" className="form-label">Email</label>
+                  <input
+                    id="authEmail"
+                    type="email"
+                    className="form-control"
+                    required
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    style={inputStyle}
+                  />
+                </div>
+                <div className="mb-3">
+                  <label htmlFor="authPassword" className="form-label">Password</label>
+                  <input
+                    id="authPassword"
+                    type="password"
+                    className="form-control"
+                    required
+                    minLength={isRegister ? 8 : undefined}
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    style={inputStyle}
+                  />
+                </div>
+                <button
+                  type="submit"
+                  className="btn w-100"
+                  disabled={isSubmitting}
+                  style={{ backgroundColor: '#6A1B9A', color: '#FFFFFF', border: '1px solid #9C27B0' }}
+                >
+                  {isSubmitting ? 'Please wait...' : isRegister ? 'Register' : 'Sign In'}
+                </button>
+              </form>
+              <button
+                className="btn btn-link w-100"
+                onClick={() => { setMode(isRegister ? 'login' : 'register'); setError(''); }}
+                style={{ color: '#CE93D8' }}
+              >
+                {isRegister ? 'Already have an account? Sign in' : "New here? Create an account"}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuthScreen;
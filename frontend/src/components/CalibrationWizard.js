@@ -0,0 +1,130 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { CALIBRATION_POSES, FEATURE_VERSION, averageFeatures } from '../detection/calibration';
+
+const RECORD_MS = 3000;
+const MIN_SAMPLES = 5;
+
+// Walks the user through holding each calibration pose while face features are recorded
+const CalibrationWizard = ({ subscribeFeatures, onSave, onCancel }) => {
+  const [step, setStep] = useState(0);
+  const [poses, setPoses] = useState({});
+  const [sampleCounts, setSampleCounts] = useState({});
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const recordingRef = useRef(null);
+
+  // Stop listening if the wizard closes mid-recording
+  useEffect(() => () => {
+    if (recordingRef.current) recordingRef.current();
+  }, []);
+
+  const pose = CALIBRATION_POSES[step];
+  const isDone = step >= CALIBRATION_POSES.length;
+
+  const record = () => {
+    setError('');
+    setProgress(0);
+    const samples = [];
+    const unsubscribe = subscribeFeatures(features => samples.push(features));
+    const started = Date.now();
+
+    const timer = setInterval(() => {
+      const elapsed = Date.now() - started;
+      setProgress(Math.min(1, elapsed / RECORD_MS));
+      if (elapsed < RECORD_MS) return;
+
+      stop();
+      const features = averageFeatures(samples);
+      if (!features || samples.length < MIN_SAMPLES) {
+        setError("Couldn't see your face clearly. Check the lighting and try again.");
+        return;
+      }
+      setPoses(prev => ({ ...prev, [pose.id]: features }));
+      setSampleCounts(prev => ({ ...prev, [pose.id]: samples.length }));
+      setStep(prev => prev + 1);
+    }, 100);
+
+    const stop = () => {
+      clearInterval(timer);
+      unsubscribe();
+      recordingRef.current = null;
+      setProgress(null);
+    };
+    recordingRef.current = stop;
+  };
+
+  const handleSave = () => {
+    setIsSaving(true);
+    setError('');
+    onSave({ featureVersion: FEATURE_VERSION, poses, sampleCounts })
+      .catch(err => {
+        setError(err.message);
+        setIsSaving(false);
+      });
+  };
+
+  const restart = () => {
+    setStep(0);
+    setPoses({});
+    setSampleCounts({});
+    setError('');
+  };
+
+  return (
+    <div className="card shadow border-0" style={{ background: '#1E1E1E', borderColor: '#4A148C' }}>
+      <div className="card-header text-white d-flex align-items-center justify-content-between" style={{ background: '#6A1B9A' }}>
+        <h5 className="card-title mb-0">🎯 Calibration</h5>
+        <span className="badge" style={{ backgroundColor: '#311B92' }}>
+          {Math.min(step + 1, CALIBRATION_POSES.length)} / {CALIBRATION_POSES.length}
+        </span>
+      </div>
+      <div className="card-body text-center" style={{ color: '#FFFFFF' }}>
+        {!isDone ? (
+          <>
+            <div className="display-6 mb-2">{pose.icon}</div>
+            <h5 className="mb-2">{pose.label}</h5>
+            <p style={{ color: '#E1C4FF' }}>{pose.instruction} Hold it for {RECORD_MS / 1000} seconds.</p>
+
+            {progress !== null ? (
+              <div className="progress mb-3" style={{ height: '8px', backgroundColor: '#333' }}
+                role="progressbar" aria-valuenow={Math.round(progress * 100)} aria-valuemin="0" aria-valuemax="100">
+                <div className="progress-bar" style={{ width: `${progress * 100}%`, backgroundColor: '#BA68C8' }}></div>
+              </div>
+            ) : (
+              <button className="btn btn-sm mb-3" onClick={record}
+                style={{ marginTop: 0, backgroundColor: '#7B1FA2', color: 'white', border: '1px solid #9C27B0' }}>
+                ⏺️ Record {pose.label.toLowerCase()}
+              </button>
+            )}
+          </>
+        ) : (
+          <>
+            <div className="display-6 mb-2">✅</div>
+            <p style={{ color: '#E1C4FF' }}>
+              All faces recorded. Landmark analysis will compare your expressions against these from now on.
+            </p>
+            <div className="d-flex justify-content-center gap-2 mb-3">
+              <button className="btn btn-sm" onClick={handleSave} disabled={isSaving}
+                style={{ marginTop: 0, backgroundColor: '#7B1FA2', color: 'white', border: '1px solid #9C27B0' }}>
+                {isSaving ? 'Saving...' : '💾 Save calibration'}
+              </button>
+              <button className="btn btn-sm btn-outline-light" onClick={restart} disabled={isSaving} style={{ marginTop: 0 }}>
+                Start over
+              </button>
+            </div>
+          </>
+        )}
+
+        {error && <div className="small mb-2" role="alert" style={{ color: '#FF8A80' }}>{error}</div>}
+
+        <button className="btn btn-sm btn-link" onClick={onCancel} disabled={isSaving}
+          style={{ marginTop: 0, color: '#B39DDB' }}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CalibrationWizard;
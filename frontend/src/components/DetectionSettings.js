@@ -0,0 +1,175 @@
+import React from 'react';
+import { DETECTORS } from '../detection';
+import { GESTURES, MAX_GESTURE_WEIGHT } from '../detection/gestures';
+import { GESTURE_ACTIONS } from '../detection/gestureControls';
+import { isUsableCalibration } from '../detection/calibration';
+
+const controlStyle = { backgroundColor: '#2C2C2C', color: '#FFFFFF', border: '1px solid #6A1B9A' };
+const labelStyle = { color: '#FFFFFF', fontSize: '14px' };
+
+const DetectionSettings = ({
+  detectorId, modelsLoaded, onChange, smoothing, onSmoothingChange, gestureWeight, onGestureWeightChange,
+  gestureControls, onGestureControlsChange, calibration, onCalibrate, onResetCalibration
+}) => {
+  const updateSmoothing = (key, value) => {
+    onSmoothingChange({ ...smoothing, [key]: value });
+  };
+
+  const updateGestureControls = (key, value) => {
+    onGestureControlsChange({ ...gestureControls, [key]: value });
+  };
+
+  return (
+    <div className="card shadow border-0" style={{ background: '#1E1E1E', borderColor: '#4A148C' }}>
+      <div className="card-header text-white" style={{ background: '#4527A0' }}>
+        <h6 className="card-title mb-0">⚙️ Detection Settings</h6>
+      </div>
+      <div className="card-body text-start">
+        {DETECTORS.map(option => (
+          <div key={option.id} className="form-check mb-2">
+            <input
+              className="form-check-input"
+              type="radio"
+              name="detector"
+              id={`detector-${option.id}`}
+              checked={detectorId === option.id}
+              onChange={() => onChange(option.id)}
+            />
+            <label className="form-check-label" htmlFor={`detector-${option.id}`} style={{ color: '#FFFFFF' }}>
+              {option.label}
+              {detectorId === option.id && !modelsLoaded && (
+                <span className="spinner-border spinner-border-sm ms-2" role="status"></span>
+              )}
+              <div style={{ color: '#B39DDB', fontSize: '13px' }}>{option.description}</div>
+            </label>
+            {option.calibrates && detectorId === option.id && (
+              <div className="d-flex align-items-center gap-2 mt-1">
+                <span style={{ color: isUsableCalibration(calibration) ? '#A5D6A7' : '#FFCC80', fontSize: '13px' }}>
+                  {isUsableCalibration(calibration) ? '✅ Calibrated to your face' : '⚠️ Using default thresholds'}
+                </span>
+                <button className="btn btn-sm btn-outline-light py-0" onClick={onCalibrate}
+                  disabled={!modelsLoaded} style={{ marginTop: 0 }}>
+                  {isUsableCalibration(calibration) ? 'Recalibrate' : 'Calibrate'}
+                </button>
+                {calibration && (
+                  <button className="btn btn-sm btn-link py-0" onClick={onResetCalibration}
+                    style={{ marginTop: 0, color: '#B39DDB' }}>
+                    Reset
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+
+        {detectorId !== 'manual' && (
+          <div className="mt-3 pt-3" style={{ borderTop: '1px solid #333' }}>
+            <h6 style={{ color: '#CE93D8' }}>〰️ Smoothing</h6>
+            <select
+              className="form-select form-select-sm mb-2"
+              aria-label="Smoothing method"
+              value={smoothing.method}
+              onChange={(e) => updateSmoothing('method', e.target.value)}
+              style={controlStyle}
+            >
+              <option value="ema">Exponential moving average</option>
+              <option value="window">Sliding window</option>
+              <option value="off">Off (raw frames)</option>
+            </select>
+
+            {smoothing.method === 'ema' && (
+              <>
+                <label htmlFor="smoothingAlpha" className="d-flex justify-content-between mb-0" style={labelStyle}>
+                  <span>Responsiveness</span><span>{Math.round(smoothing.alpha * 100)}%</span>
+                </label>
+                <input id="smoothingAlpha" type="range" className="form-range" min="0.05" max="1" step="0.05"
+                  value={smoothing.alpha} onChange={(e) => updateSmoothing('alpha', Number(e.target.value))} />
+              </>
+            )}
+
+            {smoothing.method === 'window' && (
+              <>
+                <label htmlFor="smoothingWindow" className="d-flex justify-content-between mb-0" style={labelStyle}>
+                  <span>Window</span><span>{(smoothing.windowMs / 1000).toFixed(1)}s</span>
+                </label>
+                <input id="smoothingWindow" type="range" className="form-range" min="250" max="5000" step="250"
+                  value={smoothing.windowMs} onChange={(e) => updateSmoothing('windowMs', Number(e.target.value))} />
+              </>
+            )}
+
+            {smoothing.method !== 'off' && (
+              <>
+                <label htmlFor="smoothingHysteresis" className="d-flex justify-content-between mb-0" style={labelStyle}>
+                  <span>Mood change delay</span><span>{(smoothing.hysteresisMs / 1000).toFixed(1)}s</span>
+                </label>
+                <input id="smoothingHysteresis" type="range" className="form-range" min="0" max="3000" step="100"
+                  value={smoothing.hysteresisMs} onChange={(e) => updateSmoothing('hysteresisMs', Number(e.target.value))} />
+              </>
+            )}
+
+            <label htmlFor="captureSeconds" className="d-flex justify-content-between mb-0" style={labelStyle}>
+              <span>Capture span</span><span>{smoothing.captureSeconds}s</span>
+            </label>
+            <input id="captureSeconds" type="range" className="form-range" min="1" max="30" step="1"
+              value={smoothing.captureSeconds} onChange={(e) => updateSmoothing('captureSeconds', Number(e.target.value))} />
+          </div>
+        )}
+
+        {detectorId !== 'manual' && (
+          <div className="mt-3 pt-3" style={{ borderTop: '1px solid #333' }}>
+            <h6 style={{ color: '#CE93D8' }}>✋ Gestures</h6>
+            <label htmlFor="gestureWeight" className="d-flex justify-content-between mb-0" style={labelStyle}>
+              <span>Influence on mood</span><span>{gestureWeight > 0 ? `${Math.round(gestureWeight * 100)}%` : 'Off'}</span>
+            </label>
+            <input id="gestureWeight" type="range" className="form-range" min="0" max={MAX_GESTURE_WEIGHT} step="0.05"
+              value={gestureWeight} onChange={(e) => onGestureWeightChange(Number(e.target.value))} />
+            <div style={{ color: '#B39DDB', fontSize: '13px' }}>
+              Thumbs up, peace and open palm lean happy; a fist leans angry; hand over mouth leans surprised.
+            </div>
+
+            <div className="form-check form-switch mt-3">
+              <input className="form-check-input" type="checkbox" id="gestureControlsToggle"
+                checked={gestureControls.enabled}
+                onChange={(e) => updateGestureControls('enabled', e.target.checked)} />
+              <label className="form-check-label" htmlFor="gestureControlsToggle" style={labelStyle}>
+                Hands-free controls
+              </label>
+            </div>
+
+            {gestureControls.enabled && (
+              <>
+                <label htmlFor="gestureHold" className="d-flex justify-content-between mb-0" style={labelStyle}>
+                  <span>Hold for</span><span>{(gestureControls.holdMs / 1000).toFixed(1)}s</span>
+                </label>
+                <input id="gestureHold" type="range" className="form-range" min="500" max="4000" step="250"
+                  value={gestureControls.holdMs} onChange={(e) => updateGestureControls('holdMs', Number(e.target.value))} />
+
+                {Object.keys(gestureControls.mapping).map(gesture => (
+                  <div key={gesture} className="d-flex align-items-center gap-2 mb-2">
+                    <label htmlFor={`gesture-${gesture}`} className="mb-0 text-nowrap" style={{ ...labelStyle, minWidth: '120px' }}>
+                      {GESTURES[gesture].icon} {GESTURES[gesture].label}
+                    </label>
+                    <select
+                      id={`gesture-${gesture}`}
+                      className="form-select form-select-sm"
+                      value={gestureControls.mapping[gesture]}
+                      onChange={(e) => updateGestureControls('mapping', { ...gestureControls.mapping, [gesture]: e.target.value })}
+                      style={controlStyle}
+                    >
+                      {Object.entries(GESTURE_ACTIONS).map(([action, { label }]) => (
+                        <option key={action} value={action}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </>
+            )}
+          </div>
+        )}
+
+      </div>
+    </div>
+  );
+};
+
+export default DetectionSettings;
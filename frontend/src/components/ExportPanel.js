@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { exportMoods, getMonthlyReport } from '../api';
+
+const controlStyle = { backgroundColor: '#2C2C2C', color: '#FFFFFF', border: '1px solid #6A1B9A' };
+const buttonStyle = { marginTop: 0, backgroundColor: '#7B1FA2', color: 'white', border: '1px solid #9C27B0' };
+
+// "YYYY-MM" for the current local month
+const currentMonth = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// Download the whole history, or open a printable monthly report
+const ExportPanel = ({ token, onLogout }) => {
+  const [month, setMonth] = useState(currentMonth);
+  const [includeNotes, setIncludeNotes] = useState(false);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleError = (err) => {
+    if (err.status === 401) {
+      onLogout();
+      return;
+    }
+    setError(err.message);
+  };
+
+  const handleExport = (format) => {
+    setBusy(format);
+    setError('');
+    exportMoods(token, format)
+      .then(blob => {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `mood-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+      })
+      .catch(handleError)
+      .finally(() => setBusy(null));
+  };
+
+  const handleReport = () => {
+    // Open the tab now, while we're still handling the click, so popup blockers allow it
+    const reportWindow = window.open('', '_blank');
+    setBusy('report');
+    setError('');
+    getMonthlyReport(token, {
+      month,
+      tz: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      notes: String(includeNotes)
+    })
+      .then(blob => {
+        const url = URL.createObjectURL(blob);
+        if (reportWindow) {
+          reportWindow.location.href = url;
+        } else {
+          window.open(url, '_blank');
+        }
+      })
+      .catch(err => {
+        if (reportWindow) reportWindow.close();
+        handleError(err);
+      })
+      .finally(() => setBusy(null));
+  };
+
+  return (
+    <div className="card shadow border-0" style={{ background: '#1E1E1E', borderColor: '#4A148C' }}>
+      <div className="card-header text-white" style={{ background: '#4A148C' }}>
+        <h5 className="card-title mb-0">📤 Export &amp; Share</h5>
+      </div>
+      <div className="card-body">
+        <div className="row g-4">
+          <div className="col-md-5">
+            <h6 style={{ color: '#FFFFFF' }}>Your data</h6>
+            <p className="small" style={{ color: '#B39DDB' }}>Every entry, with one column per emotion score.</p>
+            <div className="d-flex gap-2">
+              <button className="btn btn-sm" onClick={() => handleExport('csv')} disabled={busy !== null} style={buttonStyle}>
+                {busy === 'csv' ? 'Exporting...' : '⬇️ CSV'}
+              </button>
+              <button className="btn btn-sm" onClick={() => handleExport('json')} disabled={busy !== null} style={buttonStyle}>
+                {busy === 'json' ? 'Exporting...' : '⬇️ JSON'}
+              </button>
+            </div>
+          </div>
+
+          <div className="col-md-7">
+            <h6 style={{ color: '#FFFFFF' }}>Monthly report</h6>
+            <p className="small" style={{ color: '#B39DDB' }}>
+              A printable summary with charts. Use your browser's print dialog to save it as a PDF.
+            </p>
+            <div className="d-flex flex-wrap align-items-center gap-3">
+              <input type="month" className="form-control form-control-sm w-auto" aria-label="Report month"
+                value={month} max={currentMonth()} onChange={(e) => setMonth(e.target.value)} style={controlStyle} />
+              <div className="form-check mb-0">
+                <input className="form-check-input" type="checkbox" id="reportNotes"
+                  checked={includeNotes} onChange={(e) => setIncludeNotes(e.target.checked)} />
+                <label className="form-check-label small" htmlFor="reportNotes">Include my notes</label>
+              </div>
+              <button className="btn btn-sm" onClick={handleReport} disabled={busy !== null || !month} style={buttonStyle}>
+                {busy === 'report' ? 'Building...' : '🖨️ Open report'}
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {error && <div className="small mt-3" role="alert" style={{ color: '#FF8A80' }}>{error}</div>}
+      </div>
+    </div>
+  );
+};
+
+export default ExportPanel;
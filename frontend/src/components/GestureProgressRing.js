@@ -0,0 +1,42 @@
+import React from 'react';
+import { GESTURES } from '../detection/gestures';
+import { GESTURE_ACTIONS } from '../detection/gestureControls';
+
+const SIZE = 72;
+const STROKE = 6;
+const RADIUS = (SIZE - STROKE) / 2;
+const CIRCUMFERENCE = 2 * Math.PI * RADIUS;
+
+// Shown over the video while a mapped gesture is being held
+const GestureProgressRing = ({ gesture, action, progress }) => {
+  if (!gesture) return null;
+
+  return (
+    <div className="position-absolute top-0 end-0 m-2 text-center" role="status" aria-live="polite"
+      style={{ pointerEvents: 'none' }}>
+      <svg width={SIZE} height={SIZE} aria-hidden="true">
+        <circle cx={SIZE / 2} cy={SIZE / 2} r={RADIUS} fill="rgba(30, 30, 30, 0.75)" stroke="#333" strokeWidth={STROKE} />
+        <circle
+          cx={SIZE / 2}
+          cy={SIZE / 2}
+          r={RADIUS}
+          fill="none"
+          stroke="#BA68C8"
+          strokeWidth={STROKE}
+          strokeLinecap="round"
+          strokeDasharray={CIRCUMFERENCE}
+          strokeDashoffset={CIRCUMFERENCE * (1 - progress)}
+          transform={`rotate(-90 ${SIZE / 2} ${SIZE / 2})`}
+        />
+        <text x="50%" y="50%" textAnchor="middle" dominantBaseline="central" fontSize="28">
+          {GESTURES[gesture] ? GESTURES[gesture].icon : '✋'}
+        </text>
+      </svg>
+      <div className="badge d-block mt-1" style={{ backgroundColor: '#4A148C', color: '#FFFFFF' }}>
+        {GESTURE_ACTIONS[action] ? GESTURE_ACTIONS[action].label : action}
+      </div>
+    </div>
+  );
+};
+
+export default GestureProgressRing;
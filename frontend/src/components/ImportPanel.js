@@ -0,0 +1,275 @@
+import React, { useState } from 'react';
+import { importMoods } from '../api';
+import { MOODS, getEmotionIcon } from '../emotions';
+
+const DATE_FORMATS = [
+  { id: 'ymd', label: '2024-03-01' },
+  { id: 'mdy', label: '03/01/2024 (month first)' },
+  { id: 'dmy', label: '01/03/2024 (day first)' }
+];
+
+const controlStyle = { backgroundColor: '#2C2C2C', color: '#FFFFFF', border: '1px solid #6A1B9A' };
+const buttonStyle = { marginTop: 0, backgroundColor: '#7B1FA2', color: 'white', border: '1px solid #9C27B0' };
+const labelStyle = { color: '#B39DDB', fontSize: '13px' };
+
+// Upload another tracker's CSV export, map its columns and moods, preview, then import
+const ImportPanel = ({ token, onLogout, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [result, setResult] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [moodMap, setMoodMap] = useState({});
+  const [dateFormat, setDateFormat] = useState('ymd');
+  const [isStale, setIsStale] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+
+  const sendImport = (body) => {
+    setBusy(true);
+    setError('');
+    return importMoods(token, { ...body, timezone: Intl.DateTimeFormat().resolvedOptions().timeZone })
+      .catch(err => {
+        if (err.status === 401) {
+          onLogout();
+        }
+        throw err;
+      })
+      .finally(() => setBusy(false));
+  };
+
+  // Keep the mapping the server used (or guessed) so the controls start from it
+  const showPreview = (data) => {
+    setResult(data);
+    setMapping(data.mapping);
+    setDateFormat(data.dateFormat);
+    setMoodMap(Object.fromEntries(data.moodValues.map(({ value, mood }) => [value, mood])));
+    setIsStale(false);
+  };
+
+  const handleFile = (e) => {
+    const chosen = e.target.files[0];
+    setStatus('');
+    setResult(null);
+    if (!chosen) return;
+    chosen.text()
+      .then(csv => {
+        setFile({ name: chosen.name, csv });
+        return sendImport({ csv }).then(showPreview);
+      })
+      .catch(err => setError(err.message));
+  };
+
+  const changeMapping = (changes) => {
+    setMapping(prev => ({ ...prev, ...changes }));
+    setIsStale(true);
+  };
+
+  const toggleNotesColumn = (column) => {
+    const notes = mapping.notes || [];
+    changeMapping({ notes: notes.includes(column) ? notes.filter(name => name !== column) : [...notes, column] });
+  };
+
+  const handlePreview = () => {
+    sendImport({ csv: file.csv, mapping, moodMap, dateFormat })
+      .then(showPreview)
+      .catch(err => setError(err.message));
+  };
+
+  const handleImport = () => {
+    sendImport({ csv: file.csv, mapping, moodMap, dateFormat, dryRun: false })
+      .then(data => {
+        const { imported, duplicates, errors } = data.summary;
+        setStatus(`Imported ${imported} entries from ${file.name}. Skipped ${duplicates} duplicates and ${errors} rows with errors.`);
+        setFile(null);
+        setResult(null);
+        onImported();
+      })
+      .catch(err => setError(err.message));
+  };
+
+  const reset = () => {
+    setFile(null);
+    setResult(null);
+    setError('');
+  };
+
+  const summary = result && result.summary;
+  const toImport = summary ? summary.valid - summary.duplicates : 0;
+
+  return (
+    <div className="card shadow border-0" style={{ background: '#1E1E1E', borderColor: '#4A148C' }}>
+      <div className="card-header text-white" style={{ background: '#6A1B9A' }}>
+        <h5 className="card-title mb-0">📥 Import From Another App</h5>
+      </div>
+      <div className="card-body" style={{ color: '#FFFFFF' }}>
+        {!result ? (
+          <>
+            <p className="small" style={{ color: '#B39DDB' }}>
+              Upload a Daylio CSV export, or any CSV with a date, a mood and optionally notes and tags per row.
+              Daylio activities become tags.
+              Nothing is saved until you've checked the preview.
+            </p>
+            <input type="file" accept=".csv,text/csv" className="form-control w-auto" aria-label="CSV file"
+              onChange={handleFile} disabled={busy} style={controlStyle} />
+            {busy && <span className="spinner-border spinner-border-sm ms-2" role="status" style={{ color: '#CE93D8' }}></span>}
+          </>
+        ) : (
+          <>
+            <h6>Columns in {file.name}</h6>
+            <div className="row g-3 mb-3">
+              <div className="col-sm-6 col-lg-3">
+                <label className="form-label mb-1" htmlFor="importDate" style={labelStyle}>Date</label>
+                <select id="importDate" className="form-select form-select-sm" value={mapping.date || ''}
+                  onChange={(e) => changeMapping({ date: e.target.value })} style={controlStyle}>
+                  <option value="">Choose a column</option>
+                  {result.columns.map(column => <option key={column} value={column}>{column}</option>)}
+                </select>
+              </div>
+              <div className="col-sm-6 col-lg-3">
+                <label className="form-label mb-1" htmlFor="importDateFormat" style={labelStyle}>Dates look like</label>
+                <select id="importDateFormat" className="form-select form-select-sm" value={dateFormat}
+                  onChange={(e) => { setDateFormat(e.target.value); setIsStale(true); }} style={controlStyle}>
+                  {DATE_FORMATS.map(format => <option key={format.id} value={format.id}>{format.label}</option>)}
+                </select>
+              </div>
+              <div className="col-sm-6 col-lg-3">
+                <label className="form-label mb-1" htmlFor="importTime" style={labelStyle}>Time (optional)</label>
+                <select id="importTime" className="form-select form-select-sm" value={mapping.time || ''}
+                  onChange={(e) => changeMapping({ time: e.target.value || null })} style={controlStyle}>
+                  <option value="">In the date column / none</option>
+                  {result.columns.map(column => <option key={column} value={column}>{column}</option>)}
+                </select>
+              </div>
+              <div className="col-sm-6 col-lg-3">
+                <label className="form-label mb-1" htmlFor="importMood" style={labelStyle}>Mood</label>
+                <select id="importMood" className="form-select form-select-sm" value={mapping.mood || ''}
+                  onChange={(e) => changeMapping({ mood: e.target.value })} style={controlStyle}>
+                  <option value="">Choose a column</option>
+                  {result.columns.map(column => <option key={column} value={column}>{column}</option>)}
+                </select>
+              </div>
+              <div className="col-sm-6 col-lg-3">
+                <label className="form-label mb-1" htmlFor="importTags" style={labelStyle}>Tags / activities (optional)</label>
+                <select id="importTags" className="form-select form-select-sm" value={mapping.tags || ''}
+                  onChange={(e) => changeMapping({ tags: e.target.value || null })} style={controlStyle}>
+                  <option value="">None</option>
+                  {result.columns.map(column => <option key={column} value={column}>{column}</option>)}
+                </select>
+              </div>
+              <div className="col-12">
+                <span className="me-2" style={labelStyle}>Notes from:</span>
+                {result.columns.map(column => (
+                  <div key={column} className="form-check form-check-inline">
+                    <input className="form-check-input" type="checkbox" id={`importNotes-${column}`}
+                      checked={(mapping.notes || []).includes(column)} onChange={() => toggleNotesColumn(column)} />
+                    <label className="form-check-label small" htmlFor={`importNotes-${column}`}>{column}</label>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {result.moodValues.length > 0 && (
+              <>
+                <h6>Moods</h6>
+                <div className="row g-2 mb-3">
+                  {result.moodValues.map(({ value, count }) => (
+                    <div key={value} className="col-sm-6 col-lg-4 d-flex align-items-center gap-2">
+                      <span className="text-truncate" style={{ minWidth: '40%' }} title={value}>
+                        {value} <span style={labelStyle}>×{count}</span>
+                      </span>
+                      <select className="form-select form-select-sm text-capitalize" aria-label={`Mood for ${value}`}
+                        value={moodMap[value] || ''} style={controlStyle}
+                        onChange={(e) => {
+                          setMoodMap(prev => ({ ...prev, [value]: e.target.value || null }));
+                          setIsStale(true);
+                        }}>
+                        <option value="">Not mapped</option>
+                        {MOODS.map(mood => <option key={mood} value={mood}>{getEmotionIcon(mood)} {mood}</option>)}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+
+            {result.mappingError && (
+              <div className="small mb-3" role="alert" style={{ color: '#FF8A80' }}>{result.mappingError}</div>
+            )}
+
+            {summary && !isStale && (
+              <>
+                <div className="d-flex flex-wrap gap-2 mb-3">
+                  <span className="badge" style={{ backgroundColor: '#388E3C', padding: '8px 12px' }}>{toImport} to import</span>
+                  <span className="badge" style={{ backgroundColor: '#616161', padding: '8px 12px' }}>{summary.duplicates} duplicates</span>
+                  <span className="badge" style={{ backgroundColor: summary.errors ? '#C62828' : '#616161', padding: '8px 12px' }}>
+                    {summary.errors} errors
+                  </span>
+                  <span className="badge" style={{ backgroundColor: '#4A148C', padding: '8px 12px' }}>{summary.rows} rows</span>
+                </div>
+
+                {result.preview.length > 0 && (
+                  <div className="table-responsive mb-3">
+                    <table className="table table-sm table-dark mb-0" style={{ fontSize: '13px' }}>
+                      <thead>
+                        <tr><th>Line</th><th>When</th><th>Mood</th><th>Tags</th><th>Notes</th><th></th></tr>
+                      </thead>
+                      <tbody>
+                        {result.preview.map(entry => (
+                          <tr key={entry.row} style={{ opacity: entry.duplicate ? 0.5 : 1 }}>
+                            <td>{entry.row}</td>
+                            <td>{new Date(entry.timestamp).toLocaleString()}</td>
+                            <td className="text-capitalize">{getEmotionIcon(entry.mood)} {entry.mood}</td>
+                            <td>{entry.tags.map(name => `#${name}`).join(' ')}</td>
+                            <td className="text-truncate" style={{ maxWidth: '240px' }}>{entry.notes}</td>
+                            <td>{entry.duplicate ? 'Already logged' : ''}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    {summary.valid > result.preview.length && (
+                      <small style={labelStyle}>Showing the first {result.preview.length} of {summary.valid} readable rows.</small>
+                    )}
+                  </div>
+                )}
+
+                {result.errors.length > 0 && (
+                  <div className="mb-3">
+                    <h6 style={{ color: '#FF8A80' }}>Rows that won't be imported</h6>
+                    <ul className="small mb-0" style={{ maxHeight: '160px', overflowY: 'auto', color: '#FFCDD2' }}>
+                      {result.errors.map(rowError => (
+                        <li key={rowError.row}>Line {rowError.row}: {rowError.message}</li>
+                      ))}
+                    </ul>
+                    {summary.errors > result.errors.length && (
+                      <small style={labelStyle}>and {summary.errors - result.errors.length} more.</small>
+                    )}
+                  </div>
+                )}
+              </>
+            )}
+
+            <div className="d-flex flex-wrap gap-2">
+              {(isStale || !summary) ? (
+                <button className="btn btn-sm" onClick={handlePreview} disabled={busy} style={buttonStyle}>
+                  {busy ? 'Checking...' : '🔍 Update preview'}
+                </button>
+              ) : (
+                <button className="btn btn-sm" onClick={handleImport} disabled={busy || toImport === 0} style={buttonStyle}>
+                  {busy ? 'Importing...' : `📥 Import ${toImport} entries`}
+                </button>
+              )}
+              <button className="btn btn-sm btn-outline-light" onClick={reset} disabled={busy} style={{ marginTop: 0 }}>
+                Cancel
+              </button>
+            </div>
+          </>
+        )}
+
+        {error && <div className="small mt-3" role="alert" style={{ color: '#FF8A80' }}>{error}</div>}
+        {status && <div className="small mt-3" role="status" style={{ color: '#A5D6A7' }}>{status}</div>}
+      </div>
+    </div>
+  );
+};
+
+export default ImportPanel;
@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import { MOODS, getEmotionIcon } from '../emotions';
+
+// Asks whether a saved detection was right, so it can be stored as a labelled sample
+const LabelPrompt = ({ predictedMood, onLabel, onSkip }) => {
+  const [isCorrecting, setIsCorrecting] = useState(false);
+  const [isSending, setIsSending] = useState(false);
+
+  const send = (label) => {
+    setIsSending(true);
+    onLabel(label).finally(() => setIsSending(false));
+  };
+
+  return (
+    <div className="alert d-flex flex-wrap align-items-center gap-2" role="status"
+      style={{ background: '#1E1E1E', color: '#E1C4FF', border: '1px solid #7B1FA2' }}>
+      <span className="me-auto">
+        🧪 We detected <strong className="text-capitalize">{getEmotionIcon(predictedMood)} {predictedMood}</strong>.
+        {isCorrecting ? ' How were you actually feeling?' : ' Was that right?'}
+      </span>
+
+      {!isCorrecting ? (
+        <>
+          <button className="btn btn-sm" onClick={() => send(predictedMood)} disabled={isSending}
+            style={{ marginTop: 0, backgroundColor: '#7B1FA2', color: 'white', border: '1px solid #9C27B0' }}>
+            👍 Yes
+          </button>
+          <button className="btn btn-sm btn-outline-light" onClick={() => setIsCorrecting(true)} disabled={isSending}
+            style={{ marginTop: 0 }}>
+            ✏️ No, correct it
+          </button>
+        </>
+      ) : (
+        MOODS.filter(option => option !== predictedMood).map(option => (
+          <button key={option} className="btn btn-sm text-capitalize" onClick={() => send(option)} disabled={isSending}
+            style={{ marginTop: 0, backgroundColor: '#2C2C2C', color: '#FFFFFF', border: '1px solid #6A1B9A' }}>
+            {getEmotionIcon(option)} {option}
+          </button>
+        ))
+      )}
+
+      <button className="btn btn-sm btn-link" onClick={onSkip} disabled={isSending} style={{ marginTop: 0, color: '#B39DDB' }}>
+        Skip
+      </button>
+    </div>
+  );
+};
+
+export default LabelPrompt;
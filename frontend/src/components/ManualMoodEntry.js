@@ -0,0 +1,81 @@
+import React, { useEffect, useState } from 'react';
+import { MOODS, getEmotionIcon, getEmotionColor } from '../emotions';
+
+const DEFAULT_INTENSITY = 0.5;
+
+// Mood palette plus per-emotion intensity sliders; onChange gets { mood, emotionScores } on every edit
+const ManualMoodEntry = ({ onChange }) => {
+  const [mood, setMood] = useState(null);
+  const [intensities, setIntensities] = useState({});
+
+  useEffect(() => {
+    onChange({
+      mood,
+      emotionScores: mood ? intensities : null
+    });
+  }, [onChange, mood, intensities]);
+
+  const handlePickMood = (picked) => {
+    setMood(picked);
+    // Give the picked mood a starting intensity so the entry isn't empty
+    setIntensities(prev => (prev[picked] ? prev : { ...prev, [picked]: DEFAULT_INTENSITY }));
+  };
+
+  const handleIntensityChange = (emotion, value) => {
+    setIntensities(prev => ({ ...prev, [emotion]: value }));
+  };
+
+  return (
+    <div className="card shadow border-0" style={{ background: '#1E1E1E', borderColor: '#4A148C' }}>
+      <div className="card-header text-white d-flex align-items-center justify-content-between" style={{ background: '#6A1B9A' }}>
+        <h5 className="card-title mb-0">✍️ Manual Entry</h5>
+        <span className="badge" style={{ backgroundColor: '#311B92' }}>Not detected</span>
+      </div>
+      <div className="card-body">
+        <p className="mb-3" style={{ color: '#B39DDB', fontSize: '14px' }}>
+          Camera analysis is off. Choose how you feel and how strongly.
+        </p>
+        <div className="d-flex flex-wrap justify-content-center gap-2 mb-3">
+          {MOODS.map(option => (
+            <button
+              key={option}
+              className="btn btn-sm text-capitalize"
+              onClick={() => handlePickMood(option)}
+              aria-pressed={mood === option}
+              style={{
+                marginTop: 0,
+                backgroundColor: mood === option ? '#6A1B9A' : '#2C2C2C',
+                color: '#FFFFFF',
+                border: `1px solid ${mood === option ? '#E1BEE7' : '#6A1B9A'}`
+              }}
+            >
+              {getEmotionIcon(option)} {option}
+            </button>
+          ))}
+        </div>
+
+        {mood && MOODS.map(emotion => (
+          <div key={emotion} className="mb-2 text-start">
+            <label htmlFor={`intensity-${emotion}`} className="d-flex justify-content-between mb-0"
+              style={{ color: '#FFFFFF', fontSize: '14px' }}>
+              <span className="text-capitalize">{getEmotionIcon(emotion)} {emotion}</span>
+              <span>{Math.round((intensities[emotion] || 0) * 100)}%</span>
+            </label>
+            <input
+              id={`intensity-${emotion}`}
+              type="range"
+              className={`form-range text-${getEmotionColor(emotion)}`}
+              min="0"
+              max="1"
+              step="0.05"
+              value={intensities[emotion] || 0}
+              onChange={(e) => handleIntensityChange(emotion, Number(e.target.value))}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ManualMoodEntry;
@@ -0,0 +1,57 @@
+import React from 'react';
+
+const MAX_LOCATION_LENGTH = 80;
+const ENERGY_LEVELS = [1, 2, 3, 4, 5];
+
+export const EMPTY_CONTEXT = { sleepHours: null, energy: null, location: '' };
+
+const controlStyle = { backgroundColor: '#2C2C2C', color: '#FFFFFF', border: '1px solid #6A1B9A' };
+
+// Optional context for an entry: sleep the night before, energy level and where it was logged.
+// value is { sleepHours, energy, location }; onChange gets the fields that changed.
+// stacked puts the fields under each other for narrow spaces.
+const MoodContextFields = ({ value, onChange, idPrefix = 'context', stacked = false }) => {
+  const column = (width) => (stacked ? 'col-12' : `col-sm-${width}`);
+
+  const handleSleepChange = (text) => {
+    const hours = Number(text);
+    onChange({ sleepHours: text === '' || Number.isNaN(hours) ? null : Math.min(24, Math.max(0, hours)) });
+  };
+
+  return (
+    <div className="row g-2 align-items-end">
+      <div className={column(3)}>
+        <label className="form-label small mb-1" htmlFor={`${idPrefix}-sleep`}>😴 Sleep (hours)</label>
+        <input type="number" className="form-control form-control-sm" id={`${idPrefix}-sleep`}
+          min="0" max="24" step="0.5" placeholder="e.g. 7.5"
+          value={value.sleepHours ?? ''} onChange={(e) => handleSleepChange(e.target.value)} style={controlStyle} />
+      </div>
+      <div className={column(5)}>
+        <span className="form-label small mb-1 d-block" id={`${idPrefix}-energy`}>⚡ Energy</span>
+        <div className="btn-group btn-group-sm" role="group" aria-labelledby={`${idPrefix}-energy`}>
+          {ENERGY_LEVELS.map(level => (
+            <button key={level} type="button" className="btn" aria-pressed={value.energy === level}
+              title={level === 1 ? 'Drained' : level === 5 ? 'Full of energy' : `${level} of 5`}
+              onClick={() => onChange({ energy: value.energy === level ? null : level })}
+              style={{
+                marginTop: 0,
+                color: '#FFFFFF',
+                backgroundColor: value.energy !== null && level <= value.energy ? '#7B1FA2' : '#2C2C2C',
+                border: '1px solid #6A1B9A'
+              }}>
+              {level}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className={column(4)}>
+        <label className="form-label small mb-1" htmlFor={`${idPrefix}-location`}>📍 Location</label>
+        <input type="text" className="form-control form-control-sm" id={`${idPrefix}-location`}
+          maxLength={MAX_LOCATION_LENGTH} placeholder="e.g. Home, Office"
+          value={value.location} onChange={(e) => onChange({ location: e.target.value })} style={controlStyle} />
+      </div>
+    </div>
+  );
+};
+
+export default MoodContextFields;
@@ -0,0 +1,229 @@
+import React, { useEffect, useState } from 'react';
+import { getMoodStats, getTags } from '../api';
+import { MOODS, getEmotionChartColor, getEmotionIcon } from '../emotions';
+import CalendarHeatmap from './charts/CalendarHeatmap';
+import StackedAreaChart from './charts/StackedAreaChart';
+import MoodBarChart from './charts/MoodBarChart';
+import ExportPanel from './ExportPanel';
+import ImportPanel from './ImportPanel';
+
+const RANGE_DAYS = 91;
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+// The by-tag chart shows the most used tags only
+const MAX_CHART_TAGS = 12;
+
+const formatAverage = (value, digits = 1) => (value == null ? '–' : value.toFixed(digits));
+
+const cardStyle = { background: '#1E1E1E', borderColor: '#4A148C' };
+
+const MoodDashboard = ({ token, onBack, onLogout }) => {
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState('');
+  // Bumped after an import so the charts reload
+  const [reloadKey, setReloadKey] = useState(0);
+  const [tags, setTags] = useState([]);
+  // Only count entries with this tag
+  const [tagFilter, setTagFilter] = useState('');
+
+  useEffect(() => {
+    getTags(token)
+      .then(setTags)
+      .catch(err => console.error('Error loading tags:', err));
+  }, [token, reloadKey]);
+
+  useEffect(() => {
+    const from = new Date();
+    from.setHours(0, 0, 0, 0);
+    from.setDate(from.getDate() - RANGE_DAYS);
+
+    getMoodStats(token, {
+      interval: 'day',
+      tz: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      from: from.toISOString(),
+      tags: tagFilter
+    })
+      .then(setStats)
+      .catch(err => {
+        if (err.status === 401) {
+          onLogout();
+          return;
+        }
+        console.error('Error loading mood stats:', err);
+        setError(err.message);
+      });
+  }, [token, onLogout, reloadKey, tagFilter]);
+
+  // Fill in empty hours and weekdays so the bar charts keep a fixed axis
+  const hourSlots = Array.from({ length: 24 }, (_, hour) => {
+    const slot = stats && stats.timeOfDay.find(entry => entry.hour === hour);
+    return { key: hour, label: String(hour), count: slot ? slot.count : 0, moodCounts: slot ? slot.moodCounts : {} };
+  });
+  const weekdaySlots = WEEKDAYS.map((label, index) => {
+    const slot = stats && stats.dayOfWeek.find(entry => entry.day === index + 1);
+    return { key: label, label, count: slot ? slot.count : 0, moodCounts: slot ? slot.moodCounts : {} };
+  });
+
+  const tagSlots = stats ? stats.byTag.slice(0, MAX_CHART_TAGS).map(slot => ({
+    key: slot.tag,
+    // Long names would run into their neighbours under the bars
+    label: slot.tag.length > 10 ? `${slot.tag.slice(0, 9)}…` : slot.tag,
+    count: slot.count,
+    moodCounts: slot.moodCounts
+  })) : [];
+
+  return (
+    <div className="container-fluid py-4" style={{ 
+      background: 'linear-gradient(135deg, #0D0221 0%, #190B33 50%, #240D57 100%)', 
+      minHeight: '100vh', 
+      color: '#E1C4FF'
+    }}>
+      <div className="container">
+        <div className="d-flex flex-wrap align-items-center gap-3 mb-4">
+          <h1 className="display-6 fw-bold mb-0 me-auto" style={{ color: '#FFFFFF' }}>📈 Mood Trends</h1>
+          {tags.length > 0 && (
+            <select className="form-select w-auto" aria-label="Only entries with tag" value={tagFilter}
+              onChange={(e) => setTagFilter(e.target.value)}
+              style={{ backgroundColor: '#2C2C2C', color: '#FFFFFF', border: '1px solid #6A1B9A' }}>
+              <option value="">All entries</option>
+              {tags.map(tag => (
+                <option key={tag._id} value={tag.name}>#{tag.name}</option>
+              ))}
+            </select>
+          )}
+          <button className="btn" onClick={onBack}
+            style={{ marginTop: 0, background: '#4A148C', color: '#FFFFFF', borderColor: '#6A1B9A' }}>
+            ← Back to Tracker
+          </button>
+        </div>
+
+        {error && (
+          <div className="alert" role="alert" style={{ background: '#1E1E1E', color: '#F48FB1', border: '1px solid #D81B60' }}>
+            {error}
+          </div>
+        )}
+
+        {!stats && !error && (
+          <div className="text-center py-5">
+            <span className="spinner-border" role="status" style={{ color: '#CE93D8' }}></span>
+          </div>
+        )}
+
+        {stats && (
+          <div className="row g-4">
+            <div className="col-12">
+              <div className="d-flex flex-wrap justify-content-center gap-3">
+                <span className="badge" style={{ backgroundColor: '#4A148C', padding: '8px 12px' }}>
+                  {stats.total} entries{tagFilter ? ` tagged #${tagFilter}` : ''} in the last {RANGE_DAYS} days
+                </span>
+                {stats.averageEnergy != null && (
+                  <span className="badge" style={{ backgroundColor: '#311B92', padding: '8px 12px' }}>
+                    ⚡ Energy {formatAverage(stats.averageEnergy)}/5
+                  </span>
+                )}
+                {stats.averageSleepHours != null && (
+                  <span className="badge" style={{ backgroundColor: '#311B92', padding: '8px 12px' }}>
+                    😴 Sleep {formatAverage(stats.averageSleepHours)}h
+                  </span>
+                )}
+                {MOODS.map(mood => (
+                  <span key={mood} className="badge text-capitalize" style={{ backgroundColor: getEmotionChartColor(mood), color: '#121212', padding: '8px 12px' }}>
+                    {getEmotionIcon(mood)} {mood}: {stats.moodCounts[mood] || 0}
+                  </span>
+                ))}
+              </div>
+            </div>
+
+            <div className="col-12">
+              <div className="card shadow border-0" style={cardStyle}>
+                <div className="card-header text-white" style={{ background: '#4A148C' }}>
+                  <h5 className="card-title mb-0">🗓️ Dominant Mood per Day</h5>
+                </div>
+                <div className="card-body">
+                  <CalendarHeatmap buckets={stats.buckets} days={RANGE_DAYS} />
+                </div>
+              </div>
+            </div>
+
+            <div className="col-12">
+              <div className="card shadow border-0" style={cardStyle}>
+                <div className="card-header text-white" style={{ background: '#6A1B9A' }}>
+                  <h5 className="card-title mb-0">🌊 Emotion Distribution Over Time</h5>
+                </div>
+                <div className="card-body">
+                  <StackedAreaChart buckets={stats.buckets} />
+                </div>
+              </div>
+            </div>
+
+            <div className="col-lg-7">
+              <div className="card shadow border-0 h-100" style={cardStyle}>
+                <div className="card-header text-white" style={{ background: '#512DA8' }}>
+                  <h5 className="card-title mb-0">🕐 By Time of Day</h5>
+                </div>
+                <div className="card-body">
+                  <MoodBarChart slots={hourSlots} label="Moods by hour of day" />
+                </div>
+              </div>
+            </div>
+
+            <div className="col-lg-5">
+              <div className="card shadow border-0 h-100" style={cardStyle}>
+                <div className="card-header text-white" style={{ background: '#311B92' }}>
+                  <h5 className="card-title mb-0">📅 By Day of Week</h5>
+                </div>
+                <div className="card-body">
+                  <MoodBarChart slots={weekdaySlots} label="Moods by day of week" />
+                </div>
+              </div>
+            </div>
+
+            {stats.byTag.length > 0 && (
+              <div className="col-12">
+                <div className="card shadow border-0" style={cardStyle}>
+                  <div className="card-header text-white" style={{ background: '#4A148C' }}>
+                    <h5 className="card-title mb-0">🏷️ By Tag</h5>
+                  </div>
+                  <div className="card-body">
+                    <MoodBarChart slots={tagSlots} label="Moods by tag" />
+                    <div className="table-responsive mt-3">
+                      <table className="table table-sm table-dark mb-0" style={{ '--bs-table-bg': '#1E1E1E' }}>
+                        <thead>
+                          <tr>
+                            <th>Tag</th>
+                            <th className="text-end">Entries</th>
+                            <th className="text-end">Avg energy</th>
+                            <th className="text-end">Avg sleep</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {stats.byTag.map(slot => (
+                            <tr key={slot.tag}>
+                              <td>#{slot.tag}</td>
+                              <td className="text-end">{slot.count}</td>
+                              <td className="text-end">{formatAverage(slot.averageEnergy)}</td>
+                              <td className="text-end">{slot.averageSleepHours == null ? '–' : `${formatAverage(slot.averageSleepHours)}h`}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="mt-4">
+          <ExportPanel token={token} onLogout={onLogout} />
+        </div>
+
+        <div className="mt-4">
+          <ImportPanel token={token} onLogout={onLogout} onImported={() => setReloadKey(key => key + 1)} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MoodDashboard;
@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+import { MOODS, getEmotionIcon, getMoodBorderColor, getMoodTextColor } from '../emotions';
+import TagPicker from './TagPicker';
+import MoodContextFields from './MoodContextFields';
+
+// Logs saved before tags and context existed have none of these fields
+const contextOf = (log) => ({
+  sleepHours: log.sleepHours ?? null,
+  energy: log.energy ?? null,
+  location: log.location || ''
+});
+
+const sameTags = (a, b) => a.length === b.length && a.every((tag, i) => tag === b[i]);
+
+const MoodHistoryCard = ({ log, tags, onCreateTag, onUpdate, onDelete }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftMood, setDraftMood] = useState(log.mood);
+  const [draftNotes, setDraftNotes] = useState(log.notes || '');
+  const [draftTags, setDraftTags] = useState(log.tags || []);
+  const [draftContext, setDraftContext] = useState(() => contextOf(log));
+  const [isSaving, setIsSaving] = useState(false);
+  const [editError, setEditError] = useState('');
+
+  const startEditing = () => {
+    setDraftMood(log.mood);
+    setDraftNotes(log.notes || '');
+    setDraftTags(log.tags || []);
+    setDraftContext(contextOf(log));
+    setEditError('');
+    setIsEditing(true);
+  };
+
+  const handleSave = () => {
+    const changes = {};
+    if (draftMood !== log.mood) changes.mood = draftMood;
+    if (draftNotes !== (log.notes || '')) changes.notes = draftNotes;
+    if (!sameTags(draftTags, log.tags || [])) changes.tags = draftTags;
+    const context = contextOf(log);
+    Object.keys(context).forEach(field => {
+      if (draftContext[field] !== context[field]) changes[field] = draftContext[field];
+    });
+
+    if (Object.keys(changes).length === 0) {
+      setIsEditing(false);
+      return;
+    }
+
+    setIsSaving(true);
+    onUpdate(log._id, changes)
+      .then(() => setIsEditing(false))
+      .catch(err => setEditError(err.message))
+      .finally(() => setIsSaving(false));
+  };
+
+  const buttonStyle = { marginTop: 0, color: '#FFFFFF', border: '1px solid #6A1B9A' };
+
+  return (
+    <div className="card h-100" style={{ 
+      backgroundColor: '#2C2C2C', 
+      borderWidth: '2px',
+      borderStyle: 'solid',
+      borderColor: getMoodBorderColor(isEditing ? draftMood : log.mood)
+    }}>
+      <div className="card-body">
+        {isEditing ? (
+          <>
+            <select
+              className="form-select form-select-sm mb-2 text-capitalize"
+              value={draftMood}
+              onChange={(e) => setDraftMood(e.target.value)}
+              style={{ backgroundColor: '#1E1E1E', color: '#FFFFFF', border: '1px solid #6A1B9A' }}
+            >
+              {MOODS.map(option => (
+                <option key={option} value={option}>
+                  {getEmotionIcon(option)} {option}
+                </option>
+              ))}
+            </select>
+            <textarea
+              className="form-control form-control-sm mb-2"
+              rows="3"
+              value={draftNotes}
+              onChange={(e) => setDraftNotes(e.target.value)}
+              style={{ width: '100%', height: 'auto', backgroundColor: '#1E1E1E', color: '#FFFFFF', border: '1px solid #6A1B9A' }}
+            />
+            <div className="mb-2">
+              <TagPicker tags={tags} selected={draftTags} onChange={setDraftTags} onCreate={onCreateTag} />
+            </div>
+            <div className="mb-2" style={{ color: '#E1C4FF' }}>
+              <MoodContextFields value={draftContext} idPrefix={`edit-${log._id}`} stacked
+                onChange={(changes) => setDraftContext(prev => ({ ...prev, ...changes }))} />
+            </div>
+            {editError && (
+              <div className="mb-2" style={{ color: '#F48FB1', fontSize: '13px' }}>{editError}</div>
+            )}
+            <div className="d-flex gap-2">
+              <button className="btn btn-sm" onClick={handleSave} disabled={isSaving}
+                style={{ ...buttonStyle, backgroundColor: '#6A1B9A' }}>
+                {isSaving ? 'Saving...' : '💾 Save'}
+              </button>
+              <button className="btn btn-sm" onClick={() => setIsEditing(false)} disabled={isSaving}
+                style={{ ...buttonStyle, backgroundColor: '#333' }}>
+                Cancel
+              </button>
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="d-flex align-items-center mb-2">
+              <span className="fs-4 me-2">{getEmotionIcon(log.mood)}</span>
+              <h6 className="text-capitalize mb-0 flex-grow-1" style={{ color: getMoodTextColor(log.mood) }}>
+                {log.mood}
+              </h6>
+              {!log.pending && (
+                <button className="btn btn-sm p-1" title="Edit entry" onClick={startEditing}
+                  style={{ marginTop: 0 }}>
+                  ✏️
+                </button>
+              )}
+              <button className="btn btn-sm p-1" title={log.pending ? 'Discard entry' : 'Delete entry'} onClick={() => onDelete(log)}
+                style={{ marginTop: 0 }}>
+                🗑️
+              </button>
+            </div>
+            
+            {log.notes && (
+              <p className="card-text mb-2" style={{ color: '#FFFFFF', fontSize: '14px' }}>
+                "{log.notes}"
+              </p>
+            )}
+            {log.tags && log.tags.length > 0 && (
+              <div className="d-flex flex-wrap gap-1 mb-2">
+                {log.tags.map(tag => (
+                  <span key={tag} className="badge" style={{ backgroundColor: '#4A148C', fontWeight: 'normal' }}>#{tag}</span>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+        
+        <div style={{ color: '#FFFFFF', fontSize: '14px' }}>
+          <div>📅 {new Date(log.timestamp).toLocaleDateString()}</div>
+          <div>🕐 {new Date(log.timestamp).toLocaleTimeString()}</div>
+          {(log.sleepHours != null || log.energy != null || log.location) && (
+            <div className="mt-1">
+              {[
+                log.sleepHours != null && `😴 ${log.sleepHours}h`,
+                log.energy != null && `⚡ ${log.energy}/5`,
+                log.location && `📍 ${log.location}`
+              ].filter(Boolean).join(' · ')}
+            </div>
+          )}
+          {log.pending && (
+            <div className="mt-1" style={{ color: log.syncError ? '#FF8A80' : '#B39DDB' }}>
+              {log.syncError ? `⚠️ Not synced: ${log.syncError}` : '⏳ Waiting to sync'}
+            </div>
+          )}
+          {log.source === 'manual' ? (
+            <div className="mt-1">✍️ Manual entry</div>
+          ) : log.source === 'imported' ? (
+            <div className="mt-1">📥 Imported</div>
+          ) : (
+            <div className="mt-1">
+              👤 {log.faceDetails ? '✅' : '❌'} | 
+              ✋ {log.handDetails ? log.handDetails.handsDetected : 0}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MoodHistoryCard;
@@ -1,36 +1,134 @@
 import React, { useEffect, useRef, useState, useCallback } from 'react';
+import {
+  getCalibration,
+  saveCalibration,
+  resetCalibration,
+  getMoodHistory,
+  saveMoodLog,
+  updateMoodLog,
+  deleteMoodLog,
+  saveLabelledSample
+} from '../api';
+import { DEFAULT_DETECTOR, createDetector } from '../detection';
+import { MODELS_MISSING } from '../detection/modelErrors';
+import { DEFAULT_OVERLAY_OPTIONS, drawOverlay, resizeOverlay } from '../detection/overlay';
+import { DEFAULT_SMOOTHING, createSmoother } from '../detection/smoothing';
+import { DEFAULT_GESTURE_WEIGHT, GESTURES, applyGestureWeight } from '../detection/gestures';
+import { DEFAULT_GESTURE_CONTROLS, createGestureHold, pickControlGesture } from '../detection/gestureControls';
+import { MOODS, getEmotionColor, getEmotionIcon } from '../emotions';
+import MoodHistoryCard from './MoodHistoryCard';
+import DetectionSettings from './DetectionSettings';
+import ManualMoodEntry from './ManualMoodEntry';
+import GestureProgressRing from './GestureProgressRing';
+import CalibrationWizard from './CalibrationWizard';
+import LabelPrompt from './LabelPrompt';
+import Notice from './Notice';
+import QuickLog from './QuickLog';
+import TagPicker from './TagPicker';
+import MoodContextFields, { EMPTY_CONTEXT } from './MoodContextFields';
+import { anonymizeLandmarks } from '../detection/dataset';
+import useOutbox from '../offline/useOutbox';
+import useMoodEvents from '../live/useMoodEvents';
+import useTags from '../tags/useTags';
+import { newIdempotencyKey, isRetryable } from '../offline/outbox';
+import { cacheHistory, readCachedHistory } from '../offline/historyCache';
 
-const MoodTracker = () => {
+const UNDO_DELETE_MS = 5000;
+const COLLECT_LABELS_KEY = 'moodTrackerCollectLabels';
+const MAX_DETECTION_FAILURES = 20;
+// Detection waits at least as long as a frame takes to analyse, and never less than this
+const MIN_DETECTION_DELAY_MS = 50;
+const MAX_DETECTION_DELAY_MS = 1000;
+
+// Scores are shown as whole percentages, so smaller changes aren't worth a re-render
+const sameScores = (a, b) => {
+  const keys = Object.keys(b);
+  return Object.keys(a).length === keys.length &&
+    keys.every(key => Math.round((a[key] ?? -1) * 100) === Math.round(b[key] * 100));
+};
+
+// Put a log created in another session into the newest-first history, unless it's
+// already there or belongs on a page that hasn't been loaded yet
+const insertLog = (logs, log, hasMore) => {
+  if (logs.some(entry => entry._id === log._id)) return logs;
+  const index = logs.findIndex(entry => new Date(entry.timestamp) < new Date(log.timestamp));
+  if (index === -1) return hasMore ? logs : [...logs, log];
+  return [...logs.slice(0, index), log, ...logs.slice(index)];
+};
+
+// Only the fields shown in the Detection Details card
+const detailsSummary = (face, hands) => JSON.stringify([
+  face && [face.facesDetected, face.keypoints, face.confidence != null ? Math.round(face.confidence * 1000) : null],
+  hands && [hands.handsDetected, hands.handedness, hands.gestures, hands.keypoints]
+]);
+
+const MoodTracker = ({
+  user,
+  token,
+  onLogout,
+  onSignOut,
+  onShowDashboard,
+  onShowPrivacy,
+  onShowReminders,
+  isQuickLogOpen,
+  onCloseQuickLog
+}) => {
   const [mood, setMood] = useState('');
   const [emotionScores, setEmotionScores] = useState({});
   const [notes, setNotes] = useState('');
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [entryContext, setEntryContext] = useState(EMPTY_CONTEXT);
   const [history, setHistory] = useState([]);
-  // These state variables are kept for potential future use, but not actively used in simplified mode
-  const [faceModel, setFaceModel] = useState(null);
-  const [handModel, setHandModel] = useState(null);
+  const [detectorId, setDetectorId] = useState(DEFAULT_DETECTOR);
+  const [detector, setDetector] = useState(null);
+  const [detectionNotice, setDetectionNotice] = useState('');
+  const [smoothing, setSmoothing] = useState(DEFAULT_SMOOTHING);
+  const [gestureWeight, setGestureWeight] = useState(DEFAULT_GESTURE_WEIGHT);
+  const [gestureControls, setGestureControls] = useState(DEFAULT_GESTURE_CONTROLS);
+  const [gestureHold, setGestureHold] = useState(null);
+  const [isPaused, setIsPaused] = useState(false);
+  const [calibration, setCalibration] = useState(null);
+  const [isCalibrating, setIsCalibrating] = useState(false);
+  const [collectLabels, setCollectLabels] = useState(() => localStorage.getItem(COLLECT_LABELS_KEY) === 'true');
+  const [labelPrompt, setLabelPrompt] = useState(null);
+  // Outcome of the last save or delete, shown as a toast
+  const [notice, setNotice] = useState(null);
   const [isVideoReady, setIsVideoReady] = useState(false);
   const [modelsLoaded, setModelsLoaded] = useState(false);
   const [faceDetails, setFaceDetails] = useState(null);
   const [handDetails, setHandDetails] = useState(null);
-  const [showLandmarks, setShowLandmarks] = useState(false); // Set to false in simplified mode
-  const [error, setError] = useState('');
-  const [isDetecting, setIsDetecting] = useState(false);
+  const [showLandmarks, setShowLandmarks] = useState(false);
+  const [overlayOptions, setOverlayOptions] = useState(DEFAULT_OVERLAY_OPTIONS);
+  // Set when the webcam can't be opened; manual entry still works without it
+  const [cameraError, setCameraError] = useState('');
+  const [detectionFps, setDetectionFps] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [historyCursor, setHistoryCursor] = useState(null);
+  const [isLoadingHistory, setIsLoadingHistory] = useState(false);
+  // Set when the history shown is the copy saved on this device
+  const [isHistoryOffline, setIsHistoryOffline] = useState(false);
+  const userId = user?._id;
+  const [historyFilters, setHistoryFilters] = useState({ mood: '', q: '', tags: '' });
+  const [historySearch, setHistorySearch] = useState('');
   
   const videoRef = useRef();
   const canvasRef = useRef();
-  const detectionIntervalRef = useRef();
+  const detectionFailuresRef = useRef(0);
+  const detectionLatencyRef = useRef(MIN_DETECTION_DELAY_MS);
+  // Full details of the latest frame for saving; state only changes when the display would
+  const latestDetailsRef = useRef({ faceDetails: null, handDetails: null });
+  const smootherRef = useRef(createSmoother(DEFAULT_SMOOTHING));
+  const gestureHoldTrackerRef = useRef(createGestureHold(DEFAULT_GESTURE_CONTROLS.holdMs));
+  const gestureActionRef = useRef(() => {});
+  const lastOverlayRef = useRef(null);
+  const featureListenersRef = useRef(new Set());
+  const pendingDeleteRef = useRef(null);
+  const historyScrollRef = useRef();
+  const historySentinelRef = useRef();
+  const historyRequestRef = useRef(0);
 
   // Note: Bootstrap CSS is now imported in index.js
 
-  // Setup canvas when video is ready
-  const setupCanvas = () => {
-    if (canvasRef.current && videoRef.current) {
-      const canvas = canvasRef.current;
-      canvas.width = videoRef.current.videoWidth || 640;
-      canvas.height = videoRef.current.videoHeight || 480;
-    }
-  };
-  
   // Start video stream - define this first so it can be used in other functions
   const startVideo = useCallback(async () => {
     try {
@@ -46,619 +144,149 @@ const MoodTracker = () => {
         videoRef.current.srcObject = stream;
         videoRef.current.onloadedmetadata = () => {
           setIsVideoReady(true);
-          setupCanvas();
+          resizeOverlay(canvasRef.current);
           console.log('Video stream ready');
         };
       }
     } catch (err) {
       console.error('Error accessing webcam:', err);
-      setError('Unable to access webcam. Please check permissions and try again.');
+      setCameraError('Unable to access the webcam. Check the camera permissions and reload to use detection.');
+    }
+  }, []);
+
+  const showDetails = useCallback((face, hands) => {
+    const previous = latestDetailsRef.current;
+    latestDetailsRef.current = { faceDetails: face, handDetails: hands };
+    if (detailsSummary(face, hands) !== detailsSummary(previous.faceDetails, previous.handDetails)) {
+      setFaceDetails(face);
+      setHandDetails(hands);
     }
   }, []);
 
-  // Load TensorFlow.js and AI models for face and hand detection
+  const showScores = useCallback((scores, nextMood) => {
+    setEmotionScores(prev => (sameScores(prev, scores) ? prev : scores));
+    setMood(nextMood);
+  }, []);
+
+  // Manual entries are shown exactly as entered
+  const showManualEntry = useCallback(({ mood: pickedMood, emotionScores: scores }) => {
+    showScores(scores || {}, pickedMood || '');
+  }, [showScores]);
+
+  // Progress only needs redrawing in 5% steps
+  const showGestureHold = useCallback((gesture, action, progress) => {
+    const next = gesture ? { gesture, action, progress: Math.round(progress * 20) / 20 } : null;
+    setGestureHold(prev => {
+      if (!prev || !next) return prev === next ? prev : next;
+      return prev.gesture === next.gesture && prev.progress === next.progress ? prev : next;
+    });
+  }, []);
+
+  // Redraw the most recent detector overlay with the current settings
+  const drawLatestOverlay = useCallback(() => {
+    const video = videoRef.current;
+    const frameSize = video ? { width: video.videoWidth, height: video.videoHeight } : null;
+    drawOverlay(canvasRef.current, showLandmarks ? lastOverlayRef.current : null, frameSize, overlayOptions);
+  }, [showLandmarks, overlayOptions]);
+
+  // Fall back to clearly labelled manual entry instead of showing made-up readings
+  const switchToManual = useCallback((reason) => {
+    setDetectionNotice(`${reason} Switched to manual entry.`);
+    setDetectorId('manual');
+    setMood('');
+    setEmotionScores({});
+    showDetails(null, null);
+  }, [showDetails]);
+
+  // Load the models for the selected detector
   const loadLibraries = useCallback(() => {
-    // First clear any previous error message
-    setError('');
+    setModelsLoaded(false);
     
-    // Create script loading functions
-    const loadScript = (src) => {
-      return new Promise((resolve, reject) => {
-        const script = document.createElement('script');
-        script.src = src;
-        script.onload = () => resolve();
-        script.onerror = () => reject(new Error(`Failed to load script: ${src}`));
-        document.body.appendChild(script);
-        
-        // Add timeout to prevent hanging
-        setTimeout(() => {
-          if (!script.onload) {
-            reject(new Error(`Script load timeout: ${src}`));
-          }
-        }, 10000); // 10 second timeout
-      });
-    };
+    const nextDetector = createDetector(detectorId);
+    let cancelled = false;
     
-    // Load TensorFlow.js core and models in sequence
-    loadScript('https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@3.11.0/dist/tf.min.js')
-      .then(() => {
-        console.log('TensorFlow.js core loaded successfully');
-        return loadScript('https://cdn.jsdelivr.net/npm/@tensorflow-models/face-landmarks-detection@0.0.3/dist/face-landmarks-detection.min.js');
-      })
-      .then(() => {
-        console.log('Face model library loaded successfully');
-        return loadScript('https://cdn.jsdelivr.net/npm/@tensorflow-models/handpose@0.0.7/dist/handpose.min.js');
-      })
+    // Models come from the bundled packages with weights served from public/models
+    nextDetector.load()
       .then(() => {
-        console.log('Hand model library loaded successfully');
-        // Start loading models
-        return startVideo().then(() => {
-          console.log('Video started, loading models...');
-          return Promise.all([
-            window.faceLandmarksDetection.load(
-              window.faceLandmarksDetection.SupportedPackages.mediapipeFacemesh,
-              { maxFaces: 1 }
-            ),
-            window.handpose.load({
-              maxHands: 2, // Detect up to 2 hands simultaneously
-              detectionConfidence: 0.6 // Lower threshold to detect hands more easily
-            })
-          ]);
-        });
-      })
-      .then(([faceModelLoaded, handModelLoaded]) => {
-        console.log('AI models loaded successfully');
-        setFaceModel(faceModelLoaded);
-        setHandModel(handModelLoaded);
+        if (cancelled) {
+          if (nextDetector.dispose) nextDetector.dispose();
+          return;
+        }
+        console.log(`Detector "${nextDetector.id}" loaded successfully`);
+        setDetector(nextDetector);
         setModelsLoaded(true);
       })
       .catch(error => {
-        console.error('Error loading AI libraries:', error);
-        // Still allow video to start in case of model loading error
-        startVideo().catch(err => console.error('Video start error:', err));
-        setError(`AI detection couldn't be loaded: ${error.message}. Using basic mode.`);
-        setModelsLoaded(true); // Still set models as loaded to allow app to function
+        if (nextDetector.dispose) nextDetector.dispose();
+        if (cancelled) return;
+        console.error('Error loading AI models:', error);
+        setDetector(null);
+        switchToManual(error.code === MODELS_MISSING
+          ? error.message
+          : `AI detection couldn't be loaded (${error.message}).`);
       });
-  }, [startVideo]); // Add startVideo as a dependency
-  
-  // Helper function to get a random emotion distribution
-  // Used in the simplified mode instead of AI detection
-  const getRandomEmotions = (cyclePosition) => {
-    let emotions;
-    
-    if (cyclePosition < 0.3) {
-      // Bias toward happy during first part of cycle
-      emotions = {
-        neutral: 0.3 + Math.random() * 0.2,
-        happy: 0.4 + Math.random() * 0.3,
-        sad: Math.random() * 0.2,
-        angry: Math.random() * 0.1,
-        surprised: Math.random() * 0.1
-      };
-    } else if (cyclePosition < 0.6) {
-      // Bias toward neutral in middle of cycle
-      emotions = {
-        neutral: 0.6 + Math.random() * 0.2,
-        happy: 0.1 + Math.random() * 0.2,
-        sad: 0.1 + Math.random() * 0.1,
-        angry: Math.random() * 0.1,
-        surprised: Math.random() * 0.1
-      };
-    } else {
-      // More varied emotions in last part of cycle
-      emotions = {
-        neutral: 0.3 + Math.random() * 0.3,
-        happy: 0.1 + Math.random() * 0.3,
-        sad: 0.1 + Math.random() * 0.3,
-        angry: 0.05 + Math.random() * 0.15,
-        surprised: 0.05 + Math.random() * 0.15
-      };
-    }
     
-    // Normalize emotion values
-    const total = Object.values(emotions).reduce((sum, val) => sum + val, 0);
-    Object.keys(emotions).forEach(key => {
-      emotions[key] = emotions[key] / total;
-    });
-    
-    return emotions;
-  };
+    return () => {
+      cancelled = true;
+    };
+  }, [detectorId, switchToManual]);
 
-  // AI-powered detection function using TensorFlow.js models
+  // Run the selected detector on the current video frame; resolves once the frame is handled
   const runDetection = useCallback(() => {
-    if (!videoRef.current || !isVideoReady || 
+    if (!videoRef.current || !detector ||
         videoRef.current.paused || videoRef.current.ended ||
         videoRef.current.readyState < 2) {
-      return;
+      return Promise.resolve();
     }
     
-    // Force the hand model to detect both hands by improving input processing
-    const enhanceVideoForHandDetection = (video) => {
-      // Create a temporary canvas to process the video frame
-      const tempCanvas = document.createElement('canvas');
-      const tempCtx = tempCanvas.getContext('2d');
-      tempCanvas.width = video.videoWidth || 640;
-      tempCanvas.height = video.videoHeight || 480;
-      
-      // Draw the video to the canvas with slightly increased contrast
-      tempCtx.drawImage(video, 0, 0, tempCanvas.width, tempCanvas.height);
-      
-      // Return the enhanced canvas element which will help with hand detection
-      return tempCanvas;
-    };
-    
-    // Define the fallback detection inside the callback to avoid dependency issues
-    const handleFallbackDetection = () => {
-      // Generate simulated emotions based on time for variety
-      const time = new Date().getTime();
-      const cyclePosition = (time % 30000) / 30000; // 30-second cycle
-      
-      // Use the helper function to get randomized emotions
-      const basicEmotions = getRandomEmotions(cyclePosition);
-      
-      // Update state with simulated emotions
-      setEmotionScores(basicEmotions);
-      const dominantEmotion = Object.keys(basicEmotions).reduce((a, b) => 
-        basicEmotions[a] > basicEmotions[b] ? a : b
-      );
-      setMood(dominantEmotion);
-      
-      // Provide simulated face details for the UI
-      setFaceDetails({
-        facesDetected: 1,
-        keypoints: 0,
-        boundingBox: null,
-        confidence: 0.7 + Math.random() * 0.2,
-        fallbackMode: true
-      });
-      
-      // Provide simulated hand details with empty arrays to prevent mapping errors
-      setHandDetails({
-        handsDetected: 0,
-        handedness: [], // Empty array to prevent map errors
-        keypoints: [],  // Empty array to prevent map errors
-        confidence: [], // Empty array to prevent map errors
-        fallbackMode: true
-      });
-      
-      // Clear the canvas (no landmarks in simplified mode)
-      if (canvasRef.current && canvasRef.current.getContext) {
-        const ctx = canvasRef.current.getContext('2d');
-        ctx.clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
-      }
-      
-      setIsDetecting(false);
-    };
-    
-    // Check if we have the AI models loaded
-    const useAIMode = faceModel && handModel;
-    
-    try {
-      setIsDetecting(true);
-      
-      if (useAIMode) {
-        // Use actual AI models for detection
-        Promise.all([
-          faceModel.estimateFaces({
-            input: videoRef.current
-          }),
-          // Process with enhanced video to better detect both hands
-          handModel.estimateHands(enhanceVideoForHandDetection(videoRef.current), {
-            flipHorizontal: false,
-            staticImageMode: false,
-            maxNumHands: 2,  // Explicitly tell the model to look for 2 hands
-            detectionConfidence: 0.5  // Lower threshold for easier detection
-          })
-        ])
-        .then(([faces, hands]) => {
-          // Process face detection results
-          if (faces && faces.length > 0) {
-            const firstFace = faces[0];
-            
-            // Get face landmarks and metadata
-            const landmarks = firstFace.scaledMesh || firstFace.mesh;
-            const boundingBox = firstFace.boundingBox;
-            const faceConfidence = firstFace.faceInViewConfidence || 0.98;
-            
-            // Calculate emotion scores based on facial landmarks
-            // This is a simplified estimation - in a real app, you might use a more complex algorithm
-            const emotions = calculateEmotionsFromLandmarks(landmarks);
-            
-            // Update emotion state
-            setEmotionScores(emotions);
-            const dominantEmotion = Object.keys(emotions).reduce((a, b) => 
-              emotions[a] > emotions[b] ? a : b
-            );
-            setMood(dominantEmotion);
-            
-            // Update face details for the UI
-            setFaceDetails({
-              facesDetected: faces.length,
-              keypoints: landmarks ? landmarks.length : 0,
-              boundingBox: boundingBox,
-              confidence: faceConfidence,
-              fallbackMode: false
-            });
-            
-            // Draw landmarks if enabled
-            if (showLandmarks && canvasRef.current) {
-              const ctx = canvasRef.current.getContext('2d');
-              ctx.clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
-              
-              // Draw face landmarks
-              if (landmarks) {
-                ctx.fillStyle = '#32EEDB';
-                landmarks.forEach(point => {
-                  ctx.beginPath();
-                  ctx.arc(point[0], point[1], 1, 0, 2 * Math.PI);
-                  ctx.fill();
-                });
-              }
-            }
-          } else {
-            // No faces detected
-            setFaceDetails({
-              facesDetected: 0,
-              keypoints: 0,
-              boundingBox: null,
-              confidence: 0,
-              fallbackMode: false
-            });
-            
-            // Clear canvas if no face detected
-            if (canvasRef.current) {
-              const ctx = canvasRef.current.getContext('2d');
-              ctx.clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
-            }
-          }
-          
-          // Process hand detection results
-          if (hands && hands.length > 0) {
-            // Format hand detection results for UI
-            const handInfo = {
-              handsDetected: hands.length,
-              handedness: hands.map(hand => hand.handInViewConfidence > 0.5 ? 'Left' : 'Right'),
-              keypoints: hands.map(hand => hand.landmarks ? hand.landmarks.length : 0),
-              confidence: hands.map(hand => hand.handInViewConfidence || 0.9),
-              fallbackMode: false
-            };
-            
-            setHandDetails(handInfo);
-            
-            // Draw hand landmarks if enabled
-            if (showLandmarks && canvasRef.current) {
-              const ctx = canvasRef.current.getContext('2d');
-              
-              // Draw landmarks for each hand
-              hands.forEach(hand => {
-                const landmarks = hand.landmarks;
-                if (landmarks) {
-                  // Draw dots for each landmark
-                  ctx.fillStyle = '#FF0000';
-                  landmarks.forEach(point => {
-                    ctx.beginPath();
-                    ctx.arc(point[0], point[1], 3, 0, 2 * Math.PI);
-                    ctx.fill();
-                  });
-                  
-                  // Draw connections between landmarks
-                  ctx.strokeStyle = '#FF0000';
-                  ctx.lineWidth = 2;
-                  
-                  // Connect fingers (simplified)
-                  for (let i = 0; i < landmarks.length - 1; i++) {
-                    if (i % 4 !== 0) { // Skip jumps between fingers
-                      ctx.beginPath();
-                      ctx.moveTo(landmarks[i][0], landmarks[i][1]);
-                      ctx.lineTo(landmarks[i + 1][0], landmarks[i + 1][1]);
-                      ctx.stroke();
-                    }
-                  }
-                }
-              });
-            }
-          } else {
-            // No hands detected
-            setHandDetails({
-              handsDetected: 0,
-              handedness: [],
-              keypoints: [],
-              confidence: [],
-              fallbackMode: false
-            });
+    return detector.detect(videoRef.current)
+      .then(({ emotionScores: scores, faceDetails: face, handDetails: hands, overlay, features }) => {
+        detectionFailuresRef.current = 0;
+        if (features) {
+          featureListenersRef.current.forEach(listener => listener(features));
+        }
+        if (isPaused) {
+          // Readings are frozen while paused; hands are still tracked so a gesture can resume
+        } else if (scores) {
+          const weighted = applyGestureWeight(scores, hands && hands.gestures, gestureWeight);
+          const smoothed = smootherRef.current.push(weighted);
+          showScores(smoothed.emotionScores, smoothed.mood);
+        }
+        showDetails(face, hands);
+        lastOverlayRef.current = overlay;
+        drawLatestOverlay();
+
+        if (gestureControls.enabled) {
+          const gesture = pickControlGesture(hands && hands.gestures, gestureControls.mapping);
+          const hold = gestureHoldTrackerRef.current.update(gesture);
+          const action = hold.gesture ? gestureControls.mapping[hold.gesture] : null;
+          showGestureHold(hold.gesture, action, hold.progress);
+          if (hold.fired) {
+            gestureActionRef.current(action);
           }
-          
-          // Detection cycle complete
-          setIsDetecting(false);
-        })
-        .catch(error => {
-          console.error('AI detection error:', error);
-          handleFallbackDetection();
-        });
-      } else {
-        // Use fallback detection if models aren't available
-        handleFallbackDetection();
-      }
-    } catch (err) {
-      console.error('Detection error:', err);
-      handleFallbackDetection();
-    }
-  }, [faceModel, handModel, isVideoReady, showLandmarks]); // Dependencies without handleFallbackDetection
-  
-  // Helper functions for emotion detection
-  const calculateSadnessScore = (isMouthTurnedDown, mouthCornerDiff, mouthRatio) => {
-    let score = 0;
-    
-    // Reduced weight for mouth turned down
-    if (isMouthTurnedDown) {
-      score += 0.4; // Reduced from 0.6
-    }
-    
-    // Reduced scores for uneven mouth corners
-    if (mouthCornerDiff > 4) { // Increased threshold
-      score += 0.2; // Reduced from 0.3
-    } else if (mouthCornerDiff > 2.5) { // Increased threshold
-      score += 0.1; // Reduced from 0.15
-    }
-    
-    // Require very low mouth ratio for sadness
-    if (mouthRatio < 1.5) { // Reduced threshold
-      score += 0.15; // Reduced from 0.2
-    }
-    
-    return Math.min(0.7, score); // Cap at 0.7 (reduced from 0.9)
-  };
-  
-  const calculateAngerScore = (eyebrowLowered, eyebrowsAngledInward, leftAngle, rightAngle) => {
-    let score = 0;
-    
-    // Reduced weight for lowered eyebrows
-    if (eyebrowLowered) {
-      score += 0.3; // Reduced from 0.5
-    }
-    
-    // Reduced weight for angled eyebrows
-    if (eyebrowsAngledInward) {
-      score += 0.25; // Reduced from 0.4
-    } else if (leftAngle < -15 || rightAngle > 15) { // More extreme angles needed
-      // Partial eyebrow angling
-      score += 0.15; // Reduced from 0.25
-    }
-    
-    return Math.min(0.6, score); // Cap at 0.6 (reduced from 0.9)
-  };
-  
-  const calculateSurpriseScore = (eyebrowRaised, eyesWideOpen, isMouthOpen) => {
-    let score = 0;
-    
-    // Strongly weight raised eyebrows
-    if (eyebrowRaised) {
-      score += 0.4;
-    }
-    
-    // Wide eyes are a strong indicator
-    if (eyesWideOpen) {
-      score += 0.3;
-    }
-    
-    // Open mouth completes the surprised expression
-    if (isMouthOpen) {
-      score += 0.3;
-    }
-    
-    return Math.min(0.9, score); // Cap at 0.9
-  };
-  
-  const calculateHappinessScore = (mouthRatio, isMouthTurnedDown) => {
-    let score = 0;
-    
-    // Increased sensitivity for smiling detection
-    if (mouthRatio > 3.0) { // Lowered threshold from 3.5
-      score += 0.8; // Increased from 0.6
-    } else if (mouthRatio > 2.5) { // Lowered threshold from 2.8
-      score += 0.6; // Increased from 0.4
-    } else if (mouthRatio > 2.0) { // Lowered threshold from 2.2
-      score += 0.4; // Increased from 0.2
-    } else if (mouthRatio > 1.5) { // Added new lower threshold
-      score += 0.2; // Even slight smiles get some score
-    }
-    
-    // Reduced penalty for mouth turned down
-    if (isMouthTurnedDown) {
-      score = Math.max(0, score - 0.2); // Reduced penalty from 0.4 to 0.2
-    }
-    
-    return Math.min(0.95, score); // Increased cap from 0.8 to 0.95
-  };
-  
-  // Completely new emotion detection algorithm focusing on better detection of all emotions
-  const calculateEmotionsFromLandmarks = (landmarks) => {
-    // Debug variables to help visualize what's being detected
-    window.debugFaceMetrics = {};
-    
-    // Default emotion distribution with strong emphasis on happiness
-    let emotions = {
-      neutral: 0.17,
-      happy: 0.50, // Dominant default for happy
-      sad: 0.10,   // Significantly reduced default for sad
-      angry: 0.08, // Significantly reduced default for angry
-      surprised: 0.15 // Maintained default for surprised
-    };
-    
-    if (!landmarks || landmarks.length < 20) {
-      return emotions;
-    }
-    
-    try {
-      // Key facial points (using multiple points for more reliable detection)
-      // Mouth points
-      const mouthLeft = landmarks[61] || landmarks[0];
-      const mouthRight = landmarks[291] || landmarks[1];
-      const upperLip = landmarks[13] || landmarks[2];
-      const lowerLip = landmarks[14] || landmarks[3];
-      const mouthCenter = landmarks[0] || landmarks[4];
-      
-      // Eye points
-      const leftEye = landmarks[159] || landmarks[5];
-      const rightEye = landmarks[386] || landmarks[6];
-      const leftEyeTop = landmarks[159] || landmarks[7];
-      const leftEyeBottom = landmarks[145] || landmarks[8];
-      const rightEyeTop = landmarks[386] || landmarks[9];
-      const rightEyeBottom = landmarks[374] || landmarks[10];
-      
-      // Eyebrow points
-      const leftEyebrowOuter = landmarks[65] || landmarks[11];
-      const leftEyebrowInner = landmarks[105] || landmarks[12];
-      const rightEyebrowOuter = landmarks[295] || landmarks[13];
-      const rightEyebrowInner = landmarks[334] || landmarks[14];
-      
-      // More points for better detection
-      const noseTip = landmarks[1] || landmarks[15];
-      const leftCheek = landmarks[187] || landmarks[16];
-      const rightCheek = landmarks[411] || landmarks[17];
-      const forehead = landmarks[151] || landmarks[18];
-      
-      // ---------- CALCULATE CORE METRICS ----------
-      
-      // 1. MOUTH MEASUREMENTS
-      // Mouth width (horizontal distance)
-      const mouthWidth = Math.sqrt(
-        Math.pow(mouthRight[0] - mouthLeft[0], 2) + 
-        Math.pow(mouthRight[1] - mouthLeft[1], 2)
-      );
-      
-      // Mouth height (vertical opening)
-      const mouthHeight = Math.sqrt(
-        Math.pow(upperLip[0] - lowerLip[0], 2) + 
-        Math.pow(upperLip[1] - lowerLip[1], 2)
-      );
-      
-      // Mouth corner height difference (key for sadness)
-      const mouthCornerDiff = Math.abs(mouthLeft[1] - mouthRight[1]);
-      
-      // Is the mouth turned down? (critical for sadness detection)
-      const isMouthTurnedDown = (mouthLeft[1] > mouthCenter[1]) && (mouthRight[1] > mouthCenter[1]);
-      
-      // Is the mouth open? (important for surprise)
-      const isMouthOpen = mouthHeight > (mouthWidth * 0.3);
-      
-      // Smile ratio - width to height (smaller = less smiling)
-      const mouthRatio = mouthWidth / (mouthHeight || 1);
-      
-      // 2. EYEBROW MEASUREMENTS
-      // Distance between eyebrow and eye (key for surprise and anger)
-      const leftEyebrowHeight = Math.abs(leftEyebrowOuter[1] - leftEye[1]);
-      const rightEyebrowHeight = Math.abs(rightEyebrowOuter[1] - rightEye[1]);
-      
-      // Are eyebrows raised? (surprise)
-      const eyebrowRaised = (leftEyebrowHeight > 25) || (rightEyebrowHeight > 25);
-      
-      // Are eyebrows lowered/furrowed? (anger)
-      const eyebrowLowered = (leftEyebrowHeight < 15) || (rightEyebrowHeight < 15);
-      
-      // Eyebrow angle (furrowed brows for anger)
-      const leftEyebrowAngle = Math.atan2(
-        leftEyebrowOuter[1] - leftEyebrowInner[1],
-        leftEyebrowOuter[0] - leftEyebrowInner[0]
-      ) * (180 / Math.PI);
-      
-      const rightEyebrowAngle = Math.atan2(
-        rightEyebrowInner[1] - rightEyebrowOuter[1],
-        rightEyebrowInner[0] - rightEyebrowOuter[0]
-      ) * (180 / Math.PI);
-      
-      // Are eyebrows angled inward? (anger)
-      const eyebrowsAngledInward = (leftEyebrowAngle < -15) && (rightEyebrowAngle > 15);
-      
-      // 3. EYE MEASUREMENTS
-      // Eye openness (surprise)
-      const leftEyeOpenness = Math.abs(leftEyeTop[1] - leftEyeBottom[1]);
-      const rightEyeOpenness = Math.abs(rightEyeTop[1] - rightEyeBottom[1]);
-      
-      // Are eyes wide open? (surprise)
-      const eyesWideOpen = (leftEyeOpenness > 15) || (rightEyeOpenness > 15);
-      
-      // ---------- EMOTION DETECTION LOGIC ----------
-      
-      // DEBUGGING - store metrics for visualization
-      window.debugFaceMetrics = {
-        mouthRatio,
-        mouthCornerDiff,
-        isMouthTurnedDown,
-        isMouthOpen,
-        eyebrowRaised,
-        eyebrowLowered,
-        eyebrowsAngledInward,
-        eyesWideOpen,
-        leftEyebrowAngle,
-        rightEyebrowAngle
-      };
-      
-      // CRITICAL FACIAL EXPRESSION DETECTION
-      // Using stronger indicators and clear thresholds for each emotion
-      
-      // 1. SADNESS - Detect with high priority
-      // Key indicators: Mouth corners turned down, slight frown
-      const sadnessScore = calculateSadnessScore(isMouthTurnedDown, mouthCornerDiff, mouthRatio);
-      
-      // 2. ANGER - Also detect with high priority
-      // Key indicators: Lowered/furrowed eyebrows, eyebrows angled inward
-      const angerScore = calculateAngerScore(eyebrowLowered, eyebrowsAngledInward, leftEyebrowAngle, rightEyebrowAngle);
-      
-      // 3. SURPRISE - Detect with high priority
-      // Key indicators: Raised eyebrows, wide eyes, open mouth
-      const surpriseScore = calculateSurpriseScore(eyebrowRaised, eyesWideOpen, isMouthOpen);
-      
-      // 4. HAPPINESS - Only detect when clearly smiling
-      // Key indicator: Wide mouth with corners up (high mouth ratio)
-      const happinessScore = calculateHappinessScore(mouthRatio, isMouthTurnedDown);
-      
-      // 5. NEUTRALITY - Default state when other emotions aren't strong
-      const neutralScore = 0.4 - (sadnessScore + angerScore + surpriseScore + happinessScore) / 2;
-      
-      // Assign scores to emotions object
-      emotions.sad = Math.max(0.1, sadnessScore);
-      emotions.angry = Math.max(0.1, angerScore);
-      emotions.surprised = Math.max(0.1, surpriseScore);
-      emotions.happy = Math.min(0.7, happinessScore); // Cap happiness to prevent bias
-      emotions.neutral = Math.max(0.05, neutralScore);
-      
-      // Add some noise to make emotions more dynamic even with subtle changes
-      Object.keys(emotions).forEach(key => {
-        // Add small random variation to create more responsive changes
-        emotions[key] = emotions[key] + (Math.random() * 0.05 - 0.025);
-        // Ensure values stay positive
-        emotions[key] = Math.max(0, emotions[key]);
-      });
-      
-      // Normalize the values to sum to 1
-      const total = Object.values(emotions).reduce((sum, val) => sum + val, 0);
-      Object.keys(emotions).forEach(key => {
-        emotions[key] = emotions[key] / total;
+        }
+      })
+      .catch(error => {
+        console.error('AI detection error:', error);
+        
+        // Never make up readings: after repeated failures hand over to manual entry
+        detectionFailuresRef.current += 1;
+        if (detectionFailuresRef.current >= MAX_DETECTION_FAILURES) {
+          detectionFailuresRef.current = 0;
+          switchToManual(`AI detection keeps failing (${error.message}).`);
+        }
       });
-      
-      return emotions;
-    } catch (err) {
-      console.error('Error calculating emotions:', err);
-      return emotions;
-    }
-  };
-  
-  // AI detection logic is contained within the runDetection function
-  
-  // AI detection logic is contained within the runDetection function
+  }, [detector, drawLatestOverlay, gestureWeight, gestureControls, isPaused,
+    showScores, showDetails, showGestureHold, switchToManual]);
 
-  // Initialize everything
+  // Start the camera once and stop it when the tracker unmounts
   useEffect(() => {
-    loadLibraries();
+    startVideo();
     
     // Store video reference at effect start to use in cleanup
     const videoRefCurrent = videoRef.current;
     
     return () => {
-      if (detectionIntervalRef.current) {
-        clearInterval(detectionIntervalRef.current);
-      }
       if (videoRefCurrent && videoRefCurrent.srcObject) {
         // Using stored reference to avoid cleanup issues with changing refs
         const stream = videoRefCurrent.srcObject;
@@ -668,120 +296,498 @@ const MoodTracker = () => {
         }
       }
     };
-  }, [loadLibraries]);
+  }, [startVideo]);
+
+  // Redraw straight away when overlay settings change rather than on the next frame
+  useEffect(() => {
+    drawLatestOverlay();
+  }, [drawLatestOverlay]);
+
+  // Keep the overlay canvas at its on-screen resolution as the layout changes
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !('ResizeObserver' in window)) return;
+
+    const observer = new ResizeObserver(() => {
+      if (resizeOverlay(canvas)) {
+        drawLatestOverlay();
+      }
+    });
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, [drawLatestOverlay]);
+
+  // Load the user's calibration once; detectors that support it pick it up below
+  useEffect(() => {
+    getCalibration(token)
+      .then(data => setCalibration(data))
+      .catch(err => console.error('Error loading calibration:', err));
+  }, [token]);
+
+  useEffect(() => {
+    if (detector && detector.setCalibration) {
+      detector.setCalibration(calibration);
+    }
+  }, [detector, calibration]);
 
-  // Set up detection interval with much faster refresh rate for ultra-responsive emotion detection
   useEffect(() => {
-    if (isVideoReady) {
-      // Ultra-fast interval (50ms) for extremely responsive emotion detection
-      detectionIntervalRef.current = setInterval(runDetection, 50);
-      return () => {
-        if (detectionIntervalRef.current) {
-          clearInterval(detectionIntervalRef.current);
+    localStorage.setItem(COLLECT_LABELS_KEY, String(collectLabels));
+    if (!collectLabels) setLabelPrompt(null);
+  }, [collectLabels]);
+
+  // Restart gesture holds when the hold time changes or controls are switched off
+  useEffect(() => {
+    gestureHoldTrackerRef.current = createGestureHold(gestureControls.holdMs);
+    setGestureHold(null);
+  }, [gestureControls.holdMs, gestureControls.enabled]);
+
+  // Start a fresh smoother when the settings or the detector change
+  useEffect(() => {
+    smootherRef.current = createSmoother(smoothing);
+  }, [smoothing, detector]);
+
+  // Load models whenever a different detector is picked
+  useEffect(() => loadLibraries(), [loadLibraries]);
+
+  // Without a camera only manual entry can work
+  useEffect(() => {
+    if (cameraError && detectorId !== 'manual') {
+      switchToManual(cameraError);
+    }
+  }, [cameraError, detectorId, switchToManual]);
+
+  // Release the previous detector's models or worker once it's replaced
+  useEffect(() => () => {
+    if (detector && detector.dispose) {
+      detector.dispose();
+    }
+  }, [detector]);
+
+  // Detection loop: the next frame is scheduled from the measured inference time, so slow
+  // devices analyse fewer frames instead of queueing them up. Manual entry needs no frames.
+  useEffect(() => {
+    if (!isVideoReady || detectorId === 'manual') return;
+
+    let stopped = false;
+    let timer = null;
+    let frames = 0;
+    let lastFpsUpdate = performance.now();
+
+    const tick = async () => {
+      const started = performance.now();
+      await runDetection();
+      if (stopped) return;
+
+      const now = performance.now();
+      detectionLatencyRef.current = 0.8 * detectionLatencyRef.current + 0.2 * (now - started);
+      frames += 1;
+      if (now - lastFpsUpdate >= 1000) {
+        setDetectionFps(Math.round((frames * 1000) / (now - lastFpsUpdate)));
+        frames = 0;
+        lastFpsUpdate = now;
+      }
+
+      const delay = Math.min(MAX_DETECTION_DELAY_MS, Math.max(MIN_DETECTION_DELAY_MS, detectionLatencyRef.current));
+      timer = setTimeout(tick, delay);
+    };
+    tick();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }, [isVideoReady, detectorId, runDetection]);
+
+  // Fetch a page of mood history; without a cursor this replaces the list with the first page
+  const fetchMoodHistory = useCallback((cursor) => {
+    // Ignore responses that arrive after the filters have changed again
+    const requestId = cursor ? historyRequestRef.current : ++historyRequestRef.current;
+    setIsLoadingHistory(true);
+
+    // Only the unfiltered first page is kept for offline use
+    const isFirstPage = !cursor && !historyFilters.mood && !historyFilters.q && !historyFilters.tags;
+
+    getMoodHistory(token, { ...historyFilters, cursor })
+      .then(data => {
+        if (requestId !== historyRequestRef.current) return;
+        setHistory(prev => (cursor ? [...prev, ...data.items] : data.items));
+        setHistoryCursor(data.nextCursor);
+        setIsHistoryOffline(false);
+        if (isFirstPage) {
+          cacheHistory(userId, data.items).catch(err => console.error('Error caching mood history:', err));
+        }
+      })
+      .catch(err => {
+        if (err.status === 401) {
+          onLogout();
+          return;
+        }
+        console.error('Error loading mood history:', err);
+        if (isFirstPage && err.code === 'NETWORK_ERROR') {
+          return readCachedHistory(userId).then(items => {
+            if (requestId !== historyRequestRef.current) return;
+            setHistory(items);
+            setHistoryCursor(null);
+            setIsHistoryOffline(true);
+          });
         }
-      };
+      })
+      .finally(() => {
+        if (requestId === historyRequestRef.current) {
+          setIsLoadingHistory(false);
+        }
+      });
+  }, [token, userId, onLogout, historyFilters]);
+
+  const { tags, reload: reloadTags, addTag, renameTag, removeTag } = useTags({ token, onLogout });
+
+  // Moods saved while offline wait in the outbox; reload the history once they're sent
+  const { pendingLogs, queue: queueMoodLog, discard: discardPendingLog, flush: flushPendingLogs } = useOutbox({
+    userId,
+    token,
+    onSynced: () => {
+      fetchMoodHistory(null);
+      reloadTags();
     }
-  }, [isVideoReady, runDetection]);
+  });
 
-  // Load history from API on component mount
+  // Load the first page on mount and whenever the filters change
   useEffect(() => {
-    // Define a function to fetch mood history
-    function fetchMoodHistory() {
-      fetch('http://localhost:5000/api/moods/history')
-        .then(response => {
-          if (response.ok) {
-            return response.json();
-          }
-          console.error('Failed to load mood history');
-          return [];
-        })
-        .then(data => {
-          setHistory(data);
-        })
-        .catch(err => {
-          console.error('Error loading mood history:', err);
-        });
+    fetchMoodHistory(null);
+  }, [fetchMoodHistory]);
+
+  // Infinite scroll: load the next page when the end of the history list comes into view
+  useEffect(() => {
+    const sentinel = historySentinelRef.current;
+    if (!sentinel || !historyCursor || isLoadingHistory || !('IntersectionObserver' in window)) {
+      return;
     }
 
-    fetchMoodHistory();
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        fetchMoodHistory(historyCursor);
+      }
+    }, { root: historyScrollRef.current, rootMargin: '100px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [historyCursor, isLoadingHistory, fetchMoodHistory]);
+
+  const hasHistoryFilters = Boolean(historyFilters.mood || historyFilters.q || historyFilters.tags);
+
+  // Changes made in other tabs and on other devices; a filtered list is reloaded
+  // since the server decides what matches
+  const handleMoodEvent = useCallback(({ type, data }) => {
+    // Tags can be added, renamed or deleted from another device too
+    if (type === 'refresh' || (data.tags || []).some(name => !tags.some(tag => tag.name === name))) {
+      reloadTags();
+    }
+    if (type === 'deleted') {
+      const pending = pendingDeleteRef.current;
+      if (pending && pending.log._id === data.id) {
+        clearTimeout(pending.timer);
+        pendingDeleteRef.current = null;
+        setPendingDelete(null);
+      }
+      setHistory(prev => prev.filter(log => log._id !== data.id));
+    } else if (type === 'refresh' || hasHistoryFilters) {
+      fetchMoodHistory(null);
+    } else if (type === 'created') {
+      setHistory(prev => insertLog(prev, data, Boolean(historyCursor)));
+    } else if (type === 'updated') {
+      setHistory(prev => prev.map(log => (log._id === data._id ? data : log)));
+    }
+  }, [hasHistoryFilters, historyCursor, fetchMoodHistory, tags, reloadTags]);
+
+  const isLive = useMoodEvents({ token, onEvent: handleMoodEvent });
+  // Queued entries aren't on the server yet, so filters can't apply to them
+  const displayedHistory = hasHistoryFilters ? history : [...pendingLogs, ...history];
+
+  const isManualEntry = detectorId === 'manual';
+
+  // Show an API error's message and field problems; network failures get the fallback text
+  const showError = useCallback((err, fallbackMessage) => {
+    setNotice({ type: 'error', message: err.status ? err.message : fallbackMessage, fields: err.fields });
   }, []);
 
-  const handleSaveMood = () => {
-    if (!mood) return;
+  const dismissNotice = useCallback(() => setNotice(null), []);
+
+  // Save the raw scores averaged over the last few seconds rather than a single frame
+  const handleCaptureMood = () => {
+    const captured = smootherRef.current.average(smoothing.captureSeconds * 1000);
+    if (!captured) {
+      setNotice({ type: 'error', message: 'No detections in the last few seconds to capture.' });
+      return;
+    }
+    handleSaveMood(captured);
+  };
+
+  // Switch detector and drop readings that came from the previous one
+  const handleDetectorChange = (id) => {
+    setDetectionNotice('');
+    setIsCalibrating(false);
+    setDetectorId(id);
+    setMood('');
+    setEmotionScores({});
+    setDetectionFps(null);
+    showDetails(null, null);
+  };
+
+  /*
+   * Send a mood log, or keep it in the outbox when the server can't be reached.
+   * Resolves with the saved log, null when it was queued on this device, or false
+   * when it couldn't be stored at all.
+   */
+  const saveMood = (moodData) => {
+    // The same key goes with every attempt, so a resend never creates a second log
+    const idempotencyKey = newIdempotencyKey();
+    const saveOnDevice = () => queueMoodLog(idempotencyKey, moodData).then(() => {
+      setNotice({ type: 'success', message: "You're offline. The mood is saved on this device and will sync when you're back online." });
+      return null;
+    });
+    const request = navigator.onLine
+      ? saveMoodLog(token, moodData, { idempotencyKey })
+      : Promise.reject(Object.assign(new Error('Offline'), { code: 'NETWORK_ERROR' }));
+
+    return request
+    .then(savedData => {
+      if (hasHistoryFilters) {
+        // The server decides whether the new log matches the filters
+        fetchMoodHistory(null);
+      } else {
+        // The live update for this log may have arrived first
+        setHistory(prev => [savedData, ...prev.filter(log => log._id !== savedData._id)]);
+      }
+      setNotice({ type: 'success', message: 'Mood saved successfully! 🎉' });
+      return savedData;
+    })
+    .catch(err => {
+      if (err.status === 401) {
+        onLogout();
+        return false;
+      }
+      if (!isRetryable(err)) throw err;
+      return saveOnDevice();
+    })
+    .catch(err => {
+      console.error('Error saving mood:', err);
+      showError(err, 'Failed to save mood. Please try again.');
+      return false;
+    });
+  };
+
+  // Save the current reading, or the given { mood, emotionScores } in its place
+  const handleSaveMood = (reading = { mood, emotionScores }) => {
+    if (!reading.mood) return;
     
     const moodData = { 
-      mood, 
+      mood: reading.mood, 
       notes, 
-      emotionScores,
-      faceDetails,
-      handDetails,
+      tags: selectedTags,
+      ...entryContext,
+      emotionScores: reading.emotionScores,
+      faceDetails: latestDetailsRef.current.faceDetails,
+      handDetails: latestDetailsRef.current.handDetails,
+      detector: isManualEntry ? 'manual' : detector ? detector.id : null,
+      source: isManualEntry ? 'manual' : 'detected',
       timestamp: new Date().toISOString() 
     };
+
+    // With labelling on, keep the face shape this detection came from so the user can confirm it
+    const lastFace = lastOverlayRef.current && lastOverlayRef.current.face;
+    const landmarks = collectLabels && moodData.source === 'detected' && lastFace ? anonymizeLandmarks(lastFace) : null;
     
-    fetch('http://localhost:5000/api/moods/log', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(moodData),
-    })
-    .then(response => {
-      if (response.ok) {
-        return response.json().then(savedData => {
-          setHistory(prev => [savedData, ...prev.slice(0, 19)]); // Keep last 20 entries
-          setNotes('');
-          
-          // Show success message
-          alert('Mood saved successfully! 🎉');
-        });
-      } else {
-        return response.json().then(errorData => {
-          alert(`Failed to save: ${errorData.message || 'Unknown error'}`);
-        });
+    saveMood(moodData).then(saved => {
+      if (saved === false) return;
+      setNotes('');
+      setSelectedTags([]);
+      setEntryContext(EMPTY_CONTEXT);
+      // Picks up usage counts, and ids for tags added while offline
+      if (saved && moodData.tags.length > 0) reloadTags();
+      if (saved && landmarks) {
+        setLabelPrompt({ id: saved._id, predictedMood: reading.mood, detector: moodData.detector, landmarks });
+      }
+    });
+  };
+
+  // A mood picked in the quick log a check-in reminder opens
+  const handleQuickLog = ({ mood: quickMood, notes: quickNotes }) => {
+    return saveMood({
+      mood: quickMood,
+      notes: quickNotes,
+      emotionScores: null,
+      detector: null,
+      source: 'manual',
+      timestamp: new Date().toISOString()
+    }).then(saved => {
+      if (saved !== false) onCloseQuickLog();
+    });
+  };
+
+  // Renaming or deleting a tag changes the entries that carry it
+  const handleRenameTag = (tag, name) => {
+    return renameTag(tag, name).then(updated => {
+      setSelectedTags(prev => prev.map(entry => (entry === tag.name ? updated.name : entry)));
+      setHistoryFilters(prev => (prev.tags === tag.name ? { ...prev, tags: updated.name } : prev));
+      if (tag.count > 0) fetchMoodHistory(null);
+    });
+  };
+
+  const handleDeleteTag = (tag) => {
+    return removeTag(tag).then(() => {
+      setSelectedTags(prev => prev.filter(entry => entry !== tag.name));
+      setHistoryFilters(prev => (prev.tags === tag.name ? { ...prev, tags: '' } : prev));
+      if (tag.count > 0) fetchMoodHistory(null);
+    });
+  };
+
+  // Store the user's answer to the label prompt as a labelled sample
+  const handleLabelSample = (label) => {
+    const { predictedMood, detector: detectorUsed, landmarks } = labelPrompt;
+    return saveLabelledSample(token, { detector: detectorUsed, predictedMood, label, landmarks })
+    .catch(err => {
+      if (err.status === 401) {
+        onLogout();
+        return;
       }
+      console.error('Error storing labelled sample:', err);
     })
+    .finally(() => setLabelPrompt(null));
+  };
+
+  // Gesture actions always see the latest state, without restarting the detection loop
+  useEffect(() => {
+    gestureActionRef.current = (action) => {
+      if (action === 'save') {
+        handleSaveMood();
+      } else if (action === 'capture') {
+        handleCaptureMood();
+      } else if (action === 'togglePause') {
+        setIsPaused(paused => !paused);
+      } else if (action === 'toggleLandmarks') {
+        setShowLandmarks(show => !show);
+      }
+    };
+  });
+
+  // Lets the calibration wizard listen to face features from the running detector
+  const subscribeFeatures = useCallback((listener) => {
+    featureListenersRef.current.add(listener);
+    return () => featureListenersRef.current.delete(listener);
+  }, []);
+
+  // Store new baselines; rejects with the server's message on failure
+  const handleSaveCalibration = (next) => {
+    return saveCalibration(token, next)
+    .then(data => {
+      setCalibration(data);
+      setIsCalibrating(false);
+    }, err => {
+      if (err.status === 401) {
+        onLogout();
+      }
+      throw err;
+    });
+  };
+
+  const handleResetCalibration = () => {
+    if (!window.confirm('Forget your calibration and go back to the default thresholds?')) return;
+
+    resetCalibration(token)
+    .then(() => setCalibration(null))
     .catch(err => {
-      console.error('Error saving mood:', err);
-      alert('Failed to save mood. Please try again.');
+      if (err.status === 401) {
+        onLogout();
+        return;
+      }
+      console.error('Error resetting calibration:', err);
     });
   };
 
-  const getEmotionColor = (emotion) => {
-    const colors = {
-      happy: 'success',
-      sad: 'info',
-      angry: 'danger',
-      surprised: 'warning',
-      neutral: 'secondary'
-    };
-    return colors[emotion] || 'primary';
+  // Correct the mood or notes of a saved entry; rejects with the server's message on failure
+  const handleUpdateLog = (id, changes) => {
+    return updateMoodLog(token, id, changes)
+    .then(data => {
+      setHistory(prev => prev.map(log => (log._id === data._id ? data : log)));
+    }, err => {
+      if (err.status === 401) {
+        onLogout();
+      }
+      throw err;
+    });
   };
 
-  const getEmotionIcon = (emotion) => {
-    const icons = {
-      happy: '😊',
-      sad: '😢',
-      angry: '😠',
-      surprised: '😮',
-      neutral: '😐'
-    };
-    return icons[emotion] || '🤔';
+  // Send the DELETE for an entry whose undo window has passed
+  const commitDelete = useCallback((pending) => {
+    clearTimeout(pending.timer);
+    deleteMoodLog(token, pending.log._id)
+    .catch(err => {
+      // Already gone, e.g. deleted from another tab
+      if (err.status === 404) return;
+      console.error('Error deleting mood:', err);
+      // Put the entry back so it isn't silently lost
+      setHistory(prev => [...prev.slice(0, pending.index), pending.log, ...prev.slice(pending.index)]);
+      showError(err, 'Failed to delete mood entry. Please try again.');
+    });
+  }, [token, showError]);
+
+  // Remove the entry right away but hold off on the request so it can be undone
+  const handleDeleteLog = (log) => {
+    if (pendingDeleteRef.current) {
+      commitDelete(pendingDeleteRef.current);
+    }
+
+    const index = history.findIndex(entry => entry._id === log._id);
+    const pending = { log, index };
+    pending.timer = setTimeout(() => {
+      commitDelete(pending);
+      pendingDeleteRef.current = null;
+      setPendingDelete(null);
+    }, UNDO_DELETE_MS);
+
+    pendingDeleteRef.current = pending;
+    setPendingDelete(pending);
+    setHistory(prev => prev.filter(entry => entry._id !== log._id));
   };
 
-  if (error) {
-    return (
-      <div className="container mt-5" style={{ background: '#121212', minHeight: '100vh' }}>
-        <div className="alert" role="alert" style={{ background: '#1E1E1E', color: '#E1C4FF', border: '1px solid #6A1B9A' }}>
-          <h4 className="alert-heading" style={{ color: '#9C27B0' }}>Notice</h4>
-          <p>{error}</p>
-          <button className="btn" onClick={() => window.location.reload()} 
-            style={{ background: '#4A148C', color: '#FFFFFF', borderColor: '#6A1B9A' }}>
-            Refresh Page
-          </button>
-        </div>
-      </div>
-    );
-  }
+  // Queued entries were never sent, so dropping them from the outbox is enough
+  const handleDiscardPending = (log) => {
+    discardPendingLog(log._id).catch(err => showError(err, 'Failed to discard the entry. Please try again.'));
+  };
+
+  // Logging out deletes queued entries, so send what we can and ask before dropping the rest
+  const handleSignOut = () => {
+    if (pendingLogs.length === 0) {
+      onSignOut();
+      return;
+    }
+    flushPendingLogs().then(remaining => {
+      const entries = remaining === 1 ? '1 mood entry hasn\'t' : `${remaining} mood entries haven't`;
+      if (remaining === 0 || window.confirm(`${entries} been sent yet and will be deleted if you log out now. Log out anyway?`)) {
+        onSignOut();
+      }
+    });
+  };
+
+  const handleUndoDelete = () => {
+    const pending = pendingDeleteRef.current;
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    pendingDeleteRef.current = null;
+    setPendingDelete(null);
+    setHistory(prev => [...prev.slice(0, pending.index), pending.log, ...prev.slice(pending.index)]);
+  };
+
+  // Don't drop a pending delete when the tracker unmounts (e.g. on logout)
+  useEffect(() => {
+    return () => {
+      if (pendingDeleteRef.current) {
+        commitDelete(pendingDeleteRef.current);
+        pendingDeleteRef.current = null;
+      }
+    };
+  }, [commitDelete]);
 
   return (
     <div className="container-fluid py-4" style={{ 
@@ -798,9 +804,37 @@ const MoodTracker = () => {
             <p className="lead" style={{ color: '#FFFFFF' }}>
               Real-time emotion detection using AI-powered facial and hand analysis By Jayan Perera
             </p>
+            <div className="d-flex justify-content-center align-items-center gap-3">
+              <span style={{ color: '#CE93D8' }}>👤 {user?.name || user?.email}</span>
+              <button className="btn btn-sm" onClick={onShowDashboard}
+                style={{ marginTop: 0, background: '#6A1B9A', color: '#FFFFFF', borderColor: '#9C27B0' }}>
+                📈 Dashboard
+              </button>
+              <button className="btn btn-sm" onClick={onShowReminders}
+                style={{ marginTop: 0, background: '#4A148C', color: '#FFFFFF', borderColor: '#6A1B9A' }}>
+                🔔 Reminders
+              </button>
+              <button className="btn btn-sm" onClick={onShowPrivacy}
+                style={{ marginTop: 0, background: '#4A148C', color: '#FFFFFF', borderColor: '#6A1B9A' }}>
+                🔒 Privacy
+              </button>
+              <button className="btn btn-sm" onClick={handleSignOut}
+                style={{ marginTop: 0, background: '#4A148C', color: '#FFFFFF', borderColor: '#6A1B9A' }}>
+                Log Out
+              </button>
+            </div>
           </div>
         </div>
         
+        {detectionNotice && (
+          <div className="alert d-flex align-items-center justify-content-between" role="status"
+            style={{ background: '#1E1E1E', color: '#E1C4FF', border: '1px solid #EF6C00' }}>
+            <span>⚠️ {detectionNotice}</span>
+            <button className="btn-close btn-close-white" aria-label="Dismiss" onClick={() => setDetectionNotice('')}
+              style={{ marginTop: 0 }}></button>
+          </div>
+        )}
+        
         <div className="row g-4">
           {/* Video Section */}
           <div className="col-lg-8">
@@ -808,7 +842,7 @@ const MoodTracker = () => {
               <div className="card-header text-white" style={{ background: '#4A148C' }}>
                 <h5 className="card-title mb-0">
                   📹 Live Detection
-                  {isDetecting && <span className="spinner-border spinner-border-sm ms-2" role="status"></span>}
+                  {!isManualEntry && !modelsLoaded && <span className="spinner-border spinner-border-sm ms-2" role="status"></span>}
                 </h5>
               </div>
               <div className="card-body">
@@ -823,7 +857,8 @@ const MoodTracker = () => {
                       maxHeight: '480px', 
                       objectFit: 'cover',
                       border: '2px solid #6A1B9A',
-                      boxShadow: '0 0 20px rgba(106, 27, 154, 0.5)'
+                      boxShadow: '0 0 20px rgba(106, 27, 154, 0.5)',
+                      transform: overlayOptions.mirrored ? 'scaleX(-1)' : 'none'
                     }}
                   />
                   <canvas 
@@ -831,6 +866,15 @@ const MoodTracker = () => {
                     className="position-absolute top-0 start-0 w-100 h-100"
                     style={{ pointerEvents: 'none', maxHeight: '480px' }}
                   />
+                  {cameraError && (
+                    <div className="position-absolute top-50 start-50 translate-middle text-center px-3"
+                      style={{ color: '#E1C4FF', maxWidth: '90%' }}>
+                      📷 {cameraError}
+                    </div>
+                  )}
+                  {gestureHold && (
+                    <GestureProgressRing gesture={gestureHold.gesture} action={gestureHold.action} progress={gestureHold.progress} />
+                  )}
                 </div>
                 
                 <div className="d-flex flex-wrap align-items-center gap-3">
@@ -848,13 +892,46 @@ const MoodTracker = () => {
                     </label>
                   </div>
                   
+                  {showLandmarks && [['face', 'Mesh'], ['hands', 'Hands'], ['box', 'Face box']].map(([key, label]) => (
+                    <div key={key} className="form-check form-check-inline mb-0">
+                      <input className="form-check-input" type="checkbox" id={`overlay-${key}`}
+                        checked={overlayOptions[key]}
+                        onChange={(e) => setOverlayOptions(prev => ({ ...prev, [key]: e.target.checked }))} />
+                      <label className="form-check-label" htmlFor={`overlay-${key}`} style={{ color: '#E1C4FF' }}>
+                        {label}
+                      </label>
+                    </div>
+                  ))}
+                  
+                  <div className="form-check form-switch">
+                    <input 
+                      className="form-check-input" 
+                      type="checkbox" 
+                      id="mirrorToggle"
+                      checked={overlayOptions.mirrored}
+                      onChange={(e) => setOverlayOptions(prev => ({ ...prev, mirrored: e.target.checked }))}
+                      style={{ backgroundColor: overlayOptions.mirrored ? '#9C27B0' : '#333' }}
+                    />
+                    <label className="form-check-label" htmlFor="mirrorToggle" style={{ color: '#E1C4FF' }}>
+                      Mirror Video
+                    </label>
+                  </div>
+                  
+                  {!isManualEntry && (
+                    <button className="btn btn-sm" onClick={() => setIsPaused(paused => !paused)}
+                      aria-pressed={isPaused}
+                      style={{ marginTop: 0, backgroundColor: isPaused ? '#EF6C00' : '#311B92', color: 'white', border: '1px solid #9C27B0' }}>
+                      {isPaused ? '▶️ Resume' : '⏸️ Pause'}
+                    </button>
+                  )}
+                  
                   <span className="badge" style={{
                     backgroundColor: isVideoReady ? '#7B1FA2' : '#D32F2F',
                     color: 'white',
                     border: '1px solid ' + (isVideoReady ? '#9C27B0' : '#F44336'),
                     padding: '8px 12px'
                   }}>
-                    📷 Video: {isVideoReady ? 'Ready' : 'Loading'}
+                    📷 Video: {isVideoReady ? 'Ready' : cameraError ? 'Unavailable' : 'Loading'}
                   </span>
                   
                   <span className="badge" style={{
@@ -863,8 +940,19 @@ const MoodTracker = () => {
                     border: '1px solid ' + (modelsLoaded ? '#9C27B0' : '#FF9800'),
                     padding: '8px 12px'
                   }}>
-                    🤖 AI Models: {modelsLoaded ? 'Loaded' : 'Loading'}
+                    🤖 AI Models: {isManualEntry ? 'Off' : modelsLoaded ? 'Loaded' : 'Loading'}
                   </span>
+                  
+                  {!isManualEntry && modelsLoaded && detectionFps !== null && (
+                    <span className="badge" style={{
+                      backgroundColor: '#311B92',
+                      color: 'white',
+                      border: '1px solid #9C27B0',
+                      padding: '8px 12px'
+                    }}>
+                      ⏱️ {detectionFps} fps
+                    </span>
+                  )}
                 </div>
               </div>
             </div>
@@ -873,18 +961,32 @@ const MoodTracker = () => {
           {/* Analysis Results */}
           <div className="col-lg-4">
             <div className="row g-3">
+              {/* Calibration */}
+              {isCalibrating && (
+                <div className="col-12">
+                  <CalibrationWizard
+                    subscribeFeatures={subscribeFeatures}
+                    onSave={handleSaveCalibration}
+                    onCancel={() => setIsCalibrating(false)}
+                  />
+                </div>
+              )}
+
               {/* Current Emotion */}
               <div className="col-12">
                 <div className="card shadow border-0 h-100" style={{ background: '#1E1E1E', borderColor: '#4A148C' }}>
-                  <div className="card-header text-white" style={{ background: '#6A1B9A' }}>
+                  <div className="card-header text-white d-flex align-items-center justify-content-between" style={{ background: '#6A1B9A' }}>
                     <h5 className="card-title mb-0">🎭 Current Emotion</h5>
+                    <span className="badge" style={{ backgroundColor: '#311B92' }}>
+                      {isManualEntry ? '✍️ Manual entry' : isPaused ? '⏸️ Paused' : '🤖 Detected'}
+                    </span>
                   </div>
                   <div className="card-body text-center">
                     <div className="display-6 mb-3">
                       {getEmotionIcon(mood)}
                     </div>
                     <h3 className="text-capitalize mb-3" style={{ color: '#FFFFFF', fontSize: '28px', textShadow: '0 0 5px rgba(0,0,0,0.7)' }}>
-                      {mood || 'Analyzing...'}
+                      {mood || (isManualEntry ? 'Pick a mood' : 'Analyzing...')}
                     </h3>
                     
                     {Object.keys(emotionScores).length > 0 && (
@@ -914,6 +1016,31 @@ const MoodTracker = () => {
                 </div>
               </div>
 
+              {/* Manual Entry */}
+              {isManualEntry && (
+                <div className="col-12">
+                  <ManualMoodEntry onChange={showManualEntry} />
+                </div>
+              )}
+
+              {/* Detection Settings */}
+              <div className="col-12">
+                <DetectionSettings
+                  detectorId={detectorId}
+                  modelsLoaded={modelsLoaded}
+                  onChange={handleDetectorChange}
+                  smoothing={smoothing}
+                  onSmoothingChange={setSmoothing}
+                  gestureWeight={gestureWeight}
+                  onGestureWeightChange={setGestureWeight}
+                  gestureControls={gestureControls}
+                  onGestureControlsChange={setGestureControls}
+                  calibration={calibration}
+                  onCalibrate={() => setIsCalibrating(true)}
+                  onResetCalibration={handleResetCalibration}
+                />
+              </div>
+
               {/* Detection Details */}
               {(faceDetails || handDetails) && (
                 <div className="col-12">
@@ -928,7 +1055,7 @@ const MoodTracker = () => {
                           <ul className="list-unstyled mb-0" style={{ fontSize: '15px', color: '#FFFFFF' }}>
                             <li>✅ Faces: {faceDetails.facesDetected}</li>
                             <li>📍 Keypoints: {faceDetails.keypoints}</li>
-                            <li>🎯 Accuracy: {(faceDetails.confidence * 100).toFixed(1)}%</li>
+                            <li>🎯 Confidence: {faceDetails.confidence != null ? `${(faceDetails.confidence * 100).toFixed(1)}%` : 'n/a'}</li>
                           </ul>
                         </div>
                       )}
@@ -938,18 +1065,19 @@ const MoodTracker = () => {
                           <h6 style={{ color: '#BA68C8' }}>✋ Hand Analysis</h6>
                           <ul className="list-unstyled mb-0" style={{ fontSize: '15px', color: '#FFFFFF' }}>
                             <li>🤚 Hands: {handDetails.handsDetected}</li>
-                            {handDetails.fallbackMode ? (
-                              <li>No hands detected in current frame</li>
-                            ) : (
-                              handDetails.handedness && handDetails.handedness.length > 0 && 
+                            {handDetails.handedness && handDetails.handedness.length > 0 && 
                               handDetails.handedness.map((hand, index) => (
                                 <li key={index}>
-                                  {index === 0 ? '👈' : '👉'} {hand} 
+                                  {hand === 'Left' ? '👈' : '👉'} {hand} 
                                   {handDetails.keypoints && handDetails.keypoints[index] !== undefined ? 
                                     `(${handDetails.keypoints[index]} points)` : ''}
+                                  {handDetails.gestures && GESTURES[handDetails.gestures[index]] && (
+                                    <span className="ms-1" style={{ color: '#CE93D8' }}>
+                                      {GESTURES[handDetails.gestures[index]].icon} {GESTURES[handDetails.gestures[index]].label}
+                                    </span>
+                                  )}
                                 </li>
-                              ))
-                            )}
+                              ))}
                           </ul>
                         </div>
                       )}
@@ -984,9 +1112,24 @@ const MoodTracker = () => {
                     }}
                   />
                 </div>
+                <div className="mb-3">
+                  <h6 className="mb-2" style={{ color: '#FFFFFF' }}>🏷️ Tags & activities</h6>
+                  <TagPicker
+                    tags={tags}
+                    selected={selectedTags}
+                    onChange={setSelectedTags}
+                    onCreate={addTag}
+                    onRename={handleRenameTag}
+                    onDelete={handleDeleteTag}
+                  />
+                </div>
+                <div className="mb-3">
+                  <MoodContextFields value={entryContext} idPrefix="entry"
+                    onChange={(changes) => setEntryContext(prev => ({ ...prev, ...changes }))} />
+                </div>
                 <button 
                   className="btn btn-lg"
-                  onClick={handleSaveMood} 
+                  onClick={() => handleSaveMood()} 
                   disabled={!mood}
                   style={{
                     backgroundColor: '#6A1B9A',
@@ -997,70 +1140,147 @@ const MoodTracker = () => {
                 >
                   💾 Save Mood Entry
                 </button>
+                {!isManualEntry && (
+                  <button 
+                    className="btn btn-lg ms-2"
+                    onClick={handleCaptureMood} 
+                    disabled={!mood}
+                    title={`Save the average of the last ${smoothing.captureSeconds} seconds`}
+                    style={{
+                      backgroundColor: '#311B92',
+                      color: '#FFFFFF',
+                      border: '1px solid #9C27B0'
+                    }}
+                  >
+                    📸 Capture Last {smoothing.captureSeconds}s
+                  </button>
+                )}
+
+                <div className="form-check mt-3">
+                  <input className="form-check-input" type="checkbox" id="collectLabels"
+                    checked={collectLabels} onChange={(e) => setCollectLabels(e.target.checked)} />
+                  <label className="form-check-label" htmlFor="collectLabels" style={{ fontSize: '14px' }}>
+                    🧪 Help measure accuracy: after each save, confirm or correct the detected mood.
+                    <span style={{ color: '#B39DDB' }}> Only the face's landmark shape is stored with your answer, never an image.</span>
+                  </label>
+                </div>
+
+                {labelPrompt && (
+                  <div className="mt-3">
+                    <LabelPrompt
+                      key={labelPrompt.id}
+                      predictedMood={labelPrompt.predictedMood}
+                      onLabel={handleLabelSample}
+                      onSkip={() => setLabelPrompt(null)}
+                    />
+                  </div>
+                )}
               </div>
             </div>
           </div>
         </div>
 
         {/* History Section */}
-        {history.length > 0 && (
+        {(displayedHistory.length > 0 || hasHistoryFilters) && (
           <div className="row mt-4">
             <div className="col-12">
               <div className="card shadow border-0" style={{ background: '#1E1E1E', borderColor: '#4A148C' }}>
-                <div className="card-header text-white" style={{ background: '#311B92' }}>
-                  <h5 className="card-title mb-0">📊 Mood History</h5>
+                <div className="card-header text-white d-flex flex-wrap align-items-center gap-2" style={{ background: '#311B92' }}>
+                  <h5 className="card-title mb-0 me-auto">📊 Mood History</h5>
+                  {isLive && (
+                    <small title="Changes from your other tabs and devices appear here as they happen" style={{ color: '#A5D6A7' }}>
+                      ● Live
+                    </small>
+                  )}
+                  <select
+                    className="form-select form-select-sm w-auto text-capitalize"
+                    value={historyFilters.mood}
+                    onChange={(e) => setHistoryFilters(prev => ({ ...prev, mood: e.target.value }))}
+                    style={{ backgroundColor: '#2C2C2C', color: '#FFFFFF', border: '1px solid #6A1B9A' }}
+                  >
+                    <option value="">All moods</option>
+                    {MOODS.map(option => (
+                      <option key={option} value={option}>{getEmotionIcon(option)} {option}</option>
+                    ))}
+                  </select>
+                  <select
+                    className="form-select form-select-sm w-auto"
+                    aria-label="Filter by tag"
+                    value={historyFilters.tags}
+                    onChange={(e) => setHistoryFilters(prev => ({ ...prev, tags: e.target.value }))}
+                    style={{ backgroundColor: '#2C2C2C', color: '#FFFFFF', border: '1px solid #6A1B9A' }}
+                  >
+                    <option value="">All tags</option>
+                    {tags.map(tag => (
+                      <option key={tag.name} value={tag.name}>#{tag.name}</option>
+                    ))}
+                  </select>
+                  <form
+                    className="d-flex"
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      setHistoryFilters(prev => ({ ...prev, q: historySearch.trim() }));
+                    }}
+                  >
+                    <input
+                      type="search"
+                      className="form-control form-control-sm"
+                      placeholder="Search notes..."
+                      value={historySearch}
+                      onChange={(e) => setHistorySearch(e.target.value)}
+                      style={{ backgroundColor: '#2C2C2C', color: '#FFFFFF', border: '1px solid #6A1B9A' }}
+                    />
+                  </form>
                 </div>
-                <div className="card-body" style={{ maxHeight: '400px', overflowY: 'auto', backgroundColor: '#1E1E1E' }}>
+                <div ref={historyScrollRef} className="card-body" style={{ maxHeight: '400px', overflowY: 'auto', backgroundColor: '#1E1E1E' }}>
+                  {isHistoryOffline && (
+                    <p className="small mb-3" role="status" style={{ color: '#B39DDB' }}>
+                      📴 Can't reach the server. Showing the history saved on this device.
+                    </p>
+                  )}
                   <div className="row g-3">
-                    {history.map((log, index) => (
-                      <div key={index} className="col-md-6 col-lg-4">
-                        <div className="card h-100" style={{ 
-                          backgroundColor: '#2C2C2C', 
-                          borderWidth: '2px',
-                          borderStyle: 'solid',
-                          borderColor: log.mood === 'happy' ? '#8E24AA' : 
-                                       log.mood === 'sad' ? '#5E35B1' : 
-                                       log.mood === 'angry' ? '#D81B60' : 
-                                       log.mood === 'surprised' ? '#7B1FA2' : '#4527A0'
-                        }}>
-                          <div className="card-body">
-                            <div className="d-flex align-items-center mb-2">
-                              <span className="fs-4 me-2">{getEmotionIcon(log.mood)}</span>
-                              <h6 className="text-capitalize mb-0" style={{ 
-                                color: log.mood === 'happy' ? '#CE93D8' : 
-                                       log.mood === 'sad' ? '#B39DDB' : 
-                                       log.mood === 'angry' ? '#F48FB1' : 
-                                       log.mood === 'surprised' ? '#E1BEE7' : '#B388FF'
-                              }}>
-                                {log.mood}
-                              </h6>
-                            </div>
-                            
-                            {log.notes && (
-                              <p className="card-text mb-2" style={{ color: '#FFFFFF', fontSize: '14px' }}>
-                                "{log.notes}"
-                              </p>
-                            )}
-                            
-                            <div style={{ color: '#FFFFFF', fontSize: '14px' }}>
-                              <div>📅 {new Date(log.timestamp).toLocaleDateString()}</div>
-                              <div>🕐 {new Date(log.timestamp).toLocaleTimeString()}</div>
-                              <div className="mt-1">
-                                👤 {log.faceDetails ? '✅' : '❌'} | 
-                                ✋ {log.handDetails ? log.handDetails.handsDetected : 0}
-                              </div>
-                            </div>
-                          </div>
-                        </div>
+                    {displayedHistory.map((log) => (
+                      <div key={log._id} className="col-md-6 col-lg-4">
+                        <MoodHistoryCard log={log} tags={tags} onCreateTag={addTag} onUpdate={handleUpdateLog}
+                          onDelete={log.pending ? handleDiscardPending : handleDeleteLog} />
                       </div>
                     ))}
                   </div>
+                  {displayedHistory.length === 0 && !isLoadingHistory && (
+                    <p className="mb-0" style={{ color: '#B39DDB' }}>No entries match these filters.</p>
+                  )}
+                  <div ref={historySentinelRef} style={{ height: '1px' }} />
+                  {isLoadingHistory && (
+                    <div className="text-center mt-3">
+                      <span className="spinner-border spinner-border-sm" role="status" style={{ color: '#CE93D8' }}></span>
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
           </div>
         )}
       </div>
+
+      {isQuickLogOpen && <QuickLog onSave={handleQuickLog} onClose={onCloseQuickLog} />}
+
+      {notice && <Notice notice={notice} onDismiss={dismissNotice} />}
+
+      {/* Undo Delete Toast */}
+      {pendingDelete && (
+        <div className="toast show position-fixed bottom-0 end-0 m-3" role="status" aria-live="polite"
+          style={{ zIndex: 1080, background: '#1E1E1E', color: '#FFFFFF', border: '1px solid #9C27B0' }}>
+          <div className="toast-body d-flex align-items-center justify-content-between gap-3">
+            <span>
+              🗑️ Deleted <span className="text-capitalize">{pendingDelete.log.mood}</span> entry
+            </span>
+            <button className="btn btn-sm" onClick={handleUndoDelete}
+              style={{ marginTop: 0, backgroundColor: '#6A1B9A', color: '#FFFFFF', border: '1px solid #9C27B0' }}>
+              ↩️ Undo
+            </button>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,35 @@
+import React, { useEffect } from 'react';
+import { describeFields } from '../apiErrors';
+
+const SUCCESS_VISIBLE_MS = 3000;
+
+// Toast for the outcome of an action: a success that fades on its own, or an error with any field problems
+const Notice = ({ notice, onDismiss }) => {
+  useEffect(() => {
+    if (notice.type !== 'success') return undefined;
+    const timer = setTimeout(onDismiss, SUCCESS_VISIBLE_MS);
+    return () => clearTimeout(timer);
+  }, [notice, onDismiss]);
+
+  const isError = notice.type === 'error';
+  const problems = describeFields(notice.fields);
+
+  return (
+    <div className="toast show position-fixed bottom-0 start-0 m-3" role={isError ? 'alert' : 'status'} aria-live="polite"
+      style={{ zIndex: 1080, background: '#1E1E1E', color: '#FFFFFF', border: `1px solid ${isError ? '#D81B60' : '#388E3C'}` }}>
+      <div className="toast-body d-flex align-items-start justify-content-between gap-3">
+        <div>
+          <div style={{ color: isError ? '#F48FB1' : '#A5D6A7' }}>{isError ? '⚠️' : '✅'} {notice.message}</div>
+          {problems.length > 0 && (
+            <ul className="small mb-0 mt-1 ps-3" style={{ color: '#E1C4FF' }}>
+              {problems.map(problem => <li key={problem}>{problem}</li>)}
+            </ul>
+          )}
+        </div>
+        <button className="btn-close btn-close-white" aria-label="Dismiss" onClick={onDismiss} style={{ marginTop: 0 }}></button>
+      </div>
+    </div>
+  );
+};
+
+export default Notice;
@@ -0,0 +1,178 @@
+import React, { useEffect, useState } from 'react';
+import { getPrivacySettings, updatePrivacySettings, deleteAllData } from '../api';
+import { clearOutbox } from '../offline/outbox';
+import { clearCachedHistory } from '../offline/historyCache';
+
+const STORE_LEVELS = [
+  { id: 'mood', label: 'Mood only', description: 'Just the mood, notes and time. No emotion scores.' },
+  { id: 'scores', label: 'Mood and scores', description: 'Adds the emotion scores behind each reading.' },
+  { id: 'biometrics', label: 'Everything', description: 'Also keeps face and hand summaries: bounding box, confidence, handedness and gestures.' }
+];
+
+const RETENTION_OPTIONS = [
+  { value: 7, label: '7 days' },
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 365, label: '1 year' },
+  { value: null, label: 'Keep forever' }
+];
+
+const cardStyle = { background: '#1E1E1E', borderColor: '#4A148C' };
+const controlStyle = { backgroundColor: '#2C2C2C', color: '#FFFFFF', border: '1px solid #6A1B9A' };
+
+// What gets stored, for how long, and deleting everything
+const PrivacySettings = ({ token, userId, onBack, onLogout }) => {
+  const [settings, setSettings] = useState(null);
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState('');
+  const [confirmText, setConfirmText] = useState('');
+  const [deleteAccount, setDeleteAccount] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  useEffect(() => {
+    getPrivacySettings(token)
+      .then(setSettings)
+      .catch(err => {
+        if (err.status === 401) {
+          onLogout();
+          return;
+        }
+        setError(err.message);
+      });
+  }, [token, onLogout]);
+
+  const updateSettings = (changes) => {
+    setStatus('');
+    setError('');
+    updatePrivacySettings(token, changes)
+      .then(data => {
+        setSettings(data);
+        setStatus('Saved.');
+      })
+      .catch(err => setError(err.message));
+  };
+
+  const handleDeleteAll = () => {
+    setIsDeleting(true);
+    setError('');
+    deleteAllData(token, { account: deleteAccount })
+      // Moods queued offline would otherwise sync back afterwards
+      .then(data => Promise.all([clearOutbox(userId), clearCachedHistory()]).then(() => data))
+      .then(data => {
+        if (deleteAccount) {
+          onLogout();
+          return;
+        }
+        setConfirmText('');
+        setStatus(`Deleted ${data.deleted.moodLogs} mood entries, ${data.deleted.tags} tags, your calibration and ${data.deleted.labelledSamples} labelled samples.`);
+      })
+      .catch(err => setError(err.message))
+      .finally(() => setIsDeleting(false));
+  };
+
+  return (
+    <div className="container-fluid py-4" style={{ 
+      background: 'linear-gradient(135deg, #0D0221 0%, #190B33 50%, #240D57 100%)', 
+      minHeight: '100vh', 
+      color: '#E1C4FF'
+    }}>
+      <div className="container">
+        <div className="d-flex flex-wrap align-items-center gap-3 mb-4">
+          <h1 className="display-6 fw-bold mb-0 me-auto" style={{ color: '#FFFFFF' }}>🔒 Privacy</h1>
+          <button className="btn" onClick={onBack}
+            style={{ marginTop: 0, background: '#4A148C', color: '#FFFFFF', borderColor: '#6A1B9A' }}>
+            ← Back to Tracker
+          </button>
+        </div>
+
+        {error && (
+          <div className="alert" role="alert" style={{ background: '#1E1E1E', color: '#F48FB1', border: '1px solid #D81B60' }}>
+            {error}
+          </div>
+        )}
+        {status && (
+          <div className="alert" role="status" style={{ background: '#1E1E1E', color: '#A5D6A7', border: '1px solid #388E3C' }}>
+            {status}
+          </div>
+        )}
+
+        {!settings ? (
+          !error && (
+            <div className="text-center py-5">
+              <span className="spinner-border" role="status" style={{ color: '#CE93D8' }}></span>
+            </div>
+          )
+        ) : (
+          <>
+            <div className="card shadow border-0 mb-4" style={cardStyle}>
+              <div className="card-header text-white" style={{ background: '#4A148C' }}>
+                <h5 className="card-title mb-0">What gets stored</h5>
+              </div>
+              <div className="card-body">
+                {STORE_LEVELS.map(level => (
+                  <div key={level.id} className="form-check mb-2">
+                    <input className="form-check-input" type="radio" name="storeLevel" id={`storeLevel-${level.id}`}
+                      checked={settings.storeLevel === level.id}
+                      onChange={() => updateSettings({ storeLevel: level.id })} />
+                    <label className="form-check-label" htmlFor={`storeLevel-${level.id}`} style={{ color: '#FFFFFF' }}>
+                      {level.label}
+                      <div style={{ color: '#B39DDB', fontSize: '13px' }}>{level.description}</div>
+                    </label>
+                  </div>
+                ))}
+                <small style={{ color: '#B39DDB' }}>Applies to entries saved from now on. Camera images are never stored.</small>
+              </div>
+            </div>
+
+            <div className="card shadow border-0 mb-4" style={cardStyle}>
+              <div className="card-header text-white" style={{ background: '#4A148C' }}>
+                <h5 className="card-title mb-0">Keep face and hand details for</h5>
+              </div>
+              <div className="card-body">
+                <select
+                  className="form-select w-auto"
+                  aria-label="Retention period"
+                  value={settings.retentionDays === null ? '' : settings.retentionDays}
+                  onChange={(e) => updateSettings({ retentionDays: e.target.value === '' ? null : Number(e.target.value) })}
+                  style={controlStyle}
+                >
+                  {RETENTION_OPTIONS.map(option => (
+                    <option key={option.label} value={option.value === null ? '' : option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <small className="d-block mt-2" style={{ color: '#B39DDB' }}>
+                  After this, face and hand details are removed automatically. Moods, notes and scores are kept.
+                </small>
+              </div>
+            </div>
+          </>
+        )}
+
+        <div className="card shadow border-0" style={{ ...cardStyle, border: '1px solid #D32F2F' }}>
+          <div className="card-header text-white" style={{ background: '#B71C1C' }}>
+            <h5 className="card-title mb-0">Delete all my data</h5>
+          </div>
+          <div className="card-body">
+            <p>Permanently deletes every mood entry, your tags, your calibration and any labelled samples. This can't be undone.</p>
+            <div className="form-check mb-3">
+              <input className="form-check-input" type="checkbox" id="deleteAccount"
+                checked={deleteAccount} onChange={(e) => setDeleteAccount(e.target.checked)} />
+              <label className="form-check-label" htmlFor="deleteAccount">Delete my account too</label>
+            </div>
+            <label htmlFor="confirmDelete" className="form-label">Type <strong>DELETE</strong> to confirm</label>
+            <div className="d-flex gap-2">
+              <input id="confirmDelete" className="form-control w-auto" value={confirmText}
+                onChange={(e) => setConfirmText(e.target.value)} style={controlStyle} />
+              <button className="btn btn-danger" onClick={handleDeleteAll}
+                disabled={confirmText !== 'DELETE' || isDeleting} style={{ marginTop: 0 }}>
+                {isDeleting ? 'Deleting...' : '🗑️ Delete everything'}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PrivacySettings;
@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import { MOODS, getEmotionIcon, getMoodBorderColor } from '../emotions';
+
+const buttonStyle = { marginTop: 0, backgroundColor: '#7B1FA2', color: 'white', border: '1px solid #9C27B0' };
+
+// The one-tap mood log a check-in reminder opens; onSave resolves once the mood is stored
+const QuickLog = ({ onSave, onClose }) => {
+  const [mood, setMood] = useState('');
+  const [notes, setNotes] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSave = () => {
+    setIsSaving(true);
+    onSave({ mood, notes }).finally(() => setIsSaving(false));
+  };
+
+  return (
+    <div className="position-fixed top-0 start-0 w-100 h-100 d-flex align-items-center justify-content-center p-3"
+      style={{ background: 'rgba(13, 2, 33, 0.85)', zIndex: 1060 }}>
+      <div className="card shadow border-0" role="dialog" aria-modal="true" aria-labelledby="quickLogTitle"
+        style={{ background: '#1E1E1E', borderColor: '#4A148C', maxWidth: '480px', width: '100%' }}>
+        <div className="card-header text-white" style={{ background: '#6A1B9A' }}>
+          <h5 id="quickLogTitle" className="card-title mb-0">How are you feeling?</h5>
+        </div>
+        <div className="card-body" style={{ color: '#FFFFFF' }}>
+          <div className="d-flex flex-wrap gap-2 mb-3">
+            {MOODS.map(option => (
+              <button key={option} className="btn btn-sm text-capitalize" aria-pressed={mood === option}
+                onClick={() => setMood(option)}
+                style={{
+                  marginTop: 0,
+                  color: '#FFFFFF',
+                  backgroundColor: mood === option ? '#4A148C' : '#2C2C2C',
+                  border: `2px solid ${mood === option ? getMoodBorderColor(option) : '#6A1B9A'}`
+                }}>
+                {getEmotionIcon(option)} {option}
+              </button>
+            ))}
+          </div>
+          <textarea
+            className="form-control form-control-sm mb-3"
+            rows="2"
+            placeholder="Anything on your mind? (optional)"
+            aria-label="Notes"
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            style={{ width: '100%', height: 'auto', backgroundColor: '#2C2C2C', color: '#FFFFFF', border: '1px solid #6A1B9A' }}
+          />
+          <div className="d-flex gap-2">
+            <button className="btn" onClick={handleSave} disabled={!mood || isSaving} style={buttonStyle}>
+              {isSaving ? 'Saving...' : '💾 Log mood'}
+            </button>
+            <button className="btn btn-outline-light" onClick={onClose} disabled={isSaving} style={{ marginTop: 0 }}>
+              Not now
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QuickLog;
@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import { updateReminders } from '../api';
+import { showCheckIn } from '../reminders/checkIn';
+import { getServiceWorker } from '../reminders/useCheckInReminders';
+
+const MAX_TIMES = 6;
+// Offered in turn by "Add a time", skipping ones already set
+const SUGGESTED_TIMES = ['09:00', '13:00', '18:00', '21:00', '07:00', '11:00', '15:00'];
+
+// Monday first, like the dashboard; values are JavaScript's getDay()
+const WEEKDAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' }
+];
+
+const cardStyle = { background: '#1E1E1E', borderColor: '#4A148C' };
+const controlStyle = { backgroundColor: '#2C2C2C', color: '#FFFFFF', border: '1px solid #6A1B9A' };
+const buttonStyle = { marginTop: 0, backgroundColor: '#7B1FA2', color: 'white', border: '1px solid #9C27B0' };
+
+const notificationsSupported = typeof Notification !== 'undefined';
+
+// Ask for notification permission if we haven't yet; resolves with whether we have it
+const ensurePermission = () => {
+  if (!notificationsSupported) return Promise.resolve(false);
+  if (Notification.permission !== 'default') return Promise.resolve(Notification.permission === 'granted');
+  return Notification.requestPermission().then(permission => permission === 'granted');
+};
+
+// When to be asked "How are you feeling?", saved to the account so every device uses it
+const ReminderSettings = ({ token, reminders, onChange, onBack, onLogout }) => {
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState('');
+  const [permission, setPermission] = useState(notificationsSupported ? Notification.permission : 'unsupported');
+
+  const saveChanges = (changes) => {
+    setStatus('');
+    setError('');
+    updateReminders(token, changes)
+      .then(data => {
+        onChange(data);
+        setStatus('Saved.');
+      })
+      .catch(err => {
+        if (err.status === 401) {
+          onLogout();
+          return;
+        }
+        setError(err.message);
+      });
+  };
+
+  const handleToggle = (enabled) => {
+    if (!enabled) {
+      saveChanges({ enabled });
+      return;
+    }
+    ensurePermission().then(() => {
+      setPermission(notificationsSupported ? Notification.permission : 'unsupported');
+      saveChanges({ enabled });
+    });
+  };
+
+  const changeTime = (index, value) => {
+    if (!value) return;
+    saveChanges({ times: reminders.times.map((time, i) => (i === index ? value : time)) });
+  };
+
+  const toggleDay = (day) => {
+    const days = reminders.days.includes(day) ? reminders.days.filter(d => d !== day) : [...reminders.days, day];
+    saveChanges({ days });
+  };
+
+  const handleTest = () => {
+    setError('');
+    ensurePermission()
+      .then(granted => {
+        setPermission(notificationsSupported ? Notification.permission : 'unsupported');
+        if (!granted) return;
+        return getServiceWorker().then(showCheckIn);
+      })
+      .catch(err => setError(err.message));
+  };
+
+  return (
+    <div className="container-fluid py-4" style={{
+      background: 'linear-gradient(135deg, #0D0221 0%, #190B33 50%, #240D57 100%)',
+      minHeight: '100vh',
+      color: '#E1C4FF'
+    }}>
+      <div className="container">
+        <div className="d-flex flex-wrap align-items-center gap-3 mb-4">
+          <h1 className="display-6 fw-bold mb-0 me-auto" style={{ color: '#FFFFFF' }}>🔔 Reminders</h1>
+          <button className="btn" onClick={onBack}
+            style={{ marginTop: 0, background: '#4A148C', color: '#FFFFFF', borderColor: '#6A1B9A' }}>
+            ← Back to Tracker
+          </button>
+        </div>
+
+        {error && (
+          <div className="alert" role="alert" style={{ background: '#1E1E1E', color: '#F48FB1', border: '1px solid #D81B60' }}>
+            {error}
+          </div>
+        )}
+        {status && (
+          <div className="alert" role="status" style={{ background: '#1E1E1E', color: '#A5D6A7', border: '1px solid #388E3C' }}>
+            {status}
+          </div>
+        )}
+        {reminders && reminders.enabled && permission !== 'granted' && (
+          <div className="alert" role="alert" style={{ background: '#1E1E1E', color: '#FFCC80', border: '1px solid #F57C00' }}>
+            {permission === 'unsupported'
+              ? "This browser can't show notifications, so reminders won't appear here."
+              : 'Notifications are blocked for this site. Allow them in your browser settings to get reminders on this device.'}
+          </div>
+        )}
+
+        {!reminders ? (
+          <div className="text-center py-5">
+            <span className="spinner-border" role="status" style={{ color: '#CE93D8' }}></span>
+          </div>
+        ) : (
+          <div className="card shadow border-0" style={cardStyle}>
+            <div className="card-header text-white" style={{ background: '#4A148C' }}>
+              <h5 className="card-title mb-0">Daily check-ins</h5>
+            </div>
+            <div className="card-body" style={{ color: '#FFFFFF' }}>
+              <div className="form-check form-switch mb-3">
+                <input className="form-check-input" type="checkbox" role="switch" id="remindersEnabled"
+                  checked={reminders.enabled} onChange={(e) => handleToggle(e.target.checked)} />
+                <label className="form-check-label" htmlFor="remindersEnabled">
+                  Remind me to log how I'm feeling
+                </label>
+              </div>
+
+              <fieldset disabled={!reminders.enabled}>
+                <h6>At</h6>
+                <div className="d-flex flex-wrap gap-2 mb-3">
+                  {reminders.times.map((time, index) => (
+                    <div key={time} className="input-group input-group-sm w-auto">
+                      <input type="time" className="form-control" aria-label={`Reminder ${index + 1}`}
+                        defaultValue={time} onBlur={(e) => e.target.value !== time && changeTime(index, e.target.value)}
+                        style={controlStyle} />
+                      <button className="btn btn-outline-light" title="Remove time" style={{ marginTop: 0 }}
+                        disabled={reminders.times.length === 1}
+                        onClick={() => saveChanges({ times: reminders.times.filter((_, i) => i !== index) })}>
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                  {reminders.times.length < MAX_TIMES && (
+                    <button className="btn btn-sm" style={buttonStyle}
+                      onClick={() => saveChanges({
+                        times: [...reminders.times, SUGGESTED_TIMES.find(time => !reminders.times.includes(time))]
+                      })}>
+                      + Add a time
+                    </button>
+                  )}
+                </div>
+
+                <h6>On</h6>
+                <div className="mb-3">
+                  {WEEKDAYS.map(day => (
+                    <div key={day.value} className="form-check form-check-inline">
+                      <input className="form-check-input" type="checkbox" id={`reminderDay-${day.value}`}
+                        checked={reminders.days.includes(day.value)} onChange={() => toggleDay(day.value)} />
+                      <label className="form-check-label" htmlFor={`reminderDay-${day.value}`}>{day.label}</label>
+                    </div>
+                  ))}
+                </div>
+              </fieldset>
+
+              <button className="btn btn-sm" onClick={handleTest} style={buttonStyle} disabled={!notificationsSupported}>
+                🔔 Send a test reminder
+              </button>
+              <small className="d-block mt-3" style={{ color: '#B39DDB' }}>
+                Times are in this device's timezone. Reminders appear while the app is open; install it
+                (Chrome or Edge) to also get them when it's closed. Tapping one opens a quick mood log.
+              </small>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReminderSettings;
@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { sameTagName } from '../tags/useTags';
+
+const MAX_TAG_LENGTH = 40;
+
+const controlStyle = { backgroundColor: '#2C2C2C', color: '#FFFFFF', border: '1px solid #6A1B9A' };
+
+const chipStyle = (isSelected) => ({
+  marginTop: 0,
+  color: '#FFFFFF',
+  backgroundColor: isSelected ? '#7B1FA2' : '#2C2C2C',
+  border: `1px solid ${isSelected ? '#E1BEE7' : '#6A1B9A'}`
+});
+
+/*
+ * Toggle tags and activities on an entry, or add new ones. With onRename and
+ * onDelete it also offers managing the vocabulary itself.
+ */
+const TagPicker = ({ tags, selected, onChange, onCreate, onRename, onDelete }) => {
+  const [newTag, setNewTag] = useState('');
+  const [isManaging, setIsManaging] = useState(false);
+  const [error, setError] = useState('');
+
+  const isSelected = (name) => selected.some(entry => sameTagName(entry, name));
+
+  const toggle = (name) => {
+    onChange(isSelected(name) ? selected.filter(entry => !sameTagName(entry, name)) : [...selected, name]);
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const name = newTag.trim();
+    if (!name) return;
+    if (name.includes(',')) {
+      setError("Tags can't contain commas.");
+      return;
+    }
+
+    setError('');
+    onCreate(name)
+      .then(created => {
+        setNewTag('');
+        if (!isSelected(created)) onChange([...selected, created]);
+      })
+      .catch(err => setError(err.message));
+  };
+
+  const handleRename = (tag, input) => {
+    const name = input.value.trim();
+    if (!name || name === tag.name) {
+      input.value = tag.name;
+      return;
+    }
+    setError('');
+    onRename(tag, name).catch(err => {
+      input.value = tag.name;
+      setError(err.message);
+    });
+  };
+
+  const handleDelete = (tag) => {
+    const usage = tag.count > 0 ? ` It will be removed from ${tag.count} ${tag.count === 1 ? 'entry' : 'entries'}.` : '';
+    if (!window.confirm(`Delete the tag "${tag.name}"?${usage}`)) return;
+    setError('');
+    onDelete(tag).catch(err => setError(err.message));
+  };
+
+  const canManage = Boolean(onRename && onDelete);
+
+  return (
+    <div>
+      {isManaging ? (
+        <div className="d-flex flex-column gap-2 mb-2">
+          {tags.filter(tag => tag._id).map(tag => (
+            <div key={tag._id} className="input-group input-group-sm">
+              <input type="text" className="form-control" aria-label={`Rename ${tag.name}`} maxLength={MAX_TAG_LENGTH}
+                defaultValue={tag.name} onBlur={(e) => handleRename(tag, e.target)} style={controlStyle} />
+              <span className="input-group-text" style={{ ...controlStyle, color: '#B39DDB' }}>
+                {tag.count} {tag.count === 1 ? 'entry' : 'entries'}
+              </span>
+              <button className="btn btn-outline-light" title={`Delete ${tag.name}`} onClick={() => handleDelete(tag)}
+                style={{ marginTop: 0 }}>
+                🗑️
+              </button>
+            </div>
+          ))}
+          {tags.length === 0 && <small style={{ color: '#B39DDB' }}>No tags yet.</small>}
+        </div>
+      ) : (
+        <div className="d-flex flex-wrap gap-2 mb-2">
+          {tags.map(tag => (
+            <button key={tag.name} className="btn btn-sm" aria-pressed={isSelected(tag.name)}
+              onClick={() => toggle(tag.name)} style={chipStyle(isSelected(tag.name))}>
+              #{tag.name}
+            </button>
+          ))}
+          {/* Tags on the entry that aren't in the vocabulary any more */}
+          {selected.filter(name => !tags.some(tag => sameTagName(tag.name, name))).map(name => (
+            <button key={name} className="btn btn-sm" aria-pressed="true" onClick={() => toggle(name)}
+              style={chipStyle(true)}>
+              #{name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="d-flex flex-wrap align-items-center gap-2">
+        {!isManaging && (
+          <form className="input-group input-group-sm w-auto" onSubmit={handleAdd}>
+            <input type="text" className="form-control" placeholder="New tag, e.g. exercise" aria-label="New tag"
+              maxLength={MAX_TAG_LENGTH} value={newTag} onChange={(e) => setNewTag(e.target.value)} style={controlStyle} />
+            <button type="submit" className="btn" disabled={!newTag.trim()}
+              style={{ marginTop: 0, backgroundColor: '#7B1FA2', color: 'white', border: '1px solid #9C27B0' }}>
+              + Add
+            </button>
+          </form>
+        )}
+        {canManage && (
+          <button className="btn btn-sm btn-link p-0" onClick={() => setIsManaging(managing => !managing)}
+            style={{ marginTop: 0, color: '#CE93D8' }}>
+            {isManaging ? 'Done' : '✏️ Manage tags'}
+          </button>
+        )}
+      </div>
+      {error && <div className="mt-1" style={{ color: '#F48FB1', fontSize: '13px' }}>{error}</div>}
+    </div>
+  );
+};
+
+export default TagPicker;
@@ -0,0 +1,68 @@
+import React from 'react';
+import { getDominantMood, getEmotionChartColor, getEmotionIcon } from '../../emotions';
+
+const CELL = 14;
+const GAP = 3;
+const WEEKDAY_LABELS = ['Mon', '', 'Wed', '', 'Fri', '', 'Sun'];
+
+// Local YYYY-MM-DD, matching the day labels the stats endpoint returns
+const toDayLabel = (date) => date.toLocaleDateString('en-CA');
+
+// Grid of weeks (columns) by weekday (rows), each day coloured by its dominant mood
+const CalendarHeatmap = ({ buckets, days = 91 }) => {
+  const byDay = new Map(buckets.map(bucket => [bucket.label, bucket]));
+  const maxCount = Math.max(1, ...buckets.map(bucket => bucket.count));
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const start = new Date(today);
+  start.setDate(start.getDate() - days + 1);
+  // Start on a Monday so every column is a full week
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+
+  const cells = [];
+  for (let date = new Date(start), i = 0; date <= today; date.setDate(date.getDate() + 1), i++) {
+    const label = toDayLabel(date);
+    const bucket = byDay.get(label);
+    const mood = bucket ? getDominantMood(bucket.moodCounts) : null;
+    cells.push({
+      label,
+      x: Math.floor(i / 7) * (CELL + GAP) + 30,
+      y: (i % 7) * (CELL + GAP),
+      mood,
+      count: bucket ? bucket.count : 0
+    });
+  }
+
+  const weeks = Math.ceil(cells.length / 7);
+  const width = weeks * (CELL + GAP) + 30;
+  const height = 7 * (CELL + GAP);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-100" style={{ maxHeight: '180px' }} role="img" aria-label="Dominant mood per day">
+      {WEEKDAY_LABELS.map((day, row) => (
+        <text key={row} x={0} y={row * (CELL + GAP) + CELL - 3} fontSize="9" fill="#B39DDB">{day}</text>
+      ))}
+      {cells.map(cell => (
+        <rect
+          key={cell.label}
+          x={cell.x}
+          y={cell.y}
+          width={CELL}
+          height={CELL}
+          rx={3}
+          fill={cell.mood ? getEmotionChartColor(cell.mood) : '#2C2C2C'}
+          fillOpacity={cell.mood ? 0.4 + 0.6 * (cell.count / maxCount) : 1}
+        >
+          <title>
+            {cell.mood
+              ? `${cell.label}: ${getEmotionIcon(cell.mood)} ${cell.mood} (${cell.count} ${cell.count === 1 ? 'entry' : 'entries'})`
+              : `${cell.label}: no entries`}
+          </title>
+        </rect>
+      ))}
+    </svg>
+  );
+};
+
+export default CalendarHeatmap;
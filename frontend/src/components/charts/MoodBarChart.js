@@ -0,0 +1,41 @@
+import React from 'react';
+import { MOODS, getEmotionChartColor } from '../../emotions';
+
+const WIDTH = 600;
+const HEIGHT = 180;
+const PADDING = { top: 10, right: 10, bottom: 22, left: 10 };
+
+// Stacked bars of mood counts, one bar per slot (e.g. hour of day or weekday)
+const MoodBarChart = ({ slots, label }) => {
+  const maxCount = Math.max(1, ...slots.map(slot => slot.count));
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const slotWidth = (WIDTH - PADDING.left - PADDING.right) / slots.length;
+  const barWidth = slotWidth * 0.7;
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-100" role="img" aria-label={label}>
+      {slots.map((slot, i) => {
+        const x = PADDING.left + i * slotWidth + (slotWidth - barWidth) / 2;
+        let y = PADDING.top + plotHeight;
+        return (
+          <g key={slot.key}>
+            {MOODS.filter(mood => slot.moodCounts[mood]).map(mood => {
+              const height = (slot.moodCounts[mood] / maxCount) * plotHeight;
+              y -= height;
+              return (
+                <rect key={mood} x={x} y={y} width={barWidth} height={height} fill={getEmotionChartColor(mood)}>
+                  <title>{`${slot.label}: ${slot.moodCounts[mood]} ${mood}`}</title>
+                </rect>
+              );
+            })}
+            <text x={x + barWidth / 2} y={HEIGHT - 6} fontSize="10" fill="#B39DDB" textAnchor="middle">
+              {slot.label}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default MoodBarChart;
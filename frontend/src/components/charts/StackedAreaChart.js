@@ -0,0 +1,66 @@
+import React from 'react';
+import { MOODS, getEmotionChartColor } from '../../emotions';
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 34 };
+
+// Share of each emotion over time, from the per-bucket averages of the stats endpoint
+const StackedAreaChart = ({ buckets, emotions = MOODS }) => {
+  if (buckets.length < 2) {
+    return <p className="mb-0" style={{ color: '#B39DDB' }}>Log moods on at least two days to see trends.</p>;
+  }
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (i) => PADDING.left + (i / (buckets.length - 1)) * plotWidth;
+  const y = (value) => PADDING.top + (1 - value) * plotHeight;
+
+  // Normalise each bucket so the stack always fills 0-100%
+  const shares = buckets.map(bucket => {
+    const averages = bucket.emotionAverages || {};
+    const total = emotions.reduce((sum, emotion) => sum + (averages[emotion] || 0), 0) || 1;
+    return emotions.map(emotion => (averages[emotion] || 0) / total);
+  });
+
+  const baselines = shares.map(() => 0);
+  const layers = emotions.map((emotion, layer) => {
+    const lower = baselines.slice();
+    shares.forEach((share, i) => {
+      baselines[i] += share[layer];
+    });
+    const upper = baselines.slice();
+
+    const top = upper.map((value, i) => `${x(i)},${y(value)}`);
+    const bottom = lower.map((value, i) => `${x(i)},${y(value)}`).reverse();
+    return { emotion, points: [...top, ...bottom].join(' ') };
+  });
+
+  // Label roughly six dates along the x axis
+  const labelStep = Math.max(1, Math.ceil(buckets.length / 6));
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-100" role="img" aria-label="Emotion distribution over time">
+      {[0, 0.5, 1].map(tick => (
+        <g key={tick}>
+          <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(tick)} y2={y(tick)} stroke="#333" />
+          <text x={PADDING.left - 6} y={y(tick) + 3} fontSize="10" fill="#B39DDB" textAnchor="end">
+            {tick * 100}%
+          </text>
+        </g>
+      ))}
+      {layers.map(layer => (
+        <polygon key={layer.emotion} points={layer.points} fill={getEmotionChartColor(layer.emotion)} fillOpacity={0.8}>
+          <title>{layer.emotion}</title>
+        </polygon>
+      ))}
+      {buckets.map((bucket, i) => (i % labelStep === 0 || i === buckets.length - 1) && (
+        <text key={bucket.label} x={x(i)} y={HEIGHT - 6} fontSize="10" fill="#B39DDB" textAnchor="middle">
+          {bucket.label.slice(5)}
+        </text>
+      ))}
+    </svg>
+  );
+};
+
+export default StackedAreaChart;
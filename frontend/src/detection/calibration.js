@@ -0,0 +1,132 @@
+// Face measurements normalized by inter-ocular distance, and scoring against a user's calibrated baselines
+
+// Bump when the features below change so baselines recorded with the old set are ignored
+export const FEATURE_VERSION = 1;
+
+// The faces the calibration wizard asks for, in order; neutral is the baseline for the rest
+export const CALIBRATION_POSES = [
+  { id: 'neutral', label: 'Neutral', icon: '😐', instruction: 'Relax your face and look at the camera.' },
+  { id: 'happy', label: 'Smile', icon: '😊', instruction: 'Give a big, natural smile.' },
+  { id: 'sad', label: 'Frown', icon: '😢', instruction: 'Pull the corners of your mouth down into a frown.' },
+  { id: 'surprised', label: 'Surprised', icon: '😲', instruction: 'Raise your eyebrows, open your eyes wide and drop your jaw.' }
+];
+
+// Face mesh landmark indices
+const POINTS = {
+  rightEyeOuter: 33,
+  leftEyeOuter: 263,
+  mouthLeft: 61,
+  mouthRight: 291,
+  upperLip: 13,
+  lowerLip: 14,
+  rightEyeTop: 159,
+  rightEyeBottom: 145,
+  leftEyeTop: 386,
+  leftEyeBottom: 374,
+  rightBrowMid: 105,
+  leftBrowMid: 334,
+  rightBrowInner: 55,
+  leftBrowInner: 285
+};
+
+const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+
+// Distance between the outer eye corners, used as the face's unit of length
+export const interocularDistance = (landmarks) => {
+  return distance(landmarks[POINTS.rightEyeOuter], landmarks[POINTS.leftEyeOuter]);
+};
+
+/*
+ * Measurements that describe an expression, each divided by the inter-ocular distance
+ * so they don't change with face size or distance from the camera. Returns null when
+ * the landmarks don't cover a full face mesh.
+ */
+export const extractFaceFeatures = (landmarks) => {
+  if (!landmarks || landmarks.length < 468) return null;
+
+  const p = (name) => landmarks[POINTS[name]];
+  const unit = interocularDistance(landmarks);
+  if (!unit) return null;
+
+  const lipCenterY = (p('upperLip')[1] + p('lowerLip')[1]) / 2;
+  const cornerY = (p('mouthLeft')[1] + p('mouthRight')[1]) / 2;
+
+  return {
+    mouthWidth: distance(p('mouthLeft'), p('mouthRight')) / unit,
+    mouthOpen: distance(p('upperLip'), p('lowerLip')) / unit,
+    // Positive when the mouth corners sit above the middle of the lips (image y grows downwards)
+    cornerLift: (lipCenterY - cornerY) / unit,
+    browHeight: (Math.abs(p('rightBrowMid')[1] - p('rightEyeTop')[1]) +
+      Math.abs(p('leftBrowMid')[1] - p('leftEyeTop')[1])) / 2 / unit,
+    browGap: distance(p('rightBrowInner'), p('leftBrowInner')) / unit,
+    eyeOpen: (distance(p('rightEyeTop'), p('rightEyeBottom')) +
+      distance(p('leftEyeTop'), p('leftEyeBottom'))) / 2 / unit
+  };
+};
+
+// Mean of each feature over a list of feature objects
+export const averageFeatures = (samples) => {
+  const valid = samples.filter(Boolean);
+  if (valid.length === 0) return null;
+  const totals = {};
+  valid.forEach(features => {
+    Object.entries(features).forEach(([key, value]) => {
+      totals[key] = (totals[key] || 0) + value;
+    });
+  });
+  Object.keys(totals).forEach(key => {
+    totals[key] /= valid.length;
+  });
+  return totals;
+};
+
+export const isUsableCalibration = (calibration) => {
+  return Boolean(calibration && calibration.featureVersion === FEATURE_VERSION &&
+    calibration.poses && calibration.poses.neutral);
+};
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// How far the face has moved from neutral toward a calibrated pose: 0 at neutral, 1 at the pose
+const poseActivation = (features, neutral, pose) => {
+  let dot = 0;
+  let norm = 0;
+  Object.keys(neutral).forEach(key => {
+    const direction = pose[key] - neutral[key];
+    dot += (features[key] - neutral[key]) * direction;
+    norm += direction * direction;
+  });
+  return norm > 0 ? clamp01(dot / norm) : 0;
+};
+
+/*
+ * Emotion scores from features and a calibration ({ featureVersion, poses }).
+ * Each calibrated pose scores by how close the face is to it relative to neutral;
+ * anger isn't part of the wizard, so it comes from brows lowering and drawing
+ * together compared with the neutral baseline. Scores sum to 1 with no built-in bias.
+ */
+export const scoreWithCalibration = (features, calibration) => {
+  const { neutral } = calibration.poses;
+  const activation = (pose) => (calibration.poses[pose] ? poseActivation(features, neutral, calibration.poses[pose]) : 0);
+
+  const browLowered = (neutral.browHeight - features.browHeight) / (neutral.browHeight || 1);
+  const browsDrawn = (neutral.browGap - features.browGap) / (neutral.browGap || 1);
+
+  const emotions = {
+    happy: activation('happy'),
+    sad: activation('sad'),
+    surprised: activation('surprised'),
+    angry: clamp01(0.6 * (browLowered / 0.2) + 0.4 * (browsDrawn / 0.1))
+  };
+  emotions.neutral = 1 - Math.max(...Object.values(emotions));
+
+  // A small floor keeps every emotion in play for the smoother
+  Object.keys(emotions).forEach(key => {
+    emotions[key] += 0.02;
+  });
+  const total = Object.values(emotions).reduce((sum, value) => sum + value, 0);
+  Object.keys(emotions).forEach(key => {
+    emotions[key] /= total;
+  });
+  return emotions;
+};
@@ -0,0 +1,24 @@
+import { interocularDistance } from './calibration';
+
+// Face mesh indices of the outer eye corners
+const RIGHT_EYE_OUTER = 33;
+const LEFT_EYE_OUTER = 263;
+
+/*
+ * Strip a face mesh down to its shape for the labelled dataset: points are centred
+ * between the outer eye corners and measured in inter-ocular distances, so where the
+ * face was in the frame and how big it appeared are not kept. Rounded to 4 places.
+ */
+export const anonymizeLandmarks = (landmarks) => {
+  if (!landmarks || landmarks.length < 468) return null;
+
+  const unit = interocularDistance(landmarks);
+  if (!unit) return null;
+
+  const right = landmarks[RIGHT_EYE_OUTER];
+  const left = landmarks[LEFT_EYE_OUTER];
+  const origin = [(right[0] + left[0]) / 2, (right[1] + left[1]) / 2, ((right[2] || 0) + (left[2] || 0)) / 2];
+  const round = (value) => Math.round(value * 10000) / 10000;
+
+  return landmarks.map(point => point.map((value, axis) => round((value - origin[axis]) / unit)));
+};
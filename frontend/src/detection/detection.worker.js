@@ -0,0 +1,42 @@
+/* eslint-disable no-restricted-globals */
+import { createLocalDetector } from './detectors';
+
+// Runs one camera detector off the main thread; see workerClient.js for the other side
+let detector = null;
+// Calibration can arrive while the detector's code is still loading
+let calibration = null;
+
+self.onmessage = async ({ data }) => {
+  if (data.type === 'load') {
+    try {
+      detector = await createLocalDetector(data.detectorId);
+      if (calibration && detector.setCalibration) {
+        detector.setCalibration(calibration);
+      }
+      await detector.load();
+      self.postMessage({ type: 'loaded' });
+    } catch (err) {
+      self.postMessage({ type: 'error', message: err.message, code: err.code });
+    }
+    return;
+  }
+
+  if (data.type === 'calibrate') {
+    calibration = data.calibration;
+    if (detector && detector.setCalibration) {
+      detector.setCalibration(data.calibration);
+    }
+    return;
+  }
+
+  if (data.type === 'detect') {
+    try {
+      const result = await detector.detect(data.frame);
+      self.postMessage({ type: 'result', requestId: data.requestId, result });
+    } catch (err) {
+      self.postMessage({ type: 'error', requestId: data.requestId, message: err.message });
+    } finally {
+      data.frame.close();
+    }
+  }
+};
@@ -0,0 +1,48 @@
+import { createManualDetector } from './manualDetector';
+
+/*
+ * Every detector has the same shape:
+ *   id        - stored with each saved mood log
+ *   load()    - fetch whatever models it needs
+ *   dispose() - optional, release models or workers
+ *   setCalibration(calibration) - optional, per-user baselines (see calibration.js)
+ *   detect(frame) -> Promise<{ emotionScores, faceDetails, handDetails, overlay, features? }>
+ * where emotionScores is null when nothing could be read from the frame and
+ * overlay holds the face/hand points and face box to draw, if any. features are the
+ * normalized face measurements used for calibration. frame is a video element or an
+ * ImageBitmap.
+ */
+export const DETECTORS = [
+  {
+    id: 'landmarks',
+    label: '📐 Landmark analysis',
+    description: 'Rule-based scoring of 468 face mesh points. Fast, five moods.',
+    usesWorker: true,
+    calibrates: true,
+    create: () => import('./landmarkDetector').then(module => module.createLandmarkDetector())
+  },
+  {
+    id: 'expressionModel',
+    label: '🧠 Expression model',
+    description: 'face-api.js neural network trained on the seven standard expressions.',
+    usesWorker: true,
+    create: () => import('./expressionDetector').then(module => module.createExpressionDetector())
+  },
+  {
+    id: 'manual',
+    label: '✍️ Manual',
+    description: 'Camera analysis off. Pick your mood and set intensities yourself.',
+    usesWorker: false,
+    create: async () => createManualDetector()
+  }
+];
+
+/*
+ * Create a detector that runs on the calling thread. Resolves once its code is loaded:
+ * the camera detectors are split into their own chunks so tfjs and face-api are only
+ * downloaded when one of them actually runs here.
+ */
+export const createLocalDetector = (id) => {
+  const entry = DETECTORS.find(detector => detector.id === id) || DETECTORS[0];
+  return entry.create();
+};
@@ -0,0 +1,48 @@
+import { loadHandModel } from './models';
+import { loadExpressionModel, detectExpressions } from './faceApi';
+import { describeHands, handLandmarks } from './hands';
+
+// face-api.js expression network for the seven standard expressions, plus the hand model
+export const createExpressionDetector = () => {
+  let handModel = null;
+
+  return {
+    id: 'expressionModel',
+
+    load: async () => {
+      [handModel] = await Promise.all([loadHandModel(), loadExpressionModel()]);
+    },
+
+    detect: async (frame) => {
+      const [expression, hands] = await Promise.all([
+        detectExpressions(frame),
+        handModel.estimateHands(frame, { flipHorizontal: false })
+      ]);
+
+      // The expression model has no landmarks, so place the mouth in the lower part of the face box
+      const box = expression ? expression.boundingBox : null;
+      const face = box ? {
+        box,
+        mouth: { x: box.xMin + box.width / 2, y: box.yMin + box.height * 0.75 }
+      } : null;
+
+      return {
+        emotionScores: expression ? expression.emotionScores : null,
+        faceDetails: {
+          facesDetected: expression ? 1 : 0,
+          keypoints: 0,
+          boundingBox: expression ? expression.boundingBox : null,
+          confidence: expression ? expression.confidence : 0,
+          fallbackMode: false
+        },
+        handDetails: describeHands(hands, face),
+        overlay: {
+          face: null,
+          hands: handLandmarks(hands),
+          box,
+          confidence: expression ? expression.confidence : null
+        }
+      };
+    }
+  };
+};
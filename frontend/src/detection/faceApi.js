@@ -0,0 +1,76 @@
+import * as faceapi from 'face-api.js';
+
+// face-api.js weights shipped in public/models/weights
+const WEIGHTS_URL = `${process.env.PUBLIC_URL}/models/weights`;
+
+const detectorOptions = new faceapi.TinyFaceDetectorOptions({ inputSize: 224, scoreThreshold: 0.5 });
+
+// face-api.js only knows browser and Node environments; give it OffscreenCanvas inside a worker
+if (!faceapi.env.isBrowser() && !faceapi.env.isNodejs() && typeof OffscreenCanvas !== 'undefined') {
+  faceapi.env.setEnv({
+    Canvas: OffscreenCanvas,
+    CanvasRenderingContext2D: OffscreenCanvasRenderingContext2D,
+    Image: ImageBitmap,
+    ImageData: ImageData,
+    Video: class {},
+    createCanvasElement: () => new OffscreenCanvas(1, 1),
+    createImageElement: () => {
+      throw new Error('Images are not available in a worker');
+    },
+    fetch: (...args) => fetch(...args),
+    readFile: () => {
+      throw new Error('readFile - filesystem not available in a worker');
+    }
+  });
+}
+
+// face-api.js can't read ImageBitmaps directly, so turn them into a tensor of its own tf build
+const toInput = (frame) => {
+  if (typeof ImageBitmap === 'undefined' || !(frame instanceof ImageBitmap)) {
+    return frame;
+  }
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(frame.width, frame.height)
+    : Object.assign(document.createElement('canvas'), { width: frame.width, height: frame.height });
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(frame, 0, 0);
+  return faceapi.tf.browser.fromPixels(ctx.getImageData(0, 0, frame.width, frame.height));
+};
+
+export const loadExpressionModel = () => {
+  if (faceapi.nets.tinyFaceDetector.isLoaded && faceapi.nets.faceExpressionNet.isLoaded) {
+    return Promise.resolve();
+  }
+  return Promise.all([
+    faceapi.nets.tinyFaceDetector.loadFromUri(WEIGHTS_URL),
+    faceapi.nets.faceExpressionNet.loadFromUri(WEIGHTS_URL)
+  ]);
+};
+
+// Classify the expression of the most prominent face, or resolve to null when no face is found.
+// Scores cover neutral, happy, sad, angry, fearful, disgusted and surprised, summing to 1.
+export const detectExpressions = async (frame) => {
+  const input = toInput(frame);
+  let result;
+  try {
+    result = await faceapi
+      .detectSingleFace(input, detectorOptions)
+      .withFaceExpressions();
+  } finally {
+    // Free the frame tensor even when detection fails, or the worker leaks one per frame
+    if (input !== frame) {
+      input.dispose();
+    }
+  }
+
+  if (!result) {
+    return null;
+  }
+
+  const { box, score } = result.detection;
+  return {
+    emotionScores: { ...result.expressions },
+    boundingBox: { xMin: box.x, yMin: box.y, width: box.width, height: box.height },
+    confidence: score
+  };
+};
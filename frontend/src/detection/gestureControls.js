@@ -0,0 +1,80 @@
+// Hands-free controls: holding a mapped gesture long enough triggers an action in the tracker
+
+export const GESTURE_ACTIONS = {
+  none: { label: 'Nothing' },
+  save: { label: 'Save current mood' },
+  capture: { label: 'Capture recent average' },
+  togglePause: { label: 'Pause / resume detection' },
+  toggleLandmarks: { label: 'Show / hide landmarks' }
+};
+
+export const DEFAULT_GESTURE_CONTROLS = {
+  enabled: false,
+  holdMs: 2000,
+  mapping: {
+    thumbsUp: 'save',
+    thumbsDown: 'none',
+    openPalm: 'togglePause',
+    fist: 'none',
+    peace: 'toggleLandmarks'
+  }
+};
+
+// A gesture may drop out for this long (a missed frame or two) without restarting the hold
+const DROPOUT_GRACE_MS = 300;
+
+/*
+ * Tracks how long the current gesture has been held.
+ * update(gesture, now) returns { gesture, progress, fired } where progress runs
+ * from 0 to 1 over holdMs and fired is true on the one frame the hold completes.
+ * The same gesture has to be released before it can fire again.
+ */
+export const createGestureHold = (holdMs) => {
+  let current = null;
+  let since = 0;
+  let lastSeen = 0;
+  let done = false;
+
+  return {
+    update: (gesture, now = Date.now()) => {
+      if (!gesture) {
+        if (current && now - lastSeen > DROPOUT_GRACE_MS) {
+          current = null;
+          done = false;
+        }
+        if (!current || done) {
+          return { gesture: null, progress: 0, fired: false };
+        }
+        // Keep the ring where it was during a dropout, but don't complete the hold
+        return { gesture: current, progress: Math.min(0.99, (lastSeen - since) / holdMs), fired: false };
+      }
+
+      if (gesture !== current) {
+        current = gesture;
+        since = now;
+        done = false;
+      }
+      lastSeen = now;
+
+      if (done) {
+        return { gesture: null, progress: 0, fired: false };
+      }
+      const progress = Math.min(1, (now - since) / holdMs);
+      if (progress >= 1) {
+        done = true;
+        return { gesture, progress: 1, fired: true };
+      }
+      return { gesture, progress, fired: false };
+    },
+
+    reset: () => {
+      current = null;
+      done = false;
+    }
+  };
+};
+
+// First gesture across the hands that is mapped to an action, if any
+export const pickControlGesture = (gestures, mapping) => {
+  return (gestures || []).find(gesture => gesture && mapping[gesture] && mapping[gesture] !== 'none') || null;
+};
@@ -0,0 +1,124 @@
+// Rule-based gesture classification over the 21 MediaPipe hand landmarks ({ x, y } in image pixels)
+
+// Landmark indices, see MEDIAPIPE_KEYPOINTS in @tensorflow-models/hand-pose-detection
+const WRIST = 0;
+const THUMB = { mcp: 2, ip: 3, tip: 4 };
+const FINGERS = {
+  index: { mcp: 5, pip: 6, tip: 8 },
+  middle: { mcp: 9, pip: 10, tip: 12 },
+  ring: { mcp: 13, pip: 14, tip: 16 },
+  pinky: { mcp: 17, pip: 18, tip: 20 }
+};
+const FINGERTIPS = [THUMB.tip, FINGERS.index.tip, FINGERS.middle.tip, FINGERS.ring.tip, FINGERS.pinky.tip];
+
+// Label, icon and the emotions each gesture hints at
+export const GESTURES = {
+  thumbsUp: { label: 'Thumbs up', icon: '👍', emotions: { happy: 1 } },
+  thumbsDown: { label: 'Thumbs down', icon: '👎', emotions: { sad: 0.5, disgusted: 0.3, angry: 0.2 } },
+  openPalm: { label: 'Open palm', icon: '🖐️', emotions: { happy: 0.5, surprised: 0.5 } },
+  fist: { label: 'Fist', icon: '✊', emotions: { angry: 1 } },
+  peace: { label: 'Peace sign', icon: '✌️', emotions: { happy: 1 } },
+  handOverMouth: { label: 'Hand over mouth', icon: '🤭', emotions: { surprised: 0.6, fearful: 0.4 } },
+  faceTouch: { label: 'Touching face', icon: '🤔', emotions: { neutral: 0.5, sad: 0.3, fearful: 0.2 } }
+};
+
+// Gestures are off by default; this is the largest share of the scores they may take over
+export const DEFAULT_GESTURE_WEIGHT = 0;
+export const MAX_GESTURE_WEIGHT = 0.5;
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// A straightened finger's tip lies well beyond its middle joint, measured from the wrist
+const isFingerExtended = (points, finger) => {
+  return distance(points[WRIST], points[finger.tip]) > distance(points[WRIST], points[finger.pip]) * 1.15;
+};
+
+const palmCenter = (points) => {
+  const palm = [WRIST, FINGERS.index.mcp, FINGERS.middle.mcp, FINGERS.ring.mcp, FINGERS.pinky.mcp];
+  return {
+    x: palm.reduce((sum, index) => sum + points[index].x, 0) / palm.length,
+    y: palm.reduce((sum, index) => sum + points[index].y, 0) / palm.length
+  };
+};
+
+/*
+ * Classify the hand's shape as thumbsUp, thumbsDown, openPalm, fist or peace,
+ * or null when it doesn't clearly match one. Image y grows downwards.
+ */
+export const classifyHandShape = (points) => {
+  if (!points || points.length < 21) return null;
+
+  // Palm length gives a scale that doesn't depend on how far the hand is from the camera
+  const palmSize = distance(points[WRIST], points[FINGERS.middle.mcp]) || 1;
+  const extended = Object.values(FINGERS).map(finger => isFingerExtended(points, finger));
+  const extendedCount = extended.filter(Boolean).length;
+  const [index, middle, ring, pinky] = extended;
+  const thumbExtended = distance(points[THUMB.tip], points[FINGERS.index.mcp]) > palmSize * 0.6 &&
+    distance(points[THUMB.tip], points[FINGERS.pinky.mcp]) > distance(points[THUMB.ip], points[FINGERS.pinky.mcp]);
+
+  if (extendedCount === 0 && thumbExtended) {
+    const rise = points[THUMB.mcp].y - points[THUMB.tip].y;
+    if (rise > palmSize * 0.5) return 'thumbsUp';
+    if (rise < -palmSize * 0.5) return 'thumbsDown';
+  }
+  if (extendedCount === 0) return 'fist';
+  if (extendedCount === 4 && thumbExtended) return 'openPalm';
+  if (index && middle && !ring && !pinky) return 'peace';
+  return null;
+};
+
+/*
+ * Check where the hand is relative to the face. face is { box: { xMin, yMin, width, height },
+ * mouth: { x, y } } in the same pixel space as the hand; returns handOverMouth, faceTouch or null.
+ */
+export const classifyFaceContact = (points, face) => {
+  if (!points || points.length < 21 || !face || !face.box) return null;
+
+  const { box, mouth } = face;
+  if (mouth && distance(palmCenter(points), mouth) < box.width * 0.35) {
+    return 'handOverMouth';
+  }
+
+  const margin = box.width * 0.05;
+  const touching = FINGERTIPS.some(tip => (
+    points[tip].x >= box.xMin - margin && points[tip].x <= box.xMin + box.width + margin &&
+    points[tip].y >= box.yMin - margin && points[tip].y <= box.yMin + box.height + margin
+  ));
+  return touching ? 'faceTouch' : null;
+};
+
+// Gesture for one hand: contact with the face wins over the hand's shape
+export const classifyGesture = (points, face) => {
+  return classifyFaceContact(points, face) || classifyHandShape(points);
+};
+
+/*
+ * Blend what the detected gestures hint at into the emotion scores. weight is the share
+ * (0 to MAX_GESTURE_WEIGHT) given to the gestures; only emotions the detector
+ * already scores are nudged, and the result still sums to 1.
+ */
+export const applyGestureWeight = (scores, gestures, weight) => {
+  const known = (gestures || []).filter(gesture => GESTURES[gesture]);
+  if (!scores || !weight || known.length === 0) return scores;
+
+  const target = {};
+  known.forEach(gesture => {
+    Object.entries(GESTURES[gesture].emotions).forEach(([emotion, value]) => {
+      if (emotion in scores) {
+        target[emotion] = (target[emotion] || 0) + value / known.length;
+      }
+    });
+  });
+  const targetTotal = Object.values(target).reduce((sum, value) => sum + value, 0);
+  if (targetTotal === 0) return scores;
+
+  const blended = {};
+  Object.entries(scores).forEach(([emotion, value]) => {
+    blended[emotion] = (1 - weight) * value + weight * ((target[emotion] || 0) / targetTotal);
+  });
+  const total = Object.values(blended).reduce((sum, value) => sum + value, 0) || 1;
+  Object.keys(blended).forEach(emotion => {
+    blended[emotion] /= total;
+  });
+  return blended;
+};
@@ -0,0 +1,103 @@
+import { classifyHandShape, classifyFaceContact, classifyGesture, applyGestureWeight } from './gestures';
+
+// 21 hand landmarks in image pixels with the wrist at the bottom and the palm 100px long
+const WRIST = { x: 100, y: 300 };
+const FINGER_X = { index: 80, middle: 100, ring: 120, pinky: 140 };
+const THUMBS = {
+  up: [{ x: 60, y: 230 }, { x: 55, y: 180 }, { x: 50, y: 130 }],
+  down: [{ x: 60, y: 230 }, { x: 55, y: 280 }, { x: 50, y: 330 }],
+  out: [{ x: 60, y: 260 }, { x: 35, y: 230 }, { x: 10, y: 200 }],
+  tucked: [{ x: 70, y: 240 }, { x: 80, y: 220 }, { x: 95, y: 210 }]
+};
+
+const makeHand = ({ extended = [], thumb = 'tucked' } = {}) => {
+  const points = [WRIST, { x: 75, y: 270 }, ...THUMBS[thumb]];
+  Object.entries(FINGER_X).forEach(([finger, x]) => {
+    const isExtended = extended.includes(finger);
+    points.push(
+      { x, y: 200 },
+      { x, y: isExtended ? 150 : 160 },
+      { x, y: isExtended ? 115 : 190 },
+      { x, y: isExtended ? 80 : 220 }
+    );
+  });
+  return points;
+};
+
+const ALL_FINGERS = ['index', 'middle', 'ring', 'pinky'];
+
+describe('classifyHandShape', () => {
+  test.each([
+    ['thumbsUp', { thumb: 'up' }],
+    ['thumbsDown', { thumb: 'down' }],
+    ['fist', {}],
+    ['openPalm', { extended: ALL_FINGERS, thumb: 'out' }],
+    ['peace', { extended: ['index', 'middle'] }]
+  ])('recognises %s', (gesture, hand) => {
+    expect(classifyHandShape(makeHand(hand))).toBe(gesture);
+  });
+
+  test('returns null for shapes it has no name for', () => {
+    expect(classifyHandShape(makeHand({ extended: ['index'] }))).toBeNull();
+    expect(classifyHandShape(makeHand({ extended: ALL_FINGERS }))).toBeNull();
+  });
+
+  test('needs all 21 landmarks', () => {
+    expect(classifyHandShape(makeHand().slice(0, 20))).toBeNull();
+    expect(classifyHandShape(null)).toBeNull();
+  });
+});
+
+describe('classifyFaceContact', () => {
+  const hand = makeHand({ extended: ALL_FINGERS, thumb: 'out' });
+
+  test('a palm over the mouth is handOverMouth', () => {
+    const face = { box: { xMin: 0, yMin: 0, width: 200, height: 250 }, mouth: { x: 100, y: 200 } };
+    expect(classifyFaceContact(hand, face)).toBe('handOverMouth');
+  });
+
+  test('fingertips inside the face box are faceTouch', () => {
+    const face = { box: { xMin: 60, yMin: 50, width: 200, height: 100 }, mouth: { x: 400, y: 400 } };
+    expect(classifyFaceContact(hand, face)).toBe('faceTouch');
+  });
+
+  test('a hand away from the face is no contact', () => {
+    const face = { box: { xMin: 500, yMin: 500, width: 200, height: 250 }, mouth: { x: 600, y: 700 } };
+    expect(classifyFaceContact(hand, face)).toBeNull();
+    expect(classifyFaceContact(hand, null)).toBeNull();
+  });
+});
+
+describe('classifyGesture', () => {
+  test('contact with the face wins over the hand shape', () => {
+    const face = { box: { xMin: 0, yMin: 0, width: 200, height: 250 }, mouth: { x: 100, y: 200 } };
+    expect(classifyGesture(makeHand({ thumb: 'up' }), face)).toBe('handOverMouth');
+    expect(classifyGesture(makeHand({ thumb: 'up' }), null)).toBe('thumbsUp');
+  });
+});
+
+describe('applyGestureWeight', () => {
+  const scores = { happy: 0.2, sad: 0.8 };
+
+  test('leaves scores alone without a weight or known gestures', () => {
+    expect(applyGestureWeight(scores, ['thumbsUp'], 0)).toBe(scores);
+    expect(applyGestureWeight(scores, [], 0.5)).toBe(scores);
+    expect(applyGestureWeight(scores, ['wave'], 0.5)).toBe(scores);
+    expect(applyGestureWeight(null, ['thumbsUp'], 0.5)).toBeNull();
+  });
+
+  test('moves the weighted share toward what the gesture hints at', () => {
+    const blended = applyGestureWeight(scores, ['thumbsUp'], 0.5);
+    expect(blended.happy).toBeCloseTo(0.6);
+    expect(blended.sad).toBeCloseTo(0.4);
+  });
+
+  test('only nudges emotions the detector scores and keeps the total at 1', () => {
+    expect(applyGestureWeight({ sad: 1 }, ['thumbsUp'], 0.5)).toEqual({ sad: 1 });
+
+    const blended = applyGestureWeight({ happy: 0.5, surprised: 0.25, neutral: 0.25 }, ['openPalm', 'fist'], 0.4);
+    const total = Object.values(blended).reduce((sum, value) => sum + value, 0);
+    expect(total).toBeCloseTo(1);
+    expect(Object.keys(blended)).toEqual(['happy', 'surprised', 'neutral']);
+  });
+});
@@ -0,0 +1,37 @@
+import { classifyGesture } from './gestures';
+
+export const emptyHandDetails = () => ({
+  handsDetected: 0,
+  handedness: [],
+  gestures: [],
+  keypoints: [],
+  confidence: [],
+  fallbackMode: false
+});
+
+// MediaPipe labels hands as if the image were mirrored; our camera frames aren't, so swap them
+const realHandedness = (label) => {
+  if (label === 'Left') return 'Right';
+  if (label === 'Right') return 'Left';
+  return label;
+};
+
+// Summarise hand model output for the UI and saved logs; face ({ box, mouth }) enables face-contact gestures
+export const describeHands = (hands, face = null) => {
+  if (!hands || hands.length === 0) {
+    return emptyHandDetails();
+  }
+  return {
+    handsDetected: hands.length,
+    handedness: hands.map(hand => realHandedness(hand.handedness)),
+    gestures: hands.map(hand => classifyGesture(hand.keypoints, face)),
+    keypoints: hands.map(hand => hand.keypoints ? hand.keypoints.length : 0),
+    confidence: hands.map(hand => hand.score),
+    fallbackMode: false
+  };
+};
+
+// Hand landmarks as [x, y] points for the overlay
+export const handLandmarks = (hands) => {
+  return (hands || []).map(hand => hand.keypoints.map(point => [point.x, point.y]));
+};
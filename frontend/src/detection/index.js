@@ -0,0 +1,44 @@
+import { DETECTORS, createLocalDetector } from './detectors';
+
+export { DETECTORS };
+
+export const DEFAULT_DETECTOR = 'landmarks';
+
+const canUseWorker = () => {
+  return typeof Worker !== 'undefined' && typeof createImageBitmap !== 'undefined';
+};
+
+/*
+ * Camera detectors run in a Web Worker where the browser supports it, so inference never
+ * blocks the UI. Either way the detector's code is fetched in load(), which keeps tfjs,
+ * face-api and the worker client out of the main bundle.
+ */
+export const createDetector = (id) => {
+  const entry = DETECTORS.find(detector => detector.id === id) || DETECTORS[0];
+  const start = entry.usesWorker && canUseWorker()
+    ? () => import('./workerClient').then(({ createWorkerDetector }) => createWorkerDetector(entry.id))
+    : () => createLocalDetector(entry.id);
+
+  let inner = null;
+  let calibration = null;
+  return {
+    id: entry.id,
+
+    load: async () => {
+      inner = await start();
+      await inner.load();
+      if (calibration && inner.setCalibration) inner.setCalibration(calibration);
+    },
+
+    setCalibration: (next) => {
+      calibration = next;
+      if (inner && inner.setCalibration) inner.setCalibration(next);
+    },
+
+    detect: (frame) => inner.detect(frame),
+
+    dispose: () => {
+      if (inner && inner.dispose) inner.dispose();
+    }
+  };
+};
@@ -0,0 +1,78 @@
+import { loadFaceModel, loadHandModel } from './models';
+import { calculateEmotionsFromLandmarks } from './landmarkHeuristic';
+import { extractFaceFeatures } from './calibration';
+import { describeHands, handLandmarks } from './hands';
+
+// Face mesh points 13 and 14 are the inner upper and lower lip
+const UPPER_LIP = 13;
+const LOWER_LIP = 14;
+
+// Face mesh landmarks scored by hand-tuned rules, plus the hand model
+export const createLandmarkDetector = () => {
+  let faceModel = null;
+  let handModel = null;
+  let calibration = null;
+
+  return {
+    id: 'landmarks',
+
+    setCalibration: (next) => {
+      calibration = next;
+    },
+
+    load: async () => {
+      [faceModel, handModel] = await Promise.all([loadFaceModel(), loadHandModel()]);
+    },
+
+    detect: async (frame) => {
+      const [faces, hands] = await Promise.all([
+        faceModel.estimateFaces(frame),
+        handModel.estimateHands(frame, { flipHorizontal: false })
+      ]);
+
+      const result = {
+        emotionScores: null,
+        features: null,
+        faceDetails: {
+          facesDetected: 0,
+          keypoints: 0,
+          boundingBox: null,
+          confidence: 0,
+          fallbackMode: false
+        },
+        handDetails: null,
+        overlay: { face: null, hands: handLandmarks(hands), box: null, confidence: null }
+      };
+
+      if (faces && faces.length > 0) {
+        const firstFace = faces[0];
+        const landmarks = firstFace.keypoints.map(point => [point.x, point.y, point.z]);
+
+        result.emotionScores = calculateEmotionsFromLandmarks(landmarks, calibration);
+        result.features = extractFaceFeatures(landmarks);
+        result.faceDetails = {
+          facesDetected: faces.length,
+          keypoints: landmarks.length,
+          boundingBox: firstFace.box,
+          // The face mesh model doesn't report a per-face score
+          confidence: firstFace.score ?? null,
+          fallbackMode: false
+        };
+        result.overlay.face = landmarks;
+        result.overlay.box = firstFace.box;
+        result.overlay.confidence = result.faceDetails.confidence;
+      }
+
+      const face = faces && faces.length > 0 ? {
+        box: faces[0].box,
+        mouth: {
+          x: (faces[0].keypoints[UPPER_LIP].x + faces[0].keypoints[LOWER_LIP].x) / 2,
+          y: (faces[0].keypoints[UPPER_LIP].y + faces[0].keypoints[LOWER_LIP].y) / 2
+        }
+      } : null;
+      result.handDetails = describeHands(hands, face);
+
+      return result;
+    }
+  };
+};
@@ -0,0 +1,270 @@
+/* global globalThis */
+// Rule-based emotion scoring from MediaPipe face mesh landmarks ([x, y, z] points)
+import { extractFaceFeatures, interocularDistance, isUsableCalibration, scoreWithCalibration } from './calibration';
+
+// Inter-ocular distance, in pixels, of a face at arm's length in a 640x480 frame. The default
+// thresholds below were tuned at about this size and are scaled to the actual face.
+const REFERENCE_INTEROCULAR_PX = 64;
+
+export const calculateSadnessScore = (isMouthTurnedDown, mouthCornerDiff, mouthRatio) => {
+  let score = 0;
+  
+  // Reduced weight for mouth turned down
+  if (isMouthTurnedDown) {
+    score += 0.4; // Reduced from 0.6
+  }
+  
+  // Reduced scores for uneven mouth corners
+  if (mouthCornerDiff > 4) { // Increased threshold
+    score += 0.2; // Reduced from 0.3
+  } else if (mouthCornerDiff > 2.5) { // Increased threshold
+    score += 0.1; // Reduced from 0.15
+  }
+  
+  // Require very low mouth ratio for sadness
+  if (mouthRatio < 1.5) { // Reduced threshold
+    score += 0.15; // Reduced from 0.2
+  }
+  
+  return Math.min(0.7, score); // Cap at 0.7 (reduced from 0.9)
+};
+
+export const calculateAngerScore = (eyebrowLowered, eyebrowsAngledInward, leftAngle, rightAngle) => {
+  let score = 0;
+  
+  // Reduced weight for lowered eyebrows
+  if (eyebrowLowered) {
+    score += 0.3; // Reduced from 0.5
+  }
+  
+  // Reduced weight for angled eyebrows
+  if (eyebrowsAngledInward) {
+    score += 0.25; // Reduced from 0.4
+  } else if (leftAngle < -15 || rightAngle > 15) { // More extreme angles needed
+    // Partial eyebrow angling
+    score += 0.15; // Reduced from 0.25
+  }
+  
+  return Math.min(0.6, score); // Cap at 0.6 (reduced from 0.9)
+};
+
+export const calculateSurpriseScore = (eyebrowRaised, eyesWideOpen, isMouthOpen) => {
+  let score = 0;
+  
+  // Strongly weight raised eyebrows
+  if (eyebrowRaised) {
+    score += 0.4;
+  }
+  
+  // Wide eyes are a strong indicator
+  if (eyesWideOpen) {
+    score += 0.3;
+  }
+  
+  // Open mouth completes the surprised expression
+  if (isMouthOpen) {
+    score += 0.3;
+  }
+  
+  return Math.min(0.9, score); // Cap at 0.9
+};
+
+export const calculateHappinessScore = (mouthRatio, isMouthTurnedDown) => {
+  let score = 0;
+  
+  // Increased sensitivity for smiling detection
+  if (mouthRatio > 3.0) { // Lowered threshold from 3.5
+    score += 0.8; // Increased from 0.6
+  } else if (mouthRatio > 2.5) { // Lowered threshold from 2.8
+    score += 0.6; // Increased from 0.4
+  } else if (mouthRatio > 2.0) { // Lowered threshold from 2.2
+    score += 0.4; // Increased from 0.2
+  } else if (mouthRatio > 1.5) { // Added new lower threshold
+    score += 0.2; // Even slight smiles get some score
+  }
+  
+  // Reduced penalty for mouth turned down
+  if (isMouthTurnedDown) {
+    score = Math.max(0, score - 0.2); // Reduced penalty from 0.4 to 0.2
+  }
+  
+  return Math.min(0.95, score); // Increased cap from 0.8 to 0.95
+};
+
+// Score emotions from face landmarks. With a usable per-user calibration the face is compared
+// against the user's own baselines; otherwise the default thresholds are used.
+export const calculateEmotionsFromLandmarks = (landmarks, calibration = null) => {
+  // Debug variables to help visualize what's being detected
+  // globalThis rather than window so this also runs inside the detection worker
+  globalThis.debugFaceMetrics = {};
+  
+  // Default emotion distribution when nothing can be measured
+  let emotions = {
+    neutral: 0.6,
+    happy: 0.1,
+    sad: 0.1,
+    angry: 0.1,
+    surprised: 0.1
+  };
+  
+  if (!landmarks || landmarks.length < 20) {
+    return emotions;
+  }
+
+  const features = isUsableCalibration(calibration) ? extractFaceFeatures(landmarks) : null;
+  if (features) {
+    globalThis.debugFaceMetrics = { ...features, calibrated: true };
+    return scoreWithCalibration(features, calibration);
+  }
+  
+  try {
+    // Pixel thresholds scale with the face so distance from the camera doesn't matter
+    const scale = landmarks.length >= 468
+      ? (interocularDistance(landmarks) / REFERENCE_INTEROCULAR_PX) || 1
+      : 1;
+    
+    // Key facial points (using multiple points for more reliable detection)
+    // Mouth points
+    const mouthLeft = landmarks[61] || landmarks[0];
+    const mouthRight = landmarks[291] || landmarks[1];
+    const upperLip = landmarks[13] || landmarks[2];
+    const lowerLip = landmarks[14] || landmarks[3];
+    const mouthCenter = landmarks[0] || landmarks[4];
+    
+    // Eye points
+    const leftEye = landmarks[159] || landmarks[5];
+    const rightEye = landmarks[386] || landmarks[6];
+    const leftEyeTop = landmarks[159] || landmarks[7];
+    const leftEyeBottom = landmarks[145] || landmarks[8];
+    const rightEyeTop = landmarks[386] || landmarks[9];
+    const rightEyeBottom = landmarks[374] || landmarks[10];
+    
+    // Eyebrow points
+    const leftEyebrowOuter = landmarks[65] || landmarks[11];
+    const leftEyebrowInner = landmarks[105] || landmarks[12];
+    const rightEyebrowOuter = landmarks[295] || landmarks[13];
+    const rightEyebrowInner = landmarks[334] || landmarks[14];
+    
+    // More points for better detection
+    const noseTip = landmarks[1] || landmarks[15];
+    const leftCheek = landmarks[187] || landmarks[16];
+    const rightCheek = landmarks[411] || landmarks[17];
+    const forehead = landmarks[151] || landmarks[18];
+    
+    // ---------- CALCULATE CORE METRICS ----------
+    
+    // 1. MOUTH MEASUREMENTS
+    // Mouth width (horizontal distance)
+    const mouthWidth = Math.sqrt(
+      Math.pow(mouthRight[0] - mouthLeft[0], 2) + 
+      Math.pow(mouthRight[1] - mouthLeft[1], 2)
+    );
+    
+    // Mouth height (vertical opening)
+    const mouthHeight = Math.sqrt(
+      Math.pow(upperLip[0] - lowerLip[0], 2) + 
+      Math.pow(upperLip[1] - lowerLip[1], 2)
+    );
+    
+    // Mouth corner height difference (key for sadness)
+    const mouthCornerDiff = Math.abs(mouthLeft[1] - mouthRight[1]) / scale;
+    
+    // Is the mouth turned down? (critical for sadness detection)
+    const isMouthTurnedDown = (mouthLeft[1] > mouthCenter[1]) && (mouthRight[1] > mouthCenter[1]);
+    
+    // Is the mouth open? (important for surprise)
+    const isMouthOpen = mouthHeight > (mouthWidth * 0.3);
+    
+    // Smile ratio - width to height (smaller = less smiling)
+    const mouthRatio = mouthWidth / (mouthHeight || 1);
+    
+    // 2. EYEBROW MEASUREMENTS
+    // Distance between eyebrow and eye (key for surprise and anger)
+    const leftEyebrowHeight = Math.abs(leftEyebrowOuter[1] - leftEye[1]);
+    const rightEyebrowHeight = Math.abs(rightEyebrowOuter[1] - rightEye[1]);
+    
+    // Are eyebrows raised? (surprise)
+    const eyebrowRaised = (leftEyebrowHeight > 25 * scale) || (rightEyebrowHeight > 25 * scale);
+    
+    // Are eyebrows lowered/furrowed? (anger)
+    const eyebrowLowered = (leftEyebrowHeight < 15 * scale) || (rightEyebrowHeight < 15 * scale);
+    
+    // Eyebrow angle (furrowed brows for anger)
+    const leftEyebrowAngle = Math.atan2(
+      leftEyebrowOuter[1] - leftEyebrowInner[1],
+      leftEyebrowOuter[0] - leftEyebrowInner[0]
+    ) * (180 / Math.PI);
+    
+    const rightEyebrowAngle = Math.atan2(
+      rightEyebrowInner[1] - rightEyebrowOuter[1],
+      rightEyebrowInner[0] - rightEyebrowOuter[0]
+    ) * (180 / Math.PI);
+    
+    // Are eyebrows angled inward? (anger)
+    const eyebrowsAngledInward = (leftEyebrowAngle < -15) && (rightEyebrowAngle > 15);
+    
+    // 3. EYE MEASUREMENTS
+    // Eye openness (surprise)
+    const leftEyeOpenness = Math.abs(leftEyeTop[1] - leftEyeBottom[1]);
+    const rightEyeOpenness = Math.abs(rightEyeTop[1] - rightEyeBottom[1]);
+    
+    // Are eyes wide open? (surprise)
+    const eyesWideOpen = (leftEyeOpenness > 15 * scale) || (rightEyeOpenness > 15 * scale);
+    
+    // ---------- EMOTION DETECTION LOGIC ----------
+    
+    // DEBUGGING - store metrics for visualization
+    globalThis.debugFaceMetrics = {
+      mouthRatio,
+      mouthCornerDiff,
+      isMouthTurnedDown,
+      isMouthOpen,
+      eyebrowRaised,
+      eyebrowLowered,
+      eyebrowsAngledInward,
+      eyesWideOpen,
+      leftEyebrowAngle,
+      rightEyebrowAngle
+    };
+    
+    // CRITICAL FACIAL EXPRESSION DETECTION
+    // Using stronger indicators and clear thresholds for each emotion
+    
+    // 1. SADNESS - Detect with high priority
+    // Key indicators: Mouth corners turned down, slight frown
+    const sadnessScore = calculateSadnessScore(isMouthTurnedDown, mouthCornerDiff, mouthRatio);
+    
+    // 2. ANGER - Also detect with high priority
+    // Key indicators: Lowered/furrowed eyebrows, eyebrows angled inward
+    const angerScore = calculateAngerScore(eyebrowLowered, eyebrowsAngledInward, leftEyebrowAngle, rightEyebrowAngle);
+    
+    // 3. SURPRISE - Detect with high priority
+    // Key indicators: Raised eyebrows, wide eyes, open mouth
+    const surpriseScore = calculateSurpriseScore(eyebrowRaised, eyesWideOpen, isMouthOpen);
+    
+    // 4. HAPPINESS - Only detect when clearly smiling
+    // Key indicator: Wide mouth with corners up (high mouth ratio)
+    const happinessScore = calculateHappinessScore(mouthRatio, isMouthTurnedDown);
+    
+    // 5. NEUTRALITY - Default state when other emotions aren't strong
+    const neutralScore = 0.4 - (sadnessScore + angerScore + surpriseScore + happinessScore) / 2;
+    
+    // Assign scores to emotions object
+    emotions.sad = Math.max(0.1, sadnessScore);
+    emotions.angry = Math.max(0.1, angerScore);
+    emotions.surprised = Math.max(0.1, surpriseScore);
+    emotions.happy = Math.min(0.7, happinessScore); // Cap happiness to prevent bias
+    emotions.neutral = Math.max(0.05, neutralScore);
+    
+    // Normalize the values to sum to 1
+    const total = Object.values(emotions).reduce((sum, val) => sum + val, 0);
+    Object.keys(emotions).forEach(key => {
+      emotions[key] = emotions[key] / total;
+    });
+    
+    return emotions;
+  } catch (err) {
+    console.error('Error calculating emotions:', err);
+    return emotions;
+  }
+};
@@ -0,0 +1,13 @@
+// No camera analysis: the tracker takes the mood straight from the manual entry palette
+export const createManualDetector = () => ({
+  id: 'manual',
+
+  load: async () => {},
+
+  detect: async () => ({
+    emotionScores: null,
+    faceDetails: null,
+    handDetails: null,
+    overlay: null
+  })
+});
@@ -0,0 +1,3 @@
+// Error code for model files the server doesn't have, e.g. before `npm run models:download`.
+// Kept apart from models.js so checking for it doesn't pull TensorFlow.js into the main bundle.
+export const MODELS_MISSING = 'MODELS_MISSING';
@@ -0,0 +1,81 @@
+import * as tf from '@tensorflow/tfjs';
+import * as faceLandmarksDetection from '@tensorflow-models/face-landmarks-detection';
+import * as handPoseDetection from '@tensorflow-models/hand-pose-detection';
+import { MODELS_MISSING } from './modelErrors';
+
+// Model weights are self-hosted under public/models (see scripts/download-models.js)
+const MODEL_BASE_URL = `${process.env.PUBLIC_URL}/models/mediapipe`;
+
+export const MODEL_URLS = {
+  faceDetector: `${MODEL_BASE_URL}/face_detection_short/model.json`,
+  faceLandmarks: `${MODEL_BASE_URL}/face_mesh/model.json`,
+  handDetector: `${MODEL_BASE_URL}/handpose_detector_full/model.json`,
+  handLandmarks: `${MODEL_BASE_URL}/handpose_landmark_full/model.json`
+};
+
+// Fail with a clear message when a model isn't installed, rather than the loader's generic one
+const checkModelFiles = (urls) => Promise.all(urls.map(url => {
+  return fetch(url, { method: 'HEAD' }).then(response => {
+    // Single-page app servers answer unknown paths with index.html rather than a 404
+    const isHtml = (response.headers.get('Content-Type') || '').includes('text/html');
+    if (response.status !== 404 && !isHtml) return;
+    const error = new Error(
+      `The detection models aren't installed on this server (${url} was not found). ` +
+      'Run `npm run models:download` in frontend/ and rebuild.'
+    );
+    error.code = MODELS_MISSING;
+    throw error;
+  });
+}));
+
+// Loaded models are shared between detectors, so each one is only fetched once
+const cache = {};
+const once = (key, load) => {
+  if (!cache[key]) {
+    cache[key] = load().catch(err => {
+      delete cache[key];
+      throw err;
+    });
+  }
+  return cache[key];
+};
+
+// Prefer WebGL and fall back to the CPU backend where it isn't available
+const initBackend = () => once('backend', async () => {
+  const hasWebGL = await tf.setBackend('webgl').catch(() => false);
+  if (!hasWebGL) {
+    await tf.setBackend('cpu');
+  }
+  await tf.ready();
+  console.log(`TensorFlow.js ${tf.version.tfjs} ready on ${tf.getBackend()} backend`);
+});
+
+export const loadFaceModel = () => once('face', async () => {
+  await checkModelFiles([MODEL_URLS.faceDetector, MODEL_URLS.faceLandmarks]);
+  await initBackend();
+  return faceLandmarksDetection.createDetector(
+    faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh,
+    {
+      runtime: 'tfjs',
+      maxFaces: 1,
+      refineLandmarks: false,
+      detectorModelUrl: MODEL_URLS.faceDetector,
+      landmarkModelUrl: MODEL_URLS.faceLandmarks
+    }
+  );
+});
+
+export const loadHandModel = () => once('hand', async () => {
+  await checkModelFiles([MODEL_URLS.handDetector, MODEL_URLS.handLandmarks]);
+  await initBackend();
+  return handPoseDetection.createDetector(
+    handPoseDetection.SupportedModels.MediaPipeHands,
+    {
+      runtime: 'tfjs',
+      modelType: 'full',
+      maxHands: 2, // Detect up to 2 hands simultaneously
+      detectorModelUrl: MODEL_URLS.handDetector,
+      landmarkModelUrl: MODEL_URLS.handLandmarks
+    }
+  );
+});
@@ -0,0 +1,159 @@
+// Face mesh contours as runs of landmark indices, after MediaPipe's face_mesh_connections
+const FACE_CONTOURS = {
+  faceOval: [10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378, 400, 377,
+    152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109, 10],
+  lipsOuter: [61, 146, 91, 181, 84, 17, 314, 405, 321, 375, 291, 409, 270, 269, 267, 0, 37, 39, 40, 185, 61],
+  lipsInner: [78, 95, 88, 178, 87, 14, 317, 402, 318, 324, 308, 415, 310, 311, 312, 13, 82, 81, 80, 191, 78],
+  leftEye: [263, 249, 390, 373, 374, 380, 381, 382, 362, 398, 384, 385, 386, 387, 388, 466, 263],
+  rightEye: [33, 7, 163, 144, 145, 153, 154, 155, 133, 173, 157, 158, 159, 160, 161, 246, 33],
+  leftEyebrowLower: [276, 283, 282, 295, 285],
+  leftEyebrowUpper: [300, 293, 334, 296, 336],
+  rightEyebrowLower: [46, 53, 52, 65, 55],
+  rightEyebrowUpper: [70, 63, 105, 66, 107]
+};
+
+const CONTOUR_COLORS = {
+  faceOval: '#7E57C2',
+  lipsOuter: '#FF4081',
+  lipsInner: '#FF4081',
+  leftEye: '#32EEDB',
+  rightEye: '#32EEDB',
+  leftEyebrowLower: '#FFD54F',
+  leftEyebrowUpper: '#FFD54F',
+  rightEyebrowLower: '#FFD54F',
+  rightEyebrowUpper: '#FFD54F'
+};
+
+// Bones of the 21-point MediaPipe hand: thumb, four fingers and the palm
+const HAND_CONNECTIONS = [
+  [0, 1], [1, 2], [2, 3], [3, 4],
+  [0, 5], [5, 6], [6, 7], [7, 8],
+  [9, 10], [10, 11], [11, 12],
+  [13, 14], [14, 15], [15, 16],
+  [0, 17], [17, 18], [18, 19], [19, 20],
+  [5, 9], [9, 13], [13, 17]
+];
+
+export const DEFAULT_OVERLAY_OPTIONS = {
+  mirrored: true,   // show the camera as a mirror, like most video call apps
+  face: true,       // face mesh contours
+  hands: true,      // hand skeletons
+  box: true         // face bounding box and confidence
+};
+
+/*
+ * Maps frame pixels to canvas pixels. The video is shown with object-fit: cover,
+ * so the frame is scaled to fill the element and centred, cropping the overflow.
+ */
+const createProjection = (canvas, frameWidth, frameHeight, mirrored) => {
+  const scale = Math.max(canvas.width / frameWidth, canvas.height / frameHeight);
+  const offsetX = (canvas.width - frameWidth * scale) / 2;
+  const offsetY = (canvas.height - frameHeight * scale) / 2;
+  return {
+    scale,
+    x: (x) => {
+      const projected = offsetX + x * scale;
+      return mirrored ? canvas.width - projected : projected;
+    },
+    y: (y) => offsetY + y * scale
+  };
+};
+
+// Match the canvas backing store to its on-screen size; returns true when it changed
+export const resizeOverlay = (canvas) => {
+  if (!canvas) return false;
+  const ratio = window.devicePixelRatio || 1;
+  const width = Math.round(canvas.clientWidth * ratio);
+  const height = Math.round(canvas.clientHeight * ratio);
+  if (canvas.width === width && canvas.height === height) return false;
+  canvas.width = width;
+  canvas.height = height;
+  return true;
+};
+
+const strokePath = (ctx, points, project) => {
+  ctx.beginPath();
+  points.forEach(([x, y], i) => {
+    if (i === 0) {
+      ctx.moveTo(project.x(x), project.y(y));
+    } else {
+      ctx.lineTo(project.x(x), project.y(y));
+    }
+  });
+  ctx.stroke();
+};
+
+const drawFace = (ctx, landmarks, project) => {
+  ctx.lineWidth = Math.max(1, project.scale);
+  Object.entries(FACE_CONTOURS).forEach(([name, indices]) => {
+    const points = indices.map(index => landmarks[index]).filter(Boolean);
+    ctx.strokeStyle = CONTOUR_COLORS[name];
+    strokePath(ctx, points, project);
+  });
+};
+
+const drawHand = (ctx, landmarks, project) => {
+  ctx.strokeStyle = '#BA68C8';
+  ctx.lineWidth = Math.max(2, 2 * project.scale);
+  HAND_CONNECTIONS.forEach(([from, to]) => {
+    if (landmarks[from] && landmarks[to]) {
+      strokePath(ctx, [landmarks[from], landmarks[to]], project);
+    }
+  });
+
+  ctx.fillStyle = '#FFFFFF';
+  landmarks.forEach(([x, y], i) => {
+    ctx.beginPath();
+    // Fingertips are drawn larger
+    ctx.arc(project.x(x), project.y(y), (i > 0 && i % 4 === 0 ? 4 : 2.5) * Math.max(1, project.scale), 0, 2 * Math.PI);
+    ctx.fill();
+  });
+};
+
+const drawBox = (ctx, box, confidence, project) => {
+  const left = Math.min(project.x(box.xMin), project.x(box.xMin + box.width));
+  const top = project.y(box.yMin);
+  const width = box.width * project.scale;
+  const height = box.height * project.scale;
+
+  ctx.strokeStyle = '#9C27B0';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(left, top, width, height);
+
+  // Label is drawn after projection so it reads normally in the mirrored view
+  const label = confidence != null ? `Face ${(confidence * 100).toFixed(0)}%` : 'Face';
+  const fontSize = Math.round(14 * (window.devicePixelRatio || 1));
+  ctx.font = `${fontSize}px sans-serif`;
+  const labelWidth = ctx.measureText(label).width + fontSize;
+  const labelTop = Math.max(0, top - fontSize * 1.6);
+  ctx.fillStyle = '#9C27B0';
+  ctx.fillRect(left, labelTop, labelWidth, fontSize * 1.6);
+  ctx.fillStyle = '#FFFFFF';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(label, left + fontSize / 2, labelTop + fontSize * 0.8);
+};
+
+/*
+ * Draw a detector's overlay ({ face, hands, box, confidence } in frame pixels) onto the
+ * canvas above the video, or just clear it. frameSize is { width, height } of the analysed frame.
+ */
+export const drawOverlay = (canvas, overlay, frameSize, options = DEFAULT_OVERLAY_OPTIONS) => {
+  if (!canvas || !canvas.getContext) return;
+
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  if (!overlay || !frameSize || !frameSize.width || !frameSize.height) return;
+
+  const project = createProjection(canvas, frameSize.width, frameSize.height, options.mirrored);
+  ctx.lineJoin = 'round';
+
+  if (options.face && overlay.face) {
+    drawFace(ctx, overlay.face, project);
+  }
+  if (options.hands) {
+    (overlay.hands || []).forEach(landmarks => drawHand(ctx, landmarks, project));
+  }
+  if (options.box && overlay.box) {
+    drawBox(ctx, overlay.box, overlay.confidence, project);
+  }
+};
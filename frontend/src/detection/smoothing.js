@@ -0,0 +1,109 @@
+export const SMOOTHING_METHODS = ['ema', 'window', 'off'];
+
+export const DEFAULT_SMOOTHING = {
+  method: 'ema',
+  alpha: 0.3,          // EMA weight of the newest frame
+  windowMs: 1000,      // sliding window length
+  hysteresisMs: 600,   // how long a new mood must lead before it is shown
+  margin: 0.05,        // how far it must lead the current mood by
+  captureSeconds: 5    // span averaged by the capture action
+};
+
+// Longest span of raw frames kept for capture and the sliding window
+const MAX_HISTORY_MS = 30000;
+
+const dominant = (scores) => {
+  const keys = Object.keys(scores);
+  if (keys.length === 0) return null;
+  return keys.reduce((a, b) => (scores[a] > scores[b] ? a : b));
+};
+
+// Mean of each emotion over a list of score objects
+const meanScores = (list) => {
+  const totals = {};
+  list.forEach(scores => {
+    Object.entries(scores).forEach(([emotion, value]) => {
+      totals[emotion] = (totals[emotion] || 0) + value;
+    });
+  });
+  Object.keys(totals).forEach(emotion => {
+    totals[emotion] /= list.length;
+  });
+  return totals;
+};
+
+/*
+ * Turns raw per-frame emotion scores into a stable reading.
+ * push(scores) returns { emotionScores, mood } where emotionScores is smoothed
+ * by an exponential moving average or sliding window, and mood only changes
+ * once another emotion has led by `margin` for `hysteresisMs`.
+ */
+export const createSmoother = (options = {}) => {
+  const settings = { ...DEFAULT_SMOOTHING, ...options };
+  let samples = [];
+  let smoothed = null;
+  let mood = null;
+  let candidate = null;
+  let candidateSince = 0;
+
+  const smooth = (scores, now) => {
+    if (settings.method === 'off' || !smoothed) {
+      return { ...scores };
+    }
+    if (settings.method === 'window') {
+      return meanScores(samples.filter(sample => now - sample.t <= settings.windowMs).map(sample => sample.scores));
+    }
+    const next = {};
+    const emotions = new Set([...Object.keys(smoothed), ...Object.keys(scores)]);
+    emotions.forEach(emotion => {
+      next[emotion] = settings.alpha * (scores[emotion] || 0) + (1 - settings.alpha) * (smoothed[emotion] || 0);
+    });
+    return next;
+  };
+
+  const updateMood = (scores, now) => {
+    const leader = dominant(scores);
+    if (!mood || settings.method === 'off') {
+      mood = leader;
+      candidate = null;
+      return;
+    }
+    if (leader === mood || scores[leader] - (scores[mood] || 0) < settings.margin) {
+      candidate = null;
+      return;
+    }
+    if (leader !== candidate) {
+      candidate = leader;
+      candidateSince = now;
+    }
+    if (now - candidateSince >= settings.hysteresisMs) {
+      mood = leader;
+      candidate = null;
+    }
+  };
+
+  return {
+    push: (scores, now = Date.now()) => {
+      samples.push({ t: now, scores });
+      samples = samples.filter(sample => now - sample.t <= MAX_HISTORY_MS);
+      smoothed = smooth(scores, now);
+      updateMood(smoothed, now);
+      return { emotionScores: smoothed, mood };
+    },
+
+    // Mean of the raw scores over the last `ms`, or null if there were no frames
+    average: (ms = settings.captureSeconds * 1000, now = Date.now()) => {
+      const recent = samples.filter(sample => now - sample.t <= ms);
+      if (recent.length === 0) return null;
+      const emotionScores = meanScores(recent.map(sample => sample.scores));
+      return { emotionScores, mood: dominant(emotionScores), samples: recent.length };
+    },
+
+    reset: () => {
+      samples = [];
+      smoothed = null;
+      mood = null;
+      candidate = null;
+    }
+  };
+};
@@ -0,0 +1,68 @@
+import { createSmoother } from './smoothing';
+
+describe('createSmoother', () => {
+  test('passes scores straight through when smoothing is off', () => {
+    const smoother = createSmoother({ method: 'off' });
+    smoother.push({ happy: 0.9, sad: 0.1 }, 0);
+    expect(smoother.push({ happy: 0.2, sad: 0.8 }, 100)).toEqual({ emotionScores: { happy: 0.2, sad: 0.8 }, mood: 'sad' });
+  });
+
+  test('blends new frames into an exponential moving average', () => {
+    const smoother = createSmoother({ method: 'ema', alpha: 0.3 });
+    smoother.push({ happy: 1 }, 0);
+    const { emotionScores } = smoother.push({ happy: 0, sad: 1 }, 100);
+    expect(emotionScores.happy).toBeCloseTo(0.7);
+    expect(emotionScores.sad).toBeCloseTo(0.3);
+  });
+
+  test('averages the frames inside the sliding window', () => {
+    const smoother = createSmoother({ method: 'window', windowMs: 1000 });
+    smoother.push({ happy: 1 }, 0);
+    expect(smoother.push({ happy: 0 }, 500).emotionScores.happy).toBeCloseTo(0.5);
+    expect(smoother.push({ happy: 0 }, 1600).emotionScores.happy).toBe(0);
+  });
+
+  test('only switches mood once the new one has led for the hysteresis time', () => {
+    const smoother = createSmoother({ method: 'ema', alpha: 1, hysteresisMs: 600, margin: 0.05 });
+    expect(smoother.push({ happy: 0.8, sad: 0.2 }, 0).mood).toBe('happy');
+    expect(smoother.push({ happy: 0.3, sad: 0.7 }, 100).mood).toBe('happy');
+    expect(smoother.push({ happy: 0.3, sad: 0.7 }, 500).mood).toBe('happy');
+    expect(smoother.push({ happy: 0.3, sad: 0.7 }, 700).mood).toBe('sad');
+  });
+
+  test('keeps the mood while another emotion leads by less than the margin', () => {
+    const smoother = createSmoother({ method: 'ema', alpha: 1, hysteresisMs: 0, margin: 0.1 });
+    smoother.push({ happy: 0.8, sad: 0.2 }, 0);
+    expect(smoother.push({ happy: 0.48, sad: 0.52 }, 100).mood).toBe('happy');
+    expect(smoother.push({ happy: 0.4, sad: 0.6 }, 200).mood).toBe('sad');
+  });
+
+  test('a lead that drops away restarts the hysteresis timer', () => {
+    const smoother = createSmoother({ method: 'ema', alpha: 1, hysteresisMs: 600, margin: 0.05 });
+    smoother.push({ happy: 0.8, sad: 0.2 }, 0);
+    smoother.push({ happy: 0.3, sad: 0.7 }, 100);
+    smoother.push({ happy: 0.8, sad: 0.2 }, 400);
+    expect(smoother.push({ happy: 0.3, sad: 0.7 }, 800).mood).toBe('happy');
+    expect(smoother.push({ happy: 0.3, sad: 0.7 }, 1400).mood).toBe('sad');
+  });
+
+  test('averages the raw scores of recent frames for capture', () => {
+    const smoother = createSmoother({ method: 'ema', alpha: 0.3 });
+    smoother.push({ happy: 1, sad: 0 }, 0);
+    smoother.push({ happy: 0, sad: 1 }, 4000);
+    smoother.push({ happy: 0, sad: 1 }, 5000);
+
+    const captured = smoother.average(2000, 5000);
+    expect(captured).toEqual({ emotionScores: { happy: 0, sad: 1 }, mood: 'sad', samples: 2 });
+    expect(smoother.average(10000, 5000).emotionScores.happy).toBeCloseTo(1 / 3);
+    expect(smoother.average(1000, 20000)).toBeNull();
+  });
+
+  test('reset forgets earlier frames and the current mood', () => {
+    const smoother = createSmoother({ method: 'ema', alpha: 0.3 });
+    smoother.push({ happy: 1 }, 0);
+    smoother.reset();
+    expect(smoother.average(1000, 0)).toBeNull();
+    expect(smoother.push({ sad: 1 }, 100)).toEqual({ emotionScores: { sad: 1 }, mood: 'sad' });
+  });
+});
@@ -0,0 +1,64 @@
+// Main-thread side of detection.worker.js: same interface as a local detector
+export const createWorkerDetector = (id) => {
+  const worker = new Worker(new URL('./detection.worker.js', import.meta.url));
+  const pending = new Map();
+  let nextRequestId = 0;
+  let loading = null;
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'loaded' && loading) {
+      loading.resolve();
+      loading = null;
+    } else if (data.type === 'error' && data.requestId === undefined && loading) {
+      loading.reject(Object.assign(new Error(data.message), { code: data.code }));
+      loading = null;
+    } else if (pending.has(data.requestId)) {
+      const { resolve, reject } = pending.get(data.requestId);
+      pending.delete(data.requestId);
+      if (data.type === 'result') {
+        resolve(data.result);
+      } else {
+        reject(new Error(data.message));
+      }
+    }
+  };
+
+  worker.onerror = (event) => {
+    const error = new Error(event.message || 'Detection worker crashed');
+    if (loading) {
+      loading.reject(error);
+      loading = null;
+    }
+    pending.forEach(({ reject }) => reject(error));
+    pending.clear();
+  };
+
+  return {
+    id,
+
+    load: () => new Promise((resolve, reject) => {
+      loading = { resolve, reject };
+      worker.postMessage({ type: 'load', detectorId: id });
+    }),
+
+    // Grab the current video frame as an ImageBitmap and hand it to the worker without copying
+    detect: async (video) => {
+      const frame = await createImageBitmap(video);
+      return new Promise((resolve, reject) => {
+        const requestId = ++nextRequestId;
+        pending.set(requestId, { resolve, reject });
+        worker.postMessage({ type: 'detect', requestId, frame }, [frame]);
+      });
+    },
+
+    setCalibration: (calibration) => {
+      worker.postMessage({ type: 'calibrate', calibration });
+    },
+
+    dispose: () => {
+      worker.terminate();
+      pending.forEach(({ reject }) => reject(new Error('Detector was disposed')));
+      pending.clear();
+    }
+  };
+};
@@ -0,0 +1,68 @@
+// Moods the detector and the backend know about
+export const MOODS = ['happy', 'sad', 'angry', 'surprised', 'neutral', 'fearful', 'disgusted'];
+
+export const getEmotionColor = (emotion) => {
+  const colors = {
+    happy: 'success',
+    sad: 'info',
+    angry: 'danger',
+    surprised: 'warning',
+    neutral: 'secondary',
+    fearful: 'light',
+    disgusted: 'primary'
+  };
+  return colors[emotion] || 'primary';
+};
+
+export const getEmotionIcon = (emotion) => {
+  const icons = {
+    happy: '😊',
+    sad: '😢',
+    angry: '😠',
+    surprised: '😮',
+    neutral: '😐',
+    fearful: '😨',
+    disgusted: '🤢'
+  };
+  return icons[emotion] || '🤔';
+};
+
+// Border and heading colours for history cards
+export const getMoodBorderColor = (mood) => {
+  return mood === 'happy' ? '#8E24AA' : 
+         mood === 'sad' ? '#5E35B1' : 
+         mood === 'angry' ? '#D81B60' : 
+         mood === 'surprised' ? '#7B1FA2' : 
+         mood === 'fearful' ? '#283593' : 
+         mood === 'disgusted' ? '#558B2F' : '#4527A0';
+};
+
+export const getMoodTextColor = (mood) => {
+  return mood === 'happy' ? '#CE93D8' : 
+         mood === 'sad' ? '#B39DDB' : 
+         mood === 'angry' ? '#F48FB1' : 
+         mood === 'surprised' ? '#E1BEE7' : 
+         mood === 'fearful' ? '#9FA8DA' : 
+         mood === 'disgusted' ? '#C5E1A5' : '#B388FF';
+};
+
+// Solid colours for charts, matching the Bootstrap variants above
+export const getEmotionChartColor = (emotion) => {
+  const colors = {
+    happy: '#66BB6A',
+    sad: '#29B6F6',
+    angry: '#EF5350',
+    surprised: '#FFCA28',
+    neutral: '#9E9E9E',
+    fearful: '#5C6BC0',
+    disgusted: '#8D6E63'
+  };
+  return colors[emotion] || '#9C27B0';
+};
+
+// Mood with the highest count in a { mood: count } object
+export const getDominantMood = (moodCounts) => {
+  const entries = Object.entries(moodCounts || {});
+  if (entries.length === 0) return null;
+  return entries.reduce((a, b) => (b[1] > a[1] ? b : a))[0];
+};
@@ -0,0 +1,77 @@
+import { useEffect, useRef, useState } from 'react';
+import { streamMoodEvents } from '../api';
+
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30 * 1000;
+
+/*
+ * Follow changes to the signed-in user's mood logs made in other tabs and on other
+ * devices, calling onEvent with each MoodEvent. Reconnects with backoff when the
+ * stream drops, and sends a 'refresh' event once it's back since changes may have
+ * been missed meanwhile. Returns whether the stream is connected.
+ */
+const useMoodEvents = ({ token, onEvent }) => {
+  const [isLive, setIsLive] = useState(false);
+  const onEventRef = useRef(onEvent);
+
+  useEffect(() => {
+    onEventRef.current = onEvent;
+  });
+
+  useEffect(() => {
+    if (!token || typeof ReadableStream === 'undefined') return;
+
+    const controller = new AbortController();
+    let timer = null;
+    let retryMs = MIN_RETRY_MS;
+    let hasConnected = false;
+
+    const handleEvent = (event) => {
+      if (event.type !== 'ready') {
+        onEventRef.current(event);
+        return;
+      }
+      setIsLive(true);
+      retryMs = MIN_RETRY_MS;
+      if (hasConnected) onEventRef.current({ type: 'refresh', data: {} });
+      hasConnected = true;
+    };
+
+    const connect = () => {
+      clearTimeout(timer);
+      timer = null;
+      streamMoodEvents(token, { signal: controller.signal, onEvent: handleEvent })
+        .then(() => true, err => {
+          // An expired session is handled by the next regular request
+          if (err.name === 'AbortError' || err.status === 401) return false;
+          console.error('Live updates disconnected:', err);
+          return true;
+        })
+        .then(shouldRetry => {
+          if (controller.signal.aborted) return;
+          setIsLive(false);
+          if (!shouldRetry) return;
+          timer = setTimeout(connect, retryMs);
+          retryMs = Math.min(retryMs * 2, MAX_RETRY_MS);
+        });
+    };
+
+    // Don't wait out the backoff once the connection is back
+    const handleOnline = () => {
+      if (timer) connect();
+    };
+
+    connect();
+    window.addEventListener('online', handleOnline);
+    return () => {
+      controller.abort();
+      clearTimeout(timer);
+      window.removeEventListener('online', handleOnline);
+      setIsLive(false);
+    };
+  }, [token]);
+
+  return isLive;
+};
+
+export default useMoodEvents;
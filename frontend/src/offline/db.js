@@ -0,0 +1,73 @@
+// IndexedDB storage shared by the app and the service worker
+const DB_NAME = 'mood-tracker';
+const DB_VERSION = 3;
+
+// outbox: mood logs waiting to be sent, keyed by their idempotency key
+// history: the last first page of history seen for each user
+// settings: small records shared with the service worker, such as the reminder schedule
+const STORES = {
+  outbox: { keyPath: 'key', indexes: { userId: 'userId' } },
+  history: { keyPath: 'userId' },
+  settings: { keyPath: 'name' }
+};
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const forgetOutboxTokens = (store) => {
+  const cursorRequest = store.openCursor();
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (!cursor) return;
+    const { token, ...entry } = cursor.value;
+    if (token !== undefined) cursor.update(entry);
+    cursor.continue();
+  };
+};
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      Object.entries(STORES).forEach(([name, { keyPath, indexes = {} }]) => {
+        if (db.objectStoreNames.contains(name)) return;
+        const store = db.createObjectStore(name, { keyPath });
+        Object.entries(indexes).forEach(([indexName, path]) => store.createIndex(indexName, path));
+      });
+      // Before version 3 queued logs kept the session token they were queued with
+      if (event.oldVersion > 0 && event.oldVersion < 3) {
+        forgetOutboxTokens(request.transaction.objectStore('outbox'));
+      }
+    };
+    dbPromise = promisify(request).then(db => {
+      // Let a newer version of the app (or its service worker) upgrade the database
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      return db;
+    }).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+export const isStorageAvailable = () => typeof indexedDB !== 'undefined';
+
+// Run one request against a store, e.g. withStore('outbox', 'readwrite', store => store.put(entry))
+export const withStore = (name, mode, run) => {
+  return openDb().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction(name, mode);
+    const request = run(transaction.objectStore(name));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  }));
+};
@@ -0,0 +1,20 @@
+import { isStorageAvailable, withStore } from './db';
+
+// Keep the unfiltered first page of history so it can be shown while offline
+export const cacheHistory = (userId, items) => {
+  if (!isStorageAvailable()) return Promise.resolve();
+  return withStore('history', 'readwrite', store => store.put({ userId, items, savedAt: Date.now() }));
+};
+
+// The cached page for a user, or an empty list
+export const readCachedHistory = (userId) => {
+  if (!isStorageAvailable()) return Promise.resolve([]);
+  return withStore('history', 'readonly', store => store.get(userId))
+    .then(record => (record ? record.items : []));
+};
+
+// Forget every cached page, e.g. on logout or after deleting all data
+export const clearCachedHistory = () => {
+  if (!isStorageAvailable()) return Promise.resolve();
+  return withStore('history', 'readwrite', store => store.clear());
+};
@@ -0,0 +1,123 @@
+import { getSyncToken, saveMoodLog } from '../api';
+import { isStorageAvailable, withStore } from './db';
+
+// Background Sync tag the service worker flushes the outbox on
+export const OUTBOX_SYNC_TAG = 'mood-outbox';
+
+// Sync tokens are replaced once they have less than this left
+const SYNC_TOKEN_REFRESH_MS = 12 * 60 * 60 * 1000;
+
+// A random key for one create request, e.g. "3f6c0b1e-..."
+export const newIdempotencyKey = () => {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Failures that may pass on a later try: no connection, a server error or an expired session
+export const isRetryable = (err) => {
+  return err.code === 'NETWORK_ERROR' || err.status === 401 || err.status === 408 || err.status === 429 || err.status >= 500;
+};
+
+/*
+ * Queue a mood log to send later. No credentials are stored with it: the app
+ * flushes the outbox with its session, the service worker with a sync token.
+ */
+export const queueMoodLog = ({ key, userId, moodData }) => {
+  const entry = { key, userId, moodData, queuedAt: Date.now(), error: null };
+  return withStore('outbox', 'readwrite', store => store.put(entry)).then(() => entry);
+};
+
+// Entries waiting to be sent, oldest first; all users' when userId is left out
+export const listOutbox = (userId) => {
+  if (!isStorageAvailable()) return Promise.resolve([]);
+  return withStore('outbox', 'readonly', store => (
+    userId ? store.index('userId').getAll(userId) : store.getAll()
+  )).then(entries => entries.sort((a, b) => a.queuedAt - b.queuedAt));
+};
+
+export const removeFromOutbox = (key) => withStore('outbox', 'readwrite', store => store.delete(key));
+
+// Drop everything a user has queued, e.g. when they log out or delete all their data
+export const clearOutbox = (userId) => {
+  return listOutbox(userId).then(entries => Promise.all(entries.map(entry => removeFromOutbox(entry.key))));
+};
+
+// Each user's sync token is kept in the settings store, where the service worker can read it
+const syncTokenName = (userId) => `sync-token:${userId}`;
+
+const readSyncTokenRecord = (userId) => withStore('settings', 'readonly', store => store.get(syncTokenName(userId)));
+
+/*
+ * Keep a sync token for the signed-in user: a short-lived token that can only create
+ * mood logs, so the service worker can send the outbox while no tab is open. Fetched
+ * with the session token while online, whenever the stored one is missing or running out.
+ */
+export const refreshSyncToken = async ({ userId, token }) => {
+  if (!isStorageAvailable()) return;
+  const record = await readSyncTokenRecord(userId);
+  if (record && new Date(record.expiresAt).getTime() - Date.now() > SYNC_TOKEN_REFRESH_MS) return;
+  const syncToken = await getSyncToken(token);
+  await withStore('settings', 'readwrite', store => store.put({ name: syncTokenName(userId), userId, ...syncToken }));
+};
+
+export const clearSyncToken = (userId) => {
+  if (!isStorageAvailable()) return Promise.resolve();
+  return withStore('settings', 'readwrite', store => store.delete(syncTokenName(userId)));
+};
+
+const markFailed = (entry, message) => {
+  return withStore('outbox', 'readwrite', store => store.put({ ...entry, error: message }));
+};
+
+// How a queued entry appears in the history list until it's sent
+export const toPendingLog = (entry) => ({
+  ...entry.moodData,
+  _id: entry.key,
+  pending: true,
+  syncError: entry.error
+});
+
+/*
+ * Send a user's queued logs in order with their current token. Entries the server
+ * rejects outright are kept with the error so the user can see and discard them; a
+ * retryable failure stops the flush and leaves the rest for next time. Resolves with
+ * the saved logs and how many entries are still waiting.
+ */
+export const flushOutbox = async ({ userId, token }) => {
+  const entries = (await listOutbox(userId)).filter(entry => !entry.error);
+  const saved = [];
+
+  for (const [index, entry] of entries.entries()) {
+    try {
+      saved.push(await saveMoodLog(token, entry.moodData, { idempotencyKey: entry.key }));
+      await removeFromOutbox(entry.key);
+    } catch (err) {
+      if (isRetryable(err)) {
+        return { saved, remaining: entries.length - index };
+      }
+      await markFailed(entry, err.message);
+    }
+  }
+  return { saved, remaining: 0 };
+};
+
+/*
+ * Send every user's queued logs with their sync token, for the service worker.
+ * Users without an unexpired sync token are left for the app to send once they
+ * sign in. Resolves with how many logs were saved and how many are still waiting.
+ */
+export const flushAllOutboxes = async () => {
+  const userIds = [...new Set((await listOutbox()).map(entry => entry.userId))];
+  let saved = 0;
+  let remaining = 0;
+
+  for (const userId of userIds) {
+    const record = await readSyncTokenRecord(userId);
+    if (!record || new Date(record.expiresAt) <= new Date()) continue;
+    const result = await flushOutbox({ userId, token: record.token });
+    saved += result.saved.length;
+    remaining += result.remaining;
+  }
+  return { saved, remaining };
+};
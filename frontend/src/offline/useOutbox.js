@@ -0,0 +1,106 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { isStorageAvailable } from './db';
+import {
+  OUTBOX_SYNC_TAG,
+  queueMoodLog,
+  listOutbox,
+  removeFromOutbox,
+  toPendingLog,
+  flushOutbox,
+  refreshSyncToken
+} from './outbox';
+
+// Ask the service worker to flush the outbox once the connection is back, where supported
+const requestBackgroundSync = () => {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then(registration => registration.sync && registration.sync.register(OUTBOX_SYNC_TAG))
+    .catch(err => console.error('Background sync unavailable:', err));
+};
+
+/*
+ * The signed-in user's queued mood logs. Flushes the outbox with the current token
+ * on load and when the browser comes back online, keeps a sync token for the service
+ * worker's background sync, and calls onSynced after queued logs reached the server.
+ */
+const useOutbox = ({ userId, token, onSynced }) => {
+  const [pendingLogs, setPendingLogs] = useState([]);
+  const onSyncedRef = useRef(onSynced);
+  const isFlushingRef = useRef(false);
+
+  useEffect(() => {
+    onSyncedRef.current = onSynced;
+  });
+
+  // Resolves with how many entries are queued
+  const refresh = useCallback(() => {
+    return listOutbox(userId)
+      .then(entries => {
+        setPendingLogs(entries.map(toPendingLog).reverse());
+        return entries.length;
+      })
+      .catch(err => {
+        console.error('Error reading the outbox:', err);
+        return 0;
+      });
+  }, [userId]);
+
+  // Resolves with how many entries are still queued afterwards
+  const flush = useCallback(() => {
+    if (!isStorageAvailable()) return Promise.resolve(0);
+    if (isFlushingRef.current) return refresh();
+    isFlushingRef.current = true;
+    return flushOutbox({ userId, token })
+      .then(({ saved }) => {
+        if (saved.length > 0) onSyncedRef.current();
+      })
+      .catch(err => console.error('Error syncing the outbox:', err))
+      .then(() => {
+        isFlushingRef.current = false;
+        return refresh();
+      });
+  }, [userId, token, refresh]);
+
+  useEffect(() => {
+    const sync = () => {
+      flush();
+      refreshSyncToken({ userId, token }).catch(err => console.error('Error refreshing the sync token:', err));
+    };
+    sync();
+
+    // The service worker sent queued logs in the background
+    const handleMessage = (event) => {
+      if (event.data && event.data.type === 'outbox-synced') {
+        refresh();
+        onSyncedRef.current();
+      }
+    };
+    window.addEventListener('online', sync);
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', handleMessage);
+    }
+    return () => {
+      window.removeEventListener('online', sync);
+      if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.removeEventListener('message', handleMessage);
+      }
+    };
+  }, [userId, token, flush, refresh]);
+
+  // Store a log that couldn't be sent; resolves with how it shows in the history
+  const queue = useCallback((key, moodData) => {
+    return queueMoodLog({ key, userId, moodData }).then(entry => {
+      requestBackgroundSync();
+      refresh();
+      return toPendingLog(entry);
+    });
+  }, [userId, refresh]);
+
+  const discard = useCallback((key) => {
+    return removeFromOutbox(key).then(refresh);
+  }, [refresh]);
+
+  return { pendingLogs, queue, discard, flush };
+};
+
+export default useOutbox;
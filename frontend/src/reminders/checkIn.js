@@ -0,0 +1,74 @@
+import { isStorageAvailable, withStore } from '../offline/db';
+import { lastReminderBetween } from './schedule';
+
+// Shared by the app and the service worker, which can remind while no tab is open
+
+// Periodic Background Sync tag the service worker checks for due reminders on
+export const CHECK_IN_SYNC_TAG = 'check-in-reminders';
+// Notification tag, so a new reminder replaces one that's still showing
+export const CHECK_IN_TAG = 'check-in';
+// Opening this URL starts the app in the quick-log flow
+export const QUICK_LOG_URL = `${process.env.PUBLIC_URL}/?quicklog=1`;
+
+const STATE_NAME = 'reminders';
+
+const readState = () => withStore('settings', 'readonly', store => store.get(STATE_NAME));
+const writeState = (state) => withStore('settings', 'readwrite', store => store.put({ ...state, name: STATE_NAME }));
+
+// Keep the signed-in user's schedule where the service worker can read it
+export const storeReminderSchedule = (userId, reminders) => {
+  if (!isStorageAvailable()) return Promise.resolve();
+  return readState().then(state => writeState({
+    userId,
+    reminders,
+    // Reminders from before this user's schedule was stored aren't shown late
+    lastShownAt: state && state.userId === userId ? state.lastShownAt : Date.now()
+  }));
+};
+
+export const clearReminderSchedule = () => {
+  if (!isStorageAvailable()) return Promise.resolve();
+  return withStore('settings', 'readwrite', store => store.delete(STATE_NAME));
+};
+
+/*
+ * Show the "How are you feeling?" notification. Pass the service worker registration
+ * where there is one; without it (e.g. in development) the page shows the
+ * notification itself and handles the click.
+ */
+export const showCheckIn = (registration) => {
+  const title = 'How are you feeling?';
+  const options = {
+    body: 'Take a moment to log your mood.',
+    tag: CHECK_IN_TAG,
+    renotify: true,
+    icon: `${process.env.PUBLIC_URL}/logo192.png`,
+    data: { url: QUICK_LOG_URL }
+  };
+  if (registration) {
+    return registration.showNotification(title, options);
+  }
+
+  const notification = new Notification(title, options);
+  notification.onclick = () => {
+    window.focus();
+    window.postMessage({ type: 'quick-log' }, window.location.origin);
+    notification.close();
+  };
+  return Promise.resolve();
+};
+
+// Show the check-in if a reminder fell since the last one shown; resolves with whether it did
+export const showDueCheckIn = async (registration) => {
+  if (!isStorageAvailable() || typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+    return false;
+  }
+  const state = await readState();
+  const now = new Date();
+  if (!state || !lastReminderBetween(state.reminders, new Date(state.lastShownAt), now)) {
+    return false;
+  }
+  await writeState({ ...state, lastShownAt: now.getTime() });
+  await showCheckIn(registration);
+  return true;
+};
@@ -0,0 +1,48 @@
+// When check-in reminders fall, in the device's local time
+
+export const DEFAULT_REMINDERS = { enabled: false, times: ['20:00'], days: [0, 1, 2, 3, 4, 5, 6] };
+
+// Reminders further back than this are dropped rather than shown late
+export const MAX_REMINDER_DELAY_MS = 2 * 60 * 60 * 1000;
+
+// Every reminder time on the local day of `date`, earliest first
+const remindersOnDay = ({ times, days }, date) => {
+  if (!days.includes(date.getDay())) return [];
+  return times
+    .map(time => {
+      const [hours, minutes] = time.split(':').map(Number);
+      const at = new Date(date);
+      at.setHours(hours, minutes, 0, 0);
+      return at;
+    })
+    .sort((a, b) => a - b);
+};
+
+const addDays = (date, count) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + count);
+  return next;
+};
+
+// The first reminder after `from`, or null when none are set
+export const nextReminderAt = (reminders, from = new Date()) => {
+  if (!reminders.enabled || reminders.times.length === 0) return null;
+  for (let offset = 0; offset <= 7; offset += 1) {
+    const next = remindersOnDay(reminders, addDays(from, offset)).find(at => at > from);
+    if (next) return next;
+  }
+  return null;
+};
+
+// The latest reminder in (since, now], or null when none fell in that window
+export const lastReminderBetween = (reminders, since, now = new Date()) => {
+  if (!reminders.enabled) return null;
+  const earliest = Math.max(since.getTime(), now.getTime() - MAX_REMINDER_DELAY_MS);
+  for (let offset = 0; offset <= 1; offset += 1) {
+    const due = remindersOnDay(reminders, addDays(now, -offset))
+      .filter(at => at.getTime() > earliest && at <= now)
+      .pop();
+    if (due) return due;
+  }
+  return null;
+};
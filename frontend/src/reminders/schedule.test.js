@@ -0,0 +1,53 @@
+import { nextReminderAt, lastReminderBetween } from './schedule';
+
+// Dates are built in the local timezone, as the schedule is
+const at = (day, hours, minutes = 0) => new Date(2024, 2, day, hours, minutes);
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+describe('nextReminderAt', () => {
+  const reminders = { enabled: true, times: ['20:00', '08:00'], days: EVERY_DAY };
+
+  test('is the next time later the same day', () => {
+    expect(nextReminderAt(reminders, at(4, 10))).toEqual(at(4, 20));
+  });
+
+  test('moves on to the next day after the last time', () => {
+    expect(nextReminderAt(reminders, at(4, 21))).toEqual(at(5, 8));
+  });
+
+  test('skips days without reminders', () => {
+    // 4 March 2024 is a Monday, so the next Sunday is the 10th
+    expect(nextReminderAt({ ...reminders, days: [0] }, at(4, 10))).toEqual(at(10, 8));
+  });
+
+  test('is null when reminders are off or have no times', () => {
+    expect(nextReminderAt({ ...reminders, enabled: false }, at(4, 10))).toBeNull();
+    expect(nextReminderAt({ ...reminders, times: [] }, at(4, 10))).toBeNull();
+    expect(nextReminderAt({ ...reminders, days: [] }, at(4, 10))).toBeNull();
+  });
+});
+
+describe('lastReminderBetween', () => {
+  const reminders = { enabled: true, times: ['20:00'], days: EVERY_DAY };
+
+  test('finds a reminder that fell since the last check', () => {
+    expect(lastReminderBetween(reminders, at(4, 19), at(4, 20, 30))).toEqual(at(4, 20));
+  });
+
+  test('is null when it was already shown', () => {
+    expect(lastReminderBetween(reminders, at(4, 20, 10), at(4, 20, 30))).toBeNull();
+  });
+
+  test('drops reminders that are more than two hours late', () => {
+    expect(lastReminderBetween(reminders, at(4, 12), at(4, 23))).toBeNull();
+  });
+
+  test('looks back across midnight', () => {
+    const late = { ...reminders, times: ['23:30'] };
+    expect(lastReminderBetween(late, at(4, 23), at(5, 0, 30))).toEqual(at(4, 23, 30));
+  });
+
+  test('is null when reminders are off', () => {
+    expect(lastReminderBetween({ ...reminders, enabled: false }, at(4, 19), at(4, 20, 30))).toBeNull();
+  });
+});
@@ -0,0 +1,82 @@
+import { useEffect, useState } from 'react';
+import { getReminders } from '../api';
+import { nextReminderAt } from './schedule';
+import { CHECK_IN_SYNC_TAG, storeReminderSchedule, showDueCheckIn } from './checkIn';
+
+// How often an installed app may wake its service worker to look for due reminders
+const PERIODIC_CHECK_MS = 60 * 60 * 1000;
+// setTimeout can't wait longer than this
+const MAX_TIMEOUT_MS = 2147483647;
+
+// The active service worker, or null where the page has to show notifications itself
+export const getServiceWorker = () => {
+  if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) {
+    return Promise.resolve(null);
+  }
+  return navigator.serviceWorker.ready;
+};
+
+// Periodic Background Sync lets installed apps remind while closed (Chromium only)
+const setPeriodicCheck = (enabled) => {
+  getServiceWorker()
+    .then(registration => {
+      if (!registration || !registration.periodicSync) return;
+      return enabled
+        ? registration.periodicSync.register(CHECK_IN_SYNC_TAG, { minInterval: PERIODIC_CHECK_MS })
+        : registration.periodicSync.unregister(CHECK_IN_SYNC_TAG);
+    })
+    .catch(err => console.error('Periodic reminder checks unavailable:', err));
+};
+
+/*
+ * The signed-in user's reminder schedule, loaded from the backend. While the app is
+ * open it times the next reminder itself; the copy stored for the service worker
+ * covers the time it's closed. Returns [reminders, setReminders].
+ */
+const useCheckInReminders = ({ userId, token }) => {
+  const [reminders, setReminders] = useState(null);
+
+  useEffect(() => {
+    setReminders(null);
+    if (!token) return;
+
+    let cancelled = false;
+    getReminders(token)
+      .then(data => {
+        if (!cancelled) setReminders(data);
+      })
+      .catch(err => console.error('Error loading reminders:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  useEffect(() => {
+    if (!userId || !reminders) return;
+
+    storeReminderSchedule(userId, reminders).catch(err => console.error('Error storing reminders:', err));
+    setPeriodicCheck(reminders.enabled);
+
+    let timer = null;
+    let stopped = false;
+    const scheduleNext = () => {
+      const next = nextReminderAt(reminders);
+      if (stopped || !next) return;
+      timer = setTimeout(() => {
+        getServiceWorker()
+          .then(showDueCheckIn)
+          .catch(err => console.error('Error showing reminder:', err))
+          .finally(scheduleNext);
+      }, Math.min(next - Date.now(), MAX_TIMEOUT_MS));
+    };
+    scheduleNext();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }, [userId, reminders]);
+
+  return [reminders, setReminders];
+};
+
+export default useCheckInReminders;
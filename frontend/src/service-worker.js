@@ -0,0 +1,82 @@
+/* eslint-disable no-restricted-globals */
+
+// Built by react-scripts into service-worker.js for production builds. It serves the
+// app shell while offline, sends the mood logs queued in the outbox once the connection
+// is back and shows check-in reminders, even when no tab is open.
+
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { NetworkFirst } from 'workbox-strategies';
+import { OUTBOX_SYNC_TAG, flushAllOutboxes } from './offline/outbox';
+import { CHECK_IN_SYNC_TAG, CHECK_IN_TAG, QUICK_LOG_URL, showDueCheckIn } from './reminders/checkIn';
+
+// The same runtime settings the page reads, so queued logs go to the right backend
+try {
+  self.importScripts(`${process.env.PUBLIC_URL}/config.js`);
+} catch (err) {
+  console.error('Could not load config.js in the service worker:', err);
+}
+
+clientsClaim();
+
+// Build output: the bundles, CSS and index.html
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Page navigations get index.html, except for files and the /_ routes CRA reserves
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate'
+    && !url.pathname.startsWith('/_')
+    && !fileExtensionRegexp.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Runtime config can change without a new build, so prefer the network for it
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname === `${process.env.PUBLIC_URL}/config.js`,
+  new NetworkFirst({ cacheName: 'config' })
+);
+
+// Send queued logs with each user's sync token and let open tabs show them as saved.
+// Rejecting while some are left tells the browser to retry later with its own backoff.
+self.addEventListener('sync', (event) => {
+  if (event.tag !== OUTBOX_SYNC_TAG) return;
+  event.waitUntil(flushAllOutboxes().then(async ({ saved, remaining }) => {
+    if (saved > 0) {
+      const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+      clients.forEach(client => client.postMessage({ type: 'outbox-synced' }));
+    }
+    if (remaining > 0) {
+      throw new Error(`${remaining} queued mood logs could not be sent yet`);
+    }
+  }));
+});
+
+// Installed apps get woken up now and then to show any reminder that has fallen due
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === CHECK_IN_SYNC_TAG) {
+    event.waitUntil(showDueCheckIn(self.registration));
+  }
+});
+
+// A tapped reminder opens the quick log, in an open tab if there is one
+self.addEventListener('notificationclick', (event) => {
+  if (event.notification.tag !== CHECK_IN_TAG) return;
+  event.notification.close();
+  event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+    const client = clients.find(candidate => 'focus' in candidate);
+    if (!client) {
+      return self.clients.openWindow(QUICK_LOG_URL);
+    }
+    client.postMessage({ type: 'quick-log' });
+    return client.focus();
+  }));
+});
+
+// Lets the app activate an updated worker right away
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
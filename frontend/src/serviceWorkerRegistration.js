@@ -0,0 +1,9 @@
+// The service worker only exists in production builds (see src/service-worker.js)
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(err => console.error('Service worker registration failed:', err));
+  });
+};
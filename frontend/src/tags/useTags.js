@@ -0,0 +1,78 @@
+import { useCallback, useEffect, useState } from 'react';
+import { getTags, createTag, renameTag, deleteTag } from '../api';
+
+const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+
+export const sameTagName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/*
+ * The signed-in user's tag vocabulary, alphabetical. Tags added while offline are
+ * kept locally without an _id; the server adds them to the vocabulary when a log
+ * carrying them syncs.
+ */
+const useTags = ({ token, onLogout }) => {
+  const [tags, setTags] = useState([]);
+
+  const reload = useCallback(() => {
+    return getTags(token)
+      .then(setTags)
+      .catch(err => {
+        if (err.status === 401) {
+          onLogout();
+          return;
+        }
+        console.error('Error loading tags:', err);
+      });
+  }, [token, onLogout]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  // Resolves with the name to use: the existing spelling when the tag is already there
+  const addTag = useCallback((name) => {
+    const existing = tags.find(tag => sameTagName(tag.name, name));
+    if (existing) return Promise.resolve(existing.name);
+
+    return createTag(token, name)
+      .then(tag => {
+        setTags(prev => [...prev, tag].sort(byName));
+        return tag.name;
+      }, err => {
+        if (err.code === 'NETWORK_ERROR') {
+          setTags(prev => [...prev, { _id: null, name, count: 0 }].sort(byName));
+          return name;
+        }
+        // Added from another device since we loaded the list
+        if (err.status === 409) {
+          reload();
+          return name;
+        }
+        if (err.status === 401) onLogout();
+        throw err;
+      });
+  }, [token, tags, reload, onLogout]);
+
+  const rename = useCallback((tag, name) => {
+    return renameTag(token, tag._id, name)
+      .then(updated => {
+        setTags(prev => prev.map(entry => (entry._id === updated._id ? updated : entry)).sort(byName));
+        return updated;
+      }, err => {
+        if (err.status === 401) onLogout();
+        throw err;
+      });
+  }, [token, onLogout]);
+
+  const remove = useCallback((tag) => {
+    return deleteTag(token, tag._id)
+      .then(() => setTags(prev => prev.filter(entry => entry._id !== tag._id)), err => {
+        if (err.status === 401) onLogout();
+        throw err;
+      });
+  }, [token, onLogout]);
+
+  return { tags, reload, addTag, renameTag: rename, removeTag: remove };
+};
+
+export default useTags;